@@ -0,0 +1,454 @@
+import { FormulaDepthError } from './errors.js';
+
+/**
+ * A call to a function. Operators, member access and list literals are calls
+ * to internal functions whose names start with two underscores, such as
+ * `__add` for `+` and `__op_~=` for a custom operator.
+ */
+export interface FunctionNode {
+  type: 'function';
+  name: string;
+  args: ASTNode[];
+  start?: number;
+  end?: number;
+}
+
+export interface VariableNode {
+  type: 'variable';
+  name: string;
+  start?: number;
+  end?: number;
+}
+
+export interface LambdaNode {
+  type: 'lambda';
+  params: string[];
+  body: ASTNode;
+  start?: number;
+  end?: number;
+}
+
+/** A parsed formula. Literals are plain values, so they carry no source span. */
+export type ASTNode = FunctionNode | VariableNode | LambdaNode | number | string | boolean | null;
+
+export interface BinaryOperator {
+  name: string;
+  precedence: number;
+  rightAssociative: boolean;
+}
+
+export interface PrefixOperator {
+  name: string;
+  /** Left out for the built-in prefix operators, which bind more tightly than any binary operator. */
+  precedence?: number;
+}
+
+const binary = (name: string, precedence: number, rightAssociative = false): BinaryOperator => ({ name, precedence, rightAssociative });
+
+// Precedences leave gaps so that custom operators can be registered between the built-in ones
+export const BINARY_OPERATORS: ReadonlyMap<string, BinaryOperator> = new Map([
+  ['||', binary('__or', 10)],
+  ['&&', binary('__and', 20)],
+  ['==', binary('__eq', 30)],
+  ['!=', binary('__neq', 30)],
+  ['>', binary('__gt', 40)],
+  ['>=', binary('__gte', 40)],
+  ['<', binary('__lt', 40)],
+  ['<=', binary('__lte', 40)],
+  ['in', binary('__in', 40)],
+  ['&', binary('__concat', 50)],
+  ['+', binary('__add', 60)],
+  ['-', binary('__sub', 60)],
+  ['*', binary('__mul', 70)],
+  ['/', binary('__div', 70)],
+  ['%', binary('__mod', 70)],
+  // a ^ b ^ c is a ^ (b ^ c); every other built-in binary operator groups from the left
+  ['**', binary('__pow', 80, true)],
+  ['^', binary('__pow', 80, true)],
+]);
+
+export const PREFIX_OPERATORS: ReadonlyMap<string, PrefixOperator> = new Map([
+  ['!', { name: '__not' }],
+  ['-', { name: '__neg' }],
+]);
+
+// Either a word, or a run of symbol characters other than delimiters and quotes
+export const OPERATOR_SYMBOL = /^(?:[a-zA-Z]\w*|[^\w\s()[\],'"\\]+)$/;
+
+export const OP_SYMBOLS: Record<string, string> = {
+  ...Object.fromEntries([...BINARY_OPERATORS, ...PREFIX_OPERATORS].map(([symbol, { name }]) => [name, symbol])),
+  __ternary: '?:',
+};
+
+/** Returns the symbol of the operator a function implements, or undefined if it is not an operator. */
+export function operatorSymbol(name: string): string | undefined {
+  // Custom operators are evaluated by functions named after their symbol, such as __op_~=
+  return Object.hasOwn(OP_SYMBOLS, name) ? OP_SYMBOLS[name] : /^__(?:op|prefix)_(.+)$/.exec(name)?.[1];
+}
+
+/** Where a node sits in the formula, as seen by a visitor passed to transform(). */
+export interface TransformContext {
+  /** Names bound by the lambdas and let() calls that enclose the node, which hide variables of the same name. */
+  bound: ReadonlySet<string>;
+}
+
+/**
+ * Callbacks for transform(), one per kind of node. Each is called after the
+ * node's children have been transformed, and returns a node to replace it
+ * with, or undefined to keep it.
+ */
+export interface ASTVisitor {
+  function?(node: FunctionNode, context: TransformContext): ASTNode | void;
+  variable?(node: VariableNode, context: TransformContext): ASTNode | void;
+  lambda?(node: LambdaNode, context: TransformContext): ASTNode | void;
+  literal?(value: number | string | boolean | null, context: TransformContext): ASTNode | void;
+}
+
+/**
+ * Walks an AST from the leaves up, calling the visitor for each node, and
+ * returns the AST with the nodes it replaced. The original AST is not changed.
+ * The names in a let() are bindings rather than variables, so they are not visited.
+ */
+export function transform(ast: ASTNode, visitor: ASTVisitor): ASTNode {
+  const visit = (node: ASTNode, bound: ReadonlySet<string>): ASTNode => {
+    const context = { bound };
+    if (typeof node !== 'object' || node === null) {
+      const replacement = visitor.literal?.(node, context);
+      return replacement === undefined ? node : replacement;
+    }
+    if (node.type === 'variable') {
+      const replacement = visitor.variable?.(node, context);
+      return replacement === undefined ? node : replacement;
+    }
+    if (node.type === 'lambda') {
+      const body = visit(node.body, new Set([...bound, ...node.params]));
+      const updated = body === node.body ? node : { ...node, body };
+      const replacement = visitor.lambda?.(updated, context);
+      return replacement === undefined ? updated : replacement;
+    }
+
+    let args: ASTNode[];
+    if (node.name === 'let') {
+      // Each value can use the names bound before it, and the body can use them all
+      let inner = bound;
+      args = node.args.map((arg, i) => {
+        if (i % 2 === 0 && i < node.args.length - 1) return arg;
+        const result = visit(arg, inner);
+        const name = node.args[i - 1];
+        if (i < node.args.length - 1 && typeof name === 'object' && name?.type === 'variable') {
+          inner = new Set([...inner, name.name]);
+        }
+        return result;
+      });
+    } else {
+      args = node.args.map(arg => visit(arg, bound));
+    }
+    const updated = args.every((arg, i) => arg === node.args[i]) ? node : { ...node, args };
+    const replacement = visitor.function?.(updated, context);
+    return replacement === undefined ? updated : replacement;
+  };
+  return visit(ast, new Set());
+}
+
+/** Compares two ASTs, ignoring their source spans. */
+export function equalAst(a: ASTNode, b: ASTNode): boolean {
+  if (typeof a !== 'object' || a === null || typeof b !== 'object' || b === null) return a === b;
+  if (a.type === 'variable') return b.type === 'variable' && a.name === b.name;
+  if (a.type === 'lambda') {
+    return b.type === 'lambda' && a.params.length === b.params.length
+      && a.params.every((param, i) => param === b.params[i]) && equalAst(a.body, b.body);
+  }
+  if (b.type !== 'function') return false;
+  return a.name === b.name && a.args.length === b.args.length && a.args.every((arg, i) => equalAst(arg, b.args[i]));
+}
+
+/** The version of the serialized AST format written by serialize(). */
+export const AST_VERSION = 1;
+
+interface SerializedSpan {
+  start?: number;
+  end?: number;
+}
+
+export interface SerializedLiteral {
+  type: 'literal';
+  value: number | string | boolean | null;
+  /** The digits of a number literal with more precision than `value` holds, as written. */
+  digits?: string;
+}
+
+export interface SerializedVariable extends SerializedSpan {
+  type: 'variable';
+  name: string;
+}
+
+export interface SerializedCall extends SerializedSpan {
+  type: 'call';
+  name: string;
+  args: SerializedNode[];
+}
+
+/** An operator, with one operand for a prefix operator, two for a binary one and three for `?:`. */
+export interface SerializedOperator extends SerializedSpan {
+  type: 'operator';
+  operator: string;
+  args: SerializedNode[];
+}
+
+export interface SerializedMember extends SerializedSpan {
+  type: 'member';
+  object: SerializedNode;
+  key: SerializedNode;
+}
+
+export interface SerializedList extends SerializedSpan {
+  type: 'list';
+  items: SerializedNode[];
+}
+
+export interface SerializedLambda extends SerializedSpan {
+  type: 'lambda';
+  params: string[];
+  body: SerializedNode;
+}
+
+export type SerializedNode =
+  | SerializedLiteral
+  | SerializedVariable
+  | SerializedCall
+  | SerializedOperator
+  | SerializedMember
+  | SerializedList
+  | SerializedLambda;
+
+/** A parsed formula in the JSON form written by serialize(). */
+export interface SerializedAST {
+  version: number;
+  ast: SerializedNode;
+}
+
+const IDENTIFIER = /^[a-zA-Z]\w*$/;
+
+// Names that the parser never reads as variables or parameters
+const RESERVED_NAMES = new Set(['true', 'false', 'null', ...[...BINARY_OPERATORS.keys()].filter(symbol => IDENTIFIER.test(symbol))]);
+
+// The fields each node type has besides `type` and its source span
+const NODE_FIELDS: Record<SerializedNode['type'], string[]> = {
+  literal: ['value'],
+  variable: ['name'],
+  call: ['name', 'args'],
+  operator: ['operator', 'args'],
+  member: ['object', 'key'],
+  list: ['items'],
+  lambda: ['params', 'body'],
+};
+
+/**
+ * In decimal mode, a number literal with more digits than a plain number holds
+ * is parsed as a call to this built-in with the digits as written, so that it
+ * can be read exactly. It is printed and serialized as the number it stands for.
+ */
+export const DECIMAL_LITERAL = '__decimal';
+
+const NUMBER_LITERAL = /^\d*\.?\d+$/;
+
+/** Returns the digits of a number literal read exactly in decimal mode, or undefined for any other node. */
+export function decimalDigits(node: ASTNode): string | undefined {
+  if (typeof node !== 'object' || node === null || node.type !== 'function' || node.name !== DECIMAL_LITERAL) return undefined;
+  const [digits] = node.args;
+  return node.args.length === 1 && typeof digits === 'string' && NUMBER_LITERAL.test(digits) ? digits : undefined;
+}
+
+function withSpan<T extends Exclude<SerializedNode, SerializedLiteral>>(node: T, { start, end }: SerializedSpan): T {
+  if (start !== undefined) node.start = start;
+  if (end !== undefined) node.end = end;
+  return node;
+}
+
+function serializeNode(node: ASTNode): SerializedNode {
+  if (typeof node !== 'object' || node === null) {
+    if (typeof node === 'number' && !Number.isFinite(node)) {
+      throw new Error(`Cannot serialize the number ${node}`);
+    }
+    return { type: 'literal', value: node };
+  }
+  if (node.type === 'variable') return withSpan({ type: 'variable', name: node.name }, node);
+  if (node.type === 'lambda') {
+    return withSpan({ type: 'lambda', params: [...node.params], body: serializeNode(node.body) }, node);
+  }
+  const digits = decimalDigits(node);
+  if (digits !== undefined) return { type: 'literal', value: Number(digits), digits };
+
+  const args = node.args.map(serializeNode);
+  if (node.name === '__member') return withSpan({ type: 'member', object: args[0], key: args[1] }, node);
+  if (node.name === '__list') return withSpan({ type: 'list', items: args }, node);
+  if (!node.name.startsWith('__')) return withSpan({ type: 'call', name: node.name, args }, node);
+  const operator = operatorSymbol(node.name);
+  if (operator === undefined) throw new Error(`Cannot serialize a call to the internal function "${node.name}"`);
+  return withSpan({ type: 'operator', operator, args }, node);
+}
+
+/**
+ * Converts a parsed formula into a versioned, JSON-safe document that can be
+ * stored or sent elsewhere and read back with deserialize(). Function calls and
+ * operators are distinct node types, and nodes keep their source spans.
+ */
+export function serialize(ast: ASTNode): SerializedAST {
+  return { version: AST_VERSION, ast: serializeNode(ast) };
+}
+
+/**
+ * Finds the function that evaluates an operator with the given number of
+ * operands. Built-in operators take only the operands they are written with,
+ * so `+` is binary only, `!` prefix only, and `-` either.
+ */
+function operatorFunction(operator: string, arity: number): string | undefined {
+  if (operator === '?:') return arity === 3 ? '__ternary' : undefined;
+  const builtin = BINARY_OPERATORS.has(operator) || PREFIX_OPERATORS.has(operator);
+  if (arity === 2) return BINARY_OPERATORS.get(operator)?.name ?? (builtin ? undefined : `__op_${operator}`);
+  if (arity === 1) return PREFIX_OPERATORS.get(operator)?.name ?? (builtin ? undefined : `__prefix_${operator}`);
+  return undefined;
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export interface DeserializeOptions {
+  /** Deepest nesting of nodes that will be read, counting the root as 1. Defaults to 1000. */
+  maxDepth?: number;
+}
+
+// Deep enough for any formula a person writes, and shallow enough that
+// reading a document cannot run out of stack
+const DEFAULT_MAX_DEPTH = 1000;
+
+function deserializeNode(node: unknown, path: string, depth: number, maxDepth: number): ASTNode {
+  const invalid = (problem: string, at = path) => new Error(`Invalid serialized AST at ${at}: ${problem}`);
+  if (!isObject(node)) throw invalid('expected a node object');
+  if (typeof node.type !== 'string' || !Object.hasOwn(NODE_FIELDS, node.type)) {
+    throw invalid(`unknown node type ${JSON.stringify(node.type)}`);
+  }
+  const type = node.type as SerializedNode['type'];
+  const fields = NODE_FIELDS[type];
+  const allowed = type === 'literal' ? [...fields, 'digits'] : [...fields, 'start', 'end'];
+  for (const key of Object.keys(node)) {
+    if (key !== 'type' && !allowed.includes(key)) throw invalid(`unexpected property "${key}" on a ${type} node`);
+  }
+  for (const key of fields) {
+    if (!Object.hasOwn(node, key)) throw invalid(`${type} node is missing "${key}"`);
+  }
+
+  const { start, end } = node;
+  if (start !== undefined || end !== undefined) {
+    const isOffset = (value: unknown) => Number.isInteger(value) && (value as number) >= 0;
+    if (!isOffset(start) || !isOffset(end) || (end as number) < (start as number)) {
+      throw invalid('start and end must both be offsets, with end not before start');
+    }
+  }
+  const span = start === undefined ? {} : { start: start as number, end: end as number };
+
+  const name = (value: unknown, at: string): string => {
+    if (typeof value !== 'string' || !IDENTIFIER.test(value) || RESERVED_NAMES.has(value)) {
+      throw invalid(`${JSON.stringify(value)} is not a valid name`, at);
+    }
+    return value;
+  };
+  // Nesting is limited as the parser limits it, and reported at the node whose children are too deep
+  const child = (value: unknown, at: string): ASTNode => {
+    if (depth >= maxDepth) {
+      throw new FormulaDepthError(`Formula is nested more than ${maxDepth} levels deep`, {
+        code: 'too-deeply-nested', start: span.start ?? 0, end: span.end ?? 0, limit: maxDepth,
+      });
+    }
+    return deserializeNode(value, at, depth + 1, maxDepth);
+  };
+  const nodes = (value: unknown, at: string): ASTNode[] => {
+    if (!Array.isArray(value)) throw invalid('expected an array of nodes', at);
+    return value.map((item, i) => child(item, `${at}[${i}]`));
+  };
+
+  switch (type) {
+    case 'literal': {
+      const { value } = node;
+      if (value !== null && typeof value !== 'string' && typeof value !== 'boolean'
+        && !(typeof value === 'number' && Number.isFinite(value))) {
+        throw invalid(`literal value must be a finite number, string, boolean or null`);
+      }
+      if (node.digits !== undefined) {
+        if (typeof value !== 'number' || typeof node.digits !== 'string' || !NUMBER_LITERAL.test(node.digits)) {
+          throw invalid('digits must be written as a number literal, with a number value');
+        }
+        return { type: 'function', name: DECIMAL_LITERAL, args: [node.digits] };
+      }
+      return value as ASTNode;
+    }
+    case 'variable':
+      return { type: 'variable', name: name(node.name, `${path}.name`), ...span };
+    case 'call': {
+      const args = nodes(node.args, `${path}.args`);
+      // Function names are case-insensitive, and the parser stores them in lowercase
+      const call: FunctionNode = { type: 'function', name: name(node.name, `${path}.name`).toLowerCase(), args, ...span };
+      if (call.name === 'let') {
+        if (args.length < 3 || args.length % 2 === 0) throw invalid('let() expects name/value pairs followed by a body');
+        for (let i = 0; i < args.length - 1; i += 2) {
+          const binding = args[i];
+          if (typeof binding !== 'object' || binding === null || binding.type !== 'variable') {
+            throw invalid(`let() binding name ${i / 2 + 1} must be a variable`, `${path}.args[${i}]`);
+          }
+        }
+      }
+      return call;
+    }
+    case 'operator': {
+      const { operator } = node;
+      const args = nodes(node.args, `${path}.args`);
+      if (typeof operator !== 'string' || (operator !== '?:' && !OPERATOR_SYMBOL.test(operator))) {
+        throw invalid(`${JSON.stringify(operator)} is not a valid operator`, `${path}.operator`);
+      }
+      const fn = operatorFunction(operator, args.length);
+      if (!fn) throw invalid(`operator "${operator}" cannot take ${args.length} operands`);
+      return { type: 'function', name: fn, args, ...span };
+    }
+    case 'member':
+      return {
+        type: 'function',
+        name: '__member',
+        args: [child(node.object, `${path}.object`), child(node.key, `${path}.key`)],
+        ...span,
+      };
+    case 'list':
+      return { type: 'function', name: '__list', args: nodes(node.items, `${path}.items`), ...span };
+    case 'lambda': {
+      if (!Array.isArray(node.params)) throw invalid('expected an array of parameter names', `${path}.params`);
+      const params = node.params.map((param, i) => name(param, `${path}.params[${i}]`));
+      if (new Set(params).size !== params.length) throw invalid('lambda parameters must be unique', `${path}.params`);
+      return { type: 'lambda', params, body: child(node.body, `${path}.body`), ...span };
+    }
+  }
+}
+
+/**
+ * Reads a document written by serialize(), given as an object or a JSON
+ * string, back into an AST that can be evaluated with compileAst(). Throws if
+ * the document is malformed, has an unknown node type, or was written by an
+ * unsupported version of the format, and throws a FormulaDepthError if it is
+ * nested more than `maxDepth` levels deep.
+ */
+export function deserialize(json: string | SerializedAST, { maxDepth = DEFAULT_MAX_DEPTH }: DeserializeOptions = {}): ASTNode {
+  if (!Number.isInteger(maxDepth) || maxDepth <= 0) throw new Error('maxDepth must be a positive integer');
+  let document: unknown = json;
+  if (typeof json === 'string') {
+    try {
+      document = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid serialized AST: ${(error as Error).message}`);
+    }
+  }
+  if (!isObject(document)) throw new Error('Invalid serialized AST: expected an object with "version" and "ast"');
+  if (document.version !== AST_VERSION) {
+    throw new Error(`Unsupported serialized AST version ${JSON.stringify(document.version)}; expected ${AST_VERSION}`);
+  }
+  if (!Object.hasOwn(document, 'ast')) throw new Error('Invalid serialized AST: missing "ast"');
+  return deserializeNode(document.ast, 'ast', 1, maxDepth);
+}
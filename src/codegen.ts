@@ -0,0 +1,240 @@
+import { ASTNode, FunctionNode, LambdaNode, VariableNode } from './ast.js';
+import { Decimal, toDecimal } from './decimal.js';
+import { FunctionDef, builtinFunctions, isTruthy } from './functions.js';
+
+/**
+ * The steps of an evaluation that generated code hands back to the evaluator.
+ * The evaluator builds one for each evaluation from the same steps its
+ * interpreter takes, so that both read variables and report errors alike.
+ */
+export interface CodegenRuntime {
+  /** Reads a variable that no let() or lambda binds. */
+  variable(node: VariableNode): any;
+  /** Reads a member of an object or list, for `a.b` and `a[b]`. */
+  member(node: FunctionNode, object: any, key: any): any;
+  /** Counts a call against the `maxCalls` and `timeout` limits. */
+  step(node: FunctionNode): void;
+  /** Fails for a call to a function that is not registered. */
+  unknown(node: FunctionNode): never;
+  /** Type checks an argument, converting it if the function needs a plain number. */
+  argument(node: FunctionNode, def: FunctionDef, index: number, value: any): any;
+  /** Calls a function that can tell the length of its result, checking the size limit first. */
+  call(node: FunctionNode, def: FunctionDef, args: any[]): any;
+  /** Checks a function's result: that it is not a promise, and is within the size limit. */
+  result(node: FunctionNode, value: any): any;
+}
+
+export interface CodegenOptions {
+  getDefinition(name: string): FunctionDef | undefined;
+  /** Every number a formula produces becomes a decimal. */
+  decimal: boolean;
+  /** Each call is counted with `step()`, as some limits are set. */
+  counted: boolean;
+}
+
+export type GeneratedFormula = (runtime: CodegenRuntime) => any;
+
+// Built-in operators written as JavaScript operators when both operands are
+// numbers, which is what the built-ins themselves do with numbers
+const NUMBER_OPERATORS: Record<string, string> = {
+  __add: '+',
+  __sub: '-',
+  __mul: '*',
+  __div: '/',
+  __mod: '%',
+  __pow: '**',
+  __eq: '===',
+  __neq: '!==',
+};
+
+// Built-in comparisons, which compare any two values with the JavaScript operator
+const COMPARISONS: Record<string, string> = { __gt: '>', __gte: '>=', __lt: '<', __lte: '<=' };
+
+/**
+ * Compiles an AST into a JavaScript function that evaluates it synchronously,
+ * as the interpreter would. Function definitions are looked up once, when the
+ * code is generated, and built-in operators and conditionals are inlined.
+ *
+ * The generated source contains only names it makes up. Everything taken from
+ * the formula (strings, numbers, variable and function names, and the nodes
+ * errors point at) is passed in as a constant, so nothing a formula contains
+ * is ever written into the code.
+ */
+export function generate(ast: ASTNode, options: CodegenOptions): GeneratedFormula {
+  const { getDefinition, decimal, counted } = options;
+
+  const constants: any[] = [];
+  const constantNames = new Map<any, string>();
+  const constant = (value: any): string => {
+    // Numbers are not shared, since 0 and -0 would be
+    const shared = typeof value !== 'number';
+    if (shared && constantNames.has(value)) return constantNames.get(value)!;
+    const name = `k${constants.length}`;
+    constants.push(value);
+    if (shared) constantNames.set(value, name);
+    return name;
+  };
+
+  let count = 0;
+  const fresh = (prefix: string): string => `${prefix}${count++}`;
+
+  // The body of a generated function, with the locals that its let() bindings
+  // and temporary values need. Lambdas and thunks each get their own, so that
+  // every call has its own bindings.
+  type Frame = string[];
+  const local = (frame: Frame, prefix: string): string => {
+    const name = fresh(prefix);
+    frame.push(name);
+    return name;
+  };
+  const body = (frame: Frame, expression: string): string =>
+    `${frame.length ? `let ${frame.join(', ')};\n` : ''}return ${expression};`;
+
+  // In decimal mode the interpreter turns every number a node produces into a decimal
+  const number = (code: string): string => (decimal ? `$number(${code})` : code);
+
+  // Scopes map the names bound by let() and lambdas to the locals that hold them
+  type Scope = ReadonlyMap<string, string>;
+
+  const generateNode = (node: ASTNode, scope: Scope, frame: Frame): string => {
+    if (node === null || node === undefined || typeof node === 'boolean') return String(node);
+    if (typeof node === 'number') return constant(decimal ? Decimal.from(node) : node);
+    if (typeof node !== 'object') return constant(node);
+    if (node.type === 'variable') return number(scope.get(node.name) ?? `$rt.variable(${constant(node)})`);
+    if (node.type === 'lambda') return generateLambda(node, scope);
+    if (node.type === 'function') return generateCall(node, scope, frame);
+    return 'undefined';
+  };
+
+  // Lambdas are called by functions such as map(), with whatever arguments they pass
+  const generateLambda = (node: LambdaNode, scope: Scope): string => {
+    const inner = new Map(scope);
+    const args = fresh('a');
+    const params = node.params.map((param, i) => {
+      const name = fresh('p');
+      inner.set(param, name);
+      return `${name} = ${args}[${i}]`;
+    });
+    const frame: Frame = [];
+    const result = generateNode(node.body, inner, frame);
+    return `((...${args}) => {\n${params.length ? `const ${params.join(', ')};\n` : ''}${body(frame, result)}\n})`;
+  };
+
+  const generateCall = (node: FunctionNode, scope: Scope, frame: Frame): string => {
+    const { name, args } = node;
+    const n = constant(node);
+    const step = counted ? `$rt.step(${n}), ` : '';
+    const operand = (arg: ASTNode): string => generateNode(arg, scope, frame);
+
+    if (name === '__member') {
+      return number(`(${step}$rt.member(${n}, ${operand(args[0])}, ${operand(args[1])}))`);
+    }
+
+    // let() binds each name in turn, so later values can use earlier names
+    if (name === 'let') {
+      const inner = new Map(scope);
+      const parts: string[] = [];
+      for (let i = 0; i < args.length - 1; i += 2) {
+        const value = generateNode(args[i + 1], inner, frame);
+        const binding = local(frame, 'v');
+        parts.push(`${binding} = ${value}`);
+        inner.set((args[i] as VariableNode).name, binding);
+      }
+      parts.push(generateNode(args[args.length - 1], inner, frame));
+      return `(${step}${parts.join(', ')})`;
+    }
+
+    const def = getDefinition(name);
+    if (!def) return `(${step}$rt.unknown(${n}))`;
+    const d = constant(def);
+    const checked = (i: number, code: string): string => (def.params ? `$rt.argument(${n}, ${d}, ${i}, ${code})` : code);
+
+    // Arguments are all evaluated before any of them is checked
+    const callWith = (values: string[]): string => {
+      const list = values.map((value, i) => checked(i, value)).join(', ');
+      return `$rt.result(${n}, ${def.resultLength ? `$rt.call(${n}, ${d}, [${list}])` : `${d}.fn(${list})`})`;
+    };
+    const evaluated = (): [string[], string[]] => {
+      if (!def.params) return [[], args.map(operand)];
+      const temps = args.map(() => local(frame, 't'));
+      return [args.map((arg, i) => `${temps[i]} = ${operand(arg)}`), temps];
+    };
+
+    if (Object.hasOwn(builtinFunctions, name) && def === builtinFunctions[name]) {
+      const inlined = generateBuiltin(node, def, n, step, scope, frame, callWith);
+      if (inlined !== undefined) return inlined;
+    }
+
+    // Lazy functions are passed thunks, which evaluate their argument each time they are called
+    if (def.lazy) {
+      const thunks = args.map((arg, i) => {
+        const inner: Frame = [];
+        return `() => {\n${body(inner, checked(i, generateNode(arg, scope, inner)))}\n}`;
+      });
+      return number(`(${step}$rt.result(${n}, ${d}.fn(${thunks.join(', ')})))`);
+    }
+
+    const [assignments, values] = evaluated();
+    return number(`(${step}${[...assignments, callWith(values)].join(', ')})`);
+  };
+
+  // The built-in conditionals, logical operators and comparisons, written as
+  // JavaScript. Each still counts as a call and checks its result as the
+  // built-in would, and falls back to calling the built-in for values other
+  // than numbers where the two would differ.
+  const generateBuiltin = (
+    node: FunctionNode,
+    def: FunctionDef,
+    n: string,
+    step: string,
+    scope: Scope,
+    frame: Frame,
+    callWith: (values: string[]) => string,
+  ): string | undefined => {
+    const { name, args } = node;
+    const operand = (arg: ASTNode): string => generateNode(arg, scope, frame);
+
+    if ((name === 'if' || name === '__ternary') && (args.length === 2 || args.length === 3)) {
+      const otherwise = args.length === 3 ? operand(args[2]) : 'undefined';
+      return `(${step}$rt.result(${n}, $truthy(${operand(args[0])}) ? ${operand(args[1])} : ${otherwise}))`;
+    }
+
+    if ((name === '__and' || name === '__or') && args.length === 2) {
+      const left = local(frame, 't');
+      const right = operand(args[1]);
+      const result = name === '__and' ? `$truthy(${left}) ? ${right} : ${left}` : `$truthy(${left}) ? ${left} : ${right}`;
+      return `(${step}${left} = ${operand(args[0])}, $rt.result(${n}, ${result}))`;
+    }
+
+    if (name === '__not' && args.length === 1) return `(${step}!$truthy(${operand(args[0])}))`;
+
+    if (Object.hasOwn(COMPARISONS, name) && args.length === 2) {
+      return `(${step}${operand(args[0])} ${COMPARISONS[name]} ${operand(args[1])})`;
+    }
+
+    // Decimal mode replaces the arithmetic built-ins, so these are only reached with plain numbers
+    if (decimal || !def.params) return undefined;
+
+    if (Object.hasOwn(NUMBER_OPERATORS, name) && args.length === 2) {
+      const [left, right] = [local(frame, 't'), local(frame, 't')];
+      return `(${step}${left} = ${operand(args[0])}, ${right} = ${operand(args[1])}, `
+        + `typeof ${left} === 'number' && typeof ${right} === 'number' ? ${left} ${NUMBER_OPERATORS[name]} ${right} : ${callWith([left, right])})`;
+    }
+
+    if (name === '__neg' && args.length === 1) {
+      const value = local(frame, 't');
+      return `(${step}${value} = ${operand(args[0])}, typeof ${value} === 'number' ? -${value} : ${callWith([value])})`;
+    }
+
+    return undefined;
+  };
+
+  const frame: Frame = [];
+  const result = generateNode(ast, new Map(), frame);
+  const declarations = constants.length
+    ? `const ${constants.map((_, i) => `k${i} = $constants[${i}]`).join(', ')};\n`
+    : '';
+  const source = `${declarations}return function formula($rt) {\n${body(frame, result)}\n};`;
+  const factory = new Function('$constants', '$truthy', '$number', source);
+  return factory(constants, isTruthy, toDecimal);
+}
@@ -0,0 +1,243 @@
+import type { FunctionDef } from './functions.js';
+
+/**
+ * Returns the current time. Pass one to the FormulaEvaluator constructor to
+ * control what today() and now() return, for example to freeze time in tests.
+ */
+export type Clock = () => Date | number;
+
+// Dates are JavaScript Date objects interpreted in UTC. A date with no time
+// part is midnight UTC, so calendar arithmetic never crosses a DST change.
+const MS_PER_UNIT = {
+  millisecond: 1,
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+} as const;
+
+type FixedUnit = keyof typeof MS_PER_UNIT;
+type DateUnit = FixedUnit | 'month' | 'year';
+
+const DATE_UNITS: DateUnit[] = ['year', 'month', 'week', 'day', 'hour', 'minute', 'second', 'millisecond'];
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/** A length of time, such as the difference between two dates. */
+export class Duration {
+  readonly milliseconds: number;
+
+  constructor(milliseconds: number) {
+    this.milliseconds = milliseconds;
+  }
+
+  // Lets the comparison operators compare durations by length
+  valueOf(): number {
+    return this.milliseconds;
+  }
+
+  /** Renders the duration in ISO 8601 form, e.g. `P1DT2H30M`. */
+  toString(): string {
+    let rest = Math.abs(this.milliseconds);
+    const take = (unit: FixedUnit): number => {
+      const count = Math.floor(rest / MS_PER_UNIT[unit]);
+      rest -= count * MS_PER_UNIT[unit];
+      return count;
+    };
+    const days = take('day');
+    const hours = take('hour');
+    const minutes = take('minute');
+    const seconds = rest / MS_PER_UNIT.second;
+
+    let time = '';
+    if (hours) time += `${hours}H`;
+    if (minutes) time += `${minutes}M`;
+    if (seconds || (!days && !time)) time += `${seconds}S`;
+    return `${this.milliseconds < 0 ? '-' : ''}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+  }
+}
+
+/** Accepts unit names in the singular or plural and in any case, e.g. "Days". */
+export function normalizeUnit(unit: string): DateUnit {
+  const name = String(unit).toLowerCase().replace(/s$/, '') as DateUnit;
+  if (!DATE_UNITS.includes(name)) {
+    throw new Error(`Unknown date unit "${unit}"; expected one of ${DATE_UNITS.map(u => `${u}s`).join(', ')}`);
+  }
+  return name;
+}
+
+function fixedUnit(unit: string): FixedUnit {
+  const name = normalizeUnit(unit);
+  if (name === 'month' || name === 'year') {
+    throw new Error(`Durations cannot be measured in ${name}s because their length varies`);
+  }
+  return name;
+}
+
+function checkDate(date: Date): Date {
+  if (Number.isNaN(date.getTime())) throw new Error('Invalid date');
+  return date;
+}
+
+// Date.UTC() reads the years 0 to 99 as 1900 to 1999. The calendar repeats
+// every 400 years, so those years are built 400 years later and moved back.
+const MS_PER_400_YEARS = 146097 * MS_PER_UNIT.day;
+
+function utc(year: number, month: number, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0): number {
+  const early = Math.trunc(year) >= 0 && Math.trunc(year) <= 99;
+  return early
+    ? Date.UTC(year + 400, month, day, hour, minute, second, millisecond) - MS_PER_400_YEARS
+    : Date.UTC(year, month, day, hour, minute, second, millisecond);
+}
+
+function daysInMonth(year: number, month: number): number {
+  return new Date(utc(year, month + 1, 0)).getUTCDate();
+}
+
+/** Builds a date from calendar parts. Out-of-range parts roll over, so month 13 is January of the next year. */
+export function makeDate(year: number, month: number, day: number, hour = 0, minute = 0, second = 0): Date {
+  return checkDate(new Date(utc(year, month - 1, day, hour, minute, second)));
+}
+
+export function toDate(time: Date | number): Date {
+  return checkDate(new Date(time instanceof Date ? time.getTime() : time));
+}
+
+export function startOfDay(date: Date): Date {
+  return new Date(utc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+export function makeDuration(amount: number, unit: string): Duration {
+  return new Duration(amount * MS_PER_UNIT[fixedUnit(unit)]);
+}
+
+export function durationIn(duration: Duration, unit: string): number {
+  return duration.milliseconds / MS_PER_UNIT[fixedUnit(unit)];
+}
+
+// Adding months keeps the day of the month where possible, and otherwise uses
+// the last day of the month, so one month after 31 January is 28 or 29 February
+function addMonths(date: Date, months: number): Date {
+  if (!Number.isInteger(months)) throw new Error('Months and years can only be added in whole numbers');
+  const result = new Date(date.getTime());
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  result.setUTCDate(Math.min(date.getUTCDate(), daysInMonth(result.getUTCFullYear(), result.getUTCMonth())));
+  return result;
+}
+
+export function addToDate(date: Date, amount: number, unit: string): Date {
+  const name = normalizeUnit(unit);
+  if (name === 'year') return addMonths(date, amount * 12);
+  if (name === 'month') return addMonths(date, amount);
+  return checkDate(new Date(date.getTime() + amount * MS_PER_UNIT[name]));
+}
+
+/**
+ * Counts the whole units from start to end, negative if end is before start.
+ * Months and years are calendar months, so 31 January to 28 February is 0 months.
+ */
+export function diffDates(start: Date, end: Date, unit: string): number {
+  const name = normalizeUnit(unit);
+  if (name !== 'month' && name !== 'year') {
+    return Math.trunc((end.getTime() - start.getTime()) / MS_PER_UNIT[name]);
+  }
+
+  let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+  // Only count the last month if it has been completed
+  if (months > 0 && addMonths(start, months) > end) months--;
+  if (months < 0 && addMonths(start, months) < end) months++;
+  return name === 'year' ? Math.trunc(months / 12) : months;
+}
+
+/** Returns the last day of the month a number of months before or after a date. */
+export function endOfMonth(date: Date, months = 0): Date {
+  return checkDate(new Date(utc(date.getUTCFullYear(), date.getUTCMonth() + months + 1, 0)));
+}
+
+/** The ISO 8601 day of the week, from 1 for Monday to 7 for Sunday. */
+export function isoWeekday(date: Date): number {
+  return date.getUTCDay() || 7;
+}
+
+/** Counts the weekdays from start to end inclusive, skipping holidays. Negative if end is before start. */
+export function networkDays(start: Date, end: Date, holidays: Date[] = []): number {
+  const [from, to] = (start <= end ? [start, end] : [end, start]).map(startOfDay);
+  // Every whole week has five weekdays, so only the days left over are looked at
+  const days = Math.round((to.getTime() - from.getTime()) / MS_PER_UNIT.day) + 1;
+  const first = isoWeekday(from);
+  let count = Math.floor(days / 7) * 5;
+  for (let i = 0; i < days % 7; i++) {
+    if ((first - 1 + i) % 7 < 5) count++;
+  }
+  const skip = new Set(holidays.map(holiday => startOfDay(holiday).getTime()));
+  for (const time of skip) {
+    if (time >= from.getTime() && time <= to.getTime() && isoWeekday(new Date(time)) <= 5) count--;
+  }
+  return start <= end ? count : -count;
+}
+
+/**
+ * Parses an ISO 8601 date (`2024-03-01`) or date and time (`2024-03-01T09:30:00Z`).
+ * Times without an offset are read as UTC.
+ */
+export function parseIsoDate(text: string): Date {
+  const match = ISO_DATE.exec(String(text).trim());
+  const invalid = () => new Error(`Invalid ISO 8601 date "${text}"`);
+  if (!match) throw invalid();
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0', offset] = match;
+  const parts = [year, month, day, hour, minute, second].map(Number);
+  if (parts[1] < 1 || parts[1] > 12 || parts[2] < 1 || parts[2] > daysInMonth(parts[0], parts[1] - 1)
+    || parts[3] > 23 || parts[4] > 59 || parts[5] > 59) {
+    throw invalid();
+  }
+
+  let time = utc(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5], Number(`0.${fraction}`) * 1000);
+  if (offset && offset !== 'Z') {
+    const [, sign, hours, minutes] = /([+-])(\d{2}):?(\d{2})/.exec(offset)!;
+    time -= (sign === '-' ? -1 : 1) * (Number(hours) * MS_PER_UNIT.hour + Number(minutes) * MS_PER_UNIT.minute);
+  }
+  return new Date(time);
+}
+
+/**
+ * Formats a date with a pattern made of YYYY, MM, DD, HH, mm, ss and SSS.
+ * Without a pattern, dates with no time part format as `2024-03-01` and
+ * others as a full ISO 8601 timestamp.
+ */
+export function formatDate(date: Date, pattern?: string): string {
+  if (pattern === undefined) {
+    return date.getTime() === startOfDay(date).getTime() ? date.toISOString().slice(0, 10) : date.toISOString();
+  }
+  const pad = (value: number, width = 2) => String(value).padStart(width, '0');
+  const parts: Record<string, string> = {
+    YYYY: pad(date.getUTCFullYear(), 4),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+    SSS: pad(date.getUTCMilliseconds(), 3),
+  };
+  return String(pattern).replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, token => parts[token]);
+}
+
+/** Builds today() and now() on top of a clock. */
+export function clockFunctions(clock: Clock): Record<'today' | 'now', FunctionDef> {
+  return {
+    today: {
+      fn: () => startOfDay(toDate(clock())),
+      description: 'Returns the current date, with no time part',
+      params: [],
+      returns: 'date',
+    },
+    now: {
+      fn: () => toDate(clock()),
+      description: 'Returns the current date and time',
+      params: [],
+      returns: 'date',
+    },
+  };
+}
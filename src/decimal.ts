@@ -0,0 +1,185 @@
+/** How to round a value that falls between two representable results. */
+export type RoundingMode = 'half-up' | 'half-down' | 'half-even' | 'up' | 'down' | 'ceiling' | 'floor';
+
+export const ROUNDING_MODES: RoundingMode[] = ['half-up', 'half-down', 'half-even', 'up', 'down', 'ceiling', 'floor'];
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+function pow10(exponent: number): bigint {
+  return 10n ** BigInt(exponent);
+}
+
+// Divides two integers, rounding the quotient to an integer with the given mode
+function divideRounded(numerator: bigint, denominator: bigint, mode: RoundingMode): bigint {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const sign = numerator < 0n ? -1n : 1n;
+  const twice = 2n * (remainder < 0n ? -remainder : remainder);
+  const half = twice === denominator ? 0 : twice > denominator ? 1 : -1;
+  const awayFromZero = {
+    'half-up': half >= 0,
+    'half-down': half > 0,
+    'half-even': half > 0 || (half === 0 && quotient % 2n !== 0n),
+    up: true,
+    down: false,
+    ceiling: sign > 0n,
+    floor: sign < 0n,
+  }[mode];
+  return awayFromZero ? quotient + sign : quotient;
+}
+
+/**
+ * An exact decimal number, stored as an integer coefficient and the number of
+ * digits after the decimal point. Used for arithmetic in decimal mode so that
+ * 0.1 + 0.2 is exactly 0.3.
+ */
+export class Decimal {
+  readonly coefficient: bigint;
+  readonly scale: number;
+
+  constructor(coefficient: bigint, scale = 0) {
+    // Drop trailing zeros so that equal values have the same representation
+    while (scale > 0 && coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      scale--;
+    }
+    this.coefficient = coefficient;
+    this.scale = scale;
+  }
+
+  static from(value: Decimal | number | string | bigint): Decimal {
+    if (value instanceof Decimal) return value;
+    if (typeof value === 'bigint') return new Decimal(value);
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Cannot convert ${value} to a decimal`);
+    }
+
+    // Numbers are converted from their shortest decimal form, so 0.1 becomes exactly 0.1
+    const text = String(value).trim();
+    const match = DECIMAL_PATTERN.exec(text);
+    if (!match || (!match[2] && !match[3])) throw new Error(`Invalid decimal "${text}"`);
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    const digits = BigInt(`${whole}${fraction}` || '0');
+    const scale = fraction.length - Number(exponent);
+    const coefficient = sign === '-' ? -digits : digits;
+    return scale >= 0 ? new Decimal(coefficient, scale) : new Decimal(coefficient * pow10(-scale));
+  }
+
+  // Rescales both values to the larger scale so their coefficients line up
+  private static align(a: Decimal, b: Decimal): [bigint, bigint, number] {
+    const scale = Math.max(a.scale, b.scale);
+    return [a.coefficient * pow10(scale - a.scale), b.coefficient * pow10(scale - b.scale), scale];
+  }
+
+  plus(other: Decimal): Decimal {
+    const [a, b, scale] = Decimal.align(this, other);
+    return new Decimal(a + b, scale);
+  }
+
+  minus(other: Decimal): Decimal {
+    const [a, b, scale] = Decimal.align(this, other);
+    return new Decimal(a - b, scale);
+  }
+
+  times(other: Decimal): Decimal {
+    return new Decimal(this.coefficient * other.coefficient, this.scale + other.scale);
+  }
+
+  /** Divides, keeping at most `places` digits after the decimal point. */
+  dividedBy(other: Decimal, places: number, mode: RoundingMode): Decimal {
+    if (other.coefficient === 0n) throw new Error('Division by zero');
+    // this / other = (a / 10^as) / (b / 10^bs), computed as an integer count of 10^-places
+    const shift = places + other.scale - this.scale;
+    const numerator = shift >= 0 ? this.coefficient * pow10(shift) : this.coefficient;
+    const denominator = shift >= 0 ? other.coefficient : other.coefficient * pow10(-shift);
+    return new Decimal(divideRounded(numerator, denominator, mode), places);
+  }
+
+  /** The remainder of dividing by another value, with the sign of this value as for the `%` operator. */
+  remainder(other: Decimal): Decimal {
+    if (other.coefficient === 0n) throw new Error('Division by zero');
+    const [a, b, scale] = Decimal.align(this, other);
+    return new Decimal(a % b, scale);
+  }
+
+  /**
+   * Raises to a power. Whole-number powers up to 1000 are exact, except that
+   * negative ones are divided out to `places` digits; other powers are computed
+   * in floating point.
+   */
+  pow(exponent: Decimal, places: number, mode: RoundingMode): Decimal {
+    const power = exponent.coefficient < 0n ? -exponent.coefficient : exponent.coefficient;
+    if (exponent.scale > 0 || power > 1000n) return Decimal.from(this.toNumber() ** exponent.toNumber());
+    const result = new Decimal(this.coefficient ** power, this.scale * Number(power));
+    return exponent.coefficient < 0n ? new Decimal(1n).dividedBy(result, places, mode) : result;
+  }
+
+  /** Rounds to a number of digits after the decimal point; negative places round to tens, hundreds and so on. */
+  round(places: number, mode: RoundingMode): Decimal {
+    if (this.scale <= places) return this;
+    const rounded = divideRounded(this.coefficient, pow10(this.scale - places), mode);
+    return places >= 0 ? new Decimal(rounded, places) : new Decimal(rounded * pow10(-places));
+  }
+
+  negated(): Decimal {
+    return new Decimal(-this.coefficient, this.scale);
+  }
+
+  abs(): Decimal {
+    return this.coefficient < 0n ? this.negated() : this;
+  }
+
+  /** Returns -1, 0 or 1 as this value is less than, equal to or greater than the other. */
+  compare(other: Decimal): number {
+    const [a, b] = Decimal.align(this, other);
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+
+  equals(other: Decimal): boolean {
+    return this.compare(other) === 0;
+  }
+
+  /** Renders the value in plain notation with exactly `places` digits after the decimal point. */
+  toFixed(places: number, mode: RoundingMode = 'half-up'): string {
+    const rounded = this.round(places, mode);
+    const text = rounded.toString();
+    if (places <= 0) return text;
+    const [whole, fraction = ''] = text.split('.');
+    return `${whole}.${fraction.padEnd(places, '0')}`;
+  }
+
+  toString(): string {
+    const negative = this.coefficient < 0n;
+    const digits = (negative ? -this.coefficient : this.coefficient).toString().padStart(this.scale + 1, '0');
+    const whole = digits.slice(0, digits.length - this.scale);
+    const fraction = digits.slice(digits.length - this.scale);
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  toNumber(): number {
+    return Number(this.toString());
+  }
+
+  // Lets decimals be used where JavaScript expects a number, such as in custom functions
+  valueOf(): number {
+    return this.toNumber();
+  }
+
+  toJSON(): string {
+    return this.toString();
+  }
+}
+
+/**
+ * Converts a number a formula produces in decimal mode to a decimal. NaN and
+ * the infinities have no decimal form, so they are kept as plain numbers.
+ */
+export function toDecimal(value: any): any {
+  return typeof value === 'number' && Number.isFinite(value) ? Decimal.from(value) : value;
+}
@@ -0,0 +1,141 @@
+export interface SourceSpan {
+  start: number;
+  end: number;
+}
+
+export interface FormulaErrorDetails extends SourceSpan {
+  code: string;
+  source?: string;
+}
+
+export interface SourceLocation {
+  line: number;
+  column: number;
+}
+
+/** Converts a character offset into a 1-based line and column. */
+export function locate(source: string, offset: number): SourceLocation {
+  const before = source.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/** Renders the line containing a span with a caret marker underneath it. */
+export function formatSnippet(source: string, start: number, end: number): string {
+  const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+  const newline = source.indexOf('\n', start);
+  const lineEnd = newline === -1 ? source.length : newline;
+  const width = Math.max(1, Math.min(end, lineEnd) - start);
+  return `${source.slice(lineStart, lineEnd)}\n${' '.repeat(start - lineStart)}${'^'.repeat(width)}`;
+}
+
+export class FormulaError extends Error {
+  code: string;
+  start: number;
+  end: number;
+  source?: string;
+  line?: number;
+  column?: number;
+  snippet?: string;
+
+  constructor(message: string, { code, start, end, source }: FormulaErrorDetails) {
+    super(message);
+    this.name = 'FormulaError';
+    this.code = code;
+    this.start = start;
+    this.end = end;
+    if (source !== undefined) this.setSource(source);
+  }
+
+  /** Attaches the formula text, filling in the line, column and snippet. */
+  setSource(source: string): this {
+    this.source = source;
+    Object.assign(this, locate(source, this.start));
+    this.snippet = formatSnippet(source, this.start, this.end);
+    return this;
+  }
+}
+
+export interface FormulaSyntaxErrorDetails extends FormulaErrorDetails {
+  expected?: string[];
+  found?: string | null;
+}
+
+export class FormulaSyntaxError extends FormulaError {
+  /** Descriptions of what the parser would have accepted at this position. */
+  expected: string[];
+  /** The text that was found instead, or null at the end of the formula. */
+  found: string | null;
+
+  constructor(message: string, { expected = [], found = null, ...details }: FormulaSyntaxErrorDetails) {
+    super(message, details);
+    this.name = 'FormulaSyntaxError';
+    this.expected = expected;
+    this.found = found;
+  }
+}
+
+export class FormulaEvaluationError extends FormulaError {
+  constructor(message: string, details: FormulaErrorDetails) {
+    super(message, details);
+    this.name = 'FormulaEvaluationError';
+  }
+}
+
+export interface FormulaLimitErrorDetails extends FormulaErrorDetails {
+  limit: number;
+}
+
+/**
+ * Raised when a formula exceeds one of the resource limits an evaluator was
+ * created with. Each limit has its own subclass, and iferr() does not catch them.
+ */
+export class FormulaLimitError extends FormulaError {
+  /** The configured value of the limit that was exceeded. */
+  limit: number;
+
+  constructor(message: string, { limit, ...details }: FormulaLimitErrorDetails) {
+    super(message, details);
+    this.name = 'FormulaLimitError';
+    this.limit = limit;
+  }
+}
+
+/** The formula is longer than `maxLength` characters. */
+export class FormulaLengthError extends FormulaLimitError {
+  constructor(message: string, details: FormulaLimitErrorDetails) {
+    super(message, details);
+    this.name = 'FormulaLengthError';
+  }
+}
+
+/** The formula is nested more than `maxDepth` levels deep. */
+export class FormulaDepthError extends FormulaLimitError {
+  constructor(message: string, details: FormulaLimitErrorDetails) {
+    super(message, details);
+    this.name = 'FormulaDepthError';
+  }
+}
+
+/** An evaluation called functions and operators more than `maxCalls` times. */
+export class FormulaCallLimitError extends FormulaLimitError {
+  constructor(message: string, details: FormulaLimitErrorDetails) {
+    super(message, details);
+    this.name = 'FormulaCallLimitError';
+  }
+}
+
+/** A function produced a string or list longer than `maxResultSize`. */
+export class FormulaSizeError extends FormulaLimitError {
+  constructor(message: string, details: FormulaLimitErrorDetails) {
+    super(message, details);
+    this.name = 'FormulaSizeError';
+  }
+}
+
+/** An evaluation ran for longer than `timeout` milliseconds. */
+export class FormulaTimeoutError extends FormulaLimitError {
+  constructor(message: string, details: FormulaLimitErrorDetails) {
+    super(message, details);
+    this.name = 'FormulaTimeoutError';
+  }
+}
@@ -0,0 +1,226 @@
+import { ASTNode, BinaryOperator, FunctionNode, PrefixOperator, decimalDigits, operatorSymbol } from './ast.js';
+
+export interface FormatOptions {
+  /** Put spaces around binary operators and after commas. Defaults to true. */
+  spaces?: boolean;
+  /**
+   * Break a call or list literal that would run past this many characters onto
+   * one line per argument. Lines are not wrapped unless this is set.
+   */
+  maxLineLength?: number;
+  /** Indentation for each level of wrapped arguments. Defaults to two spaces. */
+  indent?: string;
+  /** Print function names in lower or upper case. Defaults to `'lower'`. */
+  functionCase?: 'lower' | 'upper';
+}
+
+/** The operators a formula may use, keyed by symbol, as the parser sees them. */
+export interface OperatorTable {
+  binary: ReadonlyMap<string, BinaryOperator>;
+  prefix: ReadonlyMap<string, PrefixOperator>;
+}
+
+// How tightly a node binds, for deciding where parentheses are needed. Anything
+// that can be followed by member access binds as tightly as possible, and a
+// built-in prefix operator (or a negative number) only less so.
+const ATOM = Infinity;
+const PREFIXED = Number.MAX_VALUE;
+
+// The column of text printed without wrapping, so that it always fits
+const UNWRAPPED = -Infinity;
+
+// What comes straight after a node in the printed formula: nothing that
+// continues the expression (NONE), the `?` of a conditional (CONDITION), or a
+// binary operator of the given precedence
+const NONE = -1;
+const CONDITION = 0;
+
+const IDENTIFIER = /^[a-zA-Z]\w*$/;
+const SYMBOL_CHAR = /[^\w\s()[\],'"\\.]/;
+
+function formatNumber(value: number): string {
+  if (!Number.isFinite(value)) throw new Error(`Cannot format the number ${value}`);
+  const text = String(Math.abs(value));
+  if (!text.includes('e')) return `${value < 0 ? '-' : ''}${text}`;
+  // Formulas have no exponent notation, so write the digits out in full
+  const [mantissa, exponent] = text.split('e');
+  const places = (mantissa.split('.')[1]?.length ?? 0) - Number(exponent);
+  const digits = places > 0 ? Math.abs(value).toFixed(Math.min(places, 100)) : BigInt(Math.abs(value)).toString();
+  return `${value < 0 ? '-' : ''}${digits}`;
+}
+
+function formatString(value: string): string {
+  return `"${value.replace(/[\\"\n\r\t]/g, ch => ({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' })[ch]!)}"`;
+}
+
+/** The column a line continues at after some text has been printed from the given column. */
+function columnAfter(text: string, column: number): number {
+  const newline = text.lastIndexOf('\n');
+  return newline === -1 ? column + text.length : text.length - newline - 1;
+}
+
+/**
+ * Prints an AST as formula text, using the fewest parentheses that still parse
+ * back to the same tree. Operators are looked up in the given table, so custom
+ * operators print with their symbols and precedences.
+ */
+export function formatAst(ast: ASTNode, operators: OperatorTable, options: FormatOptions = {}): string {
+  const { spaces = true, maxLineLength = Infinity, indent = '  ', functionCase = 'lower' } = options;
+  const comma = spaces ? ', ' : ',';
+
+  // Find operators by the function that evaluates them. Where two symbols share
+  // a function, as ** and ^ do, the last one registered is used.
+  const binaryByName = new Map<string, [string, BinaryOperator]>();
+  operators.binary.forEach((op, symbol) => binaryByName.set(op.name, [symbol, op]));
+  const prefixByName = new Map<string, [string, PrefixOperator]>();
+  operators.prefix.forEach((op, symbol) => prefixByName.set(op.name, [symbol, op]));
+
+  // Symbols that two adjacent operators could run together into
+  const longSymbols = [...operators.binary.keys(), ...operators.prefix.keys(), '=>']
+    .filter(symbol => symbol.length > 1 && !IDENTIFIER.test(symbol));
+
+  // Joins two pieces of text, adding a space where they would otherwise be read as one token
+  const join = (left: string, right: string): string => {
+    const last = left[left.length - 1] ?? '';
+    const first = right[0] ?? '';
+    const merges = (/\w/.test(last) && /\w/.test(first))
+      || (SYMBOL_CHAR.test(last) && SYMBOL_CHAR.test(first) && longSymbols.some(symbol => symbol.includes(last + first)));
+    return merges ? `${left} ${right}` : left + right;
+  };
+
+  // How tightly a node binds as an operand: its precedence if it is a binary
+  // operator, ATOM if it is a primary expression, and -Infinity for a
+  // conditional or lambda, which can only be an operand inside parentheses
+  const precedenceOf = (node: ASTNode): number => {
+    if (typeof node === 'number') return node < 0 ? PREFIXED : ATOM;
+    if (typeof node !== 'object' || node === null || node.type === 'variable') return ATOM;
+    if (node.type === 'lambda') return -Infinity;
+    if (decimalDigits(node) !== undefined) return ATOM;
+    const binary = binaryByName.get(node.name);
+    if (binary && node.args.length === 2) return binary[1].precedence;
+    const prefix = prefixByName.get(node.name);
+    if (prefix && node.args.length === 1) return prefix[1].precedence ?? PREFIXED;
+    if (node.name.startsWith('__') && node.name !== '__member' && node.name !== '__list') return -Infinity;
+    return ATOM;
+  };
+
+  // A lambda's body, and the operand of a custom prefix operator, take in any
+  // operator that follows them that binds at least this tightly
+  const runsOnFrom = (node: ASTNode): number | undefined => {
+    if (typeof node !== 'object' || node === null || node.type === 'variable') return undefined;
+    if (node.type === 'lambda') return CONDITION;
+    const prefix = node.args.length === 1 ? prefixByName.get(node.name) : undefined;
+    return prefix?.[1].precedence;
+  };
+
+  const parenthesize = (node: ASTNode, column: number, depth: number): string => `(${print(node, column + 1, NONE, depth)})`;
+
+  // Prints an operand that must bind at least as tightly as minPrecedence,
+  // adding parentheses if it does not or if it would run on into what follows.
+  // Prefix operators apply to whatever follows them, so only that matters for them.
+  const printOperand = (node: ASTNode, minPrecedence: number, column: number, next: number, depth: number): string => {
+    const runsOn = runsOnFrom(node);
+    const precedence = precedenceOf(node);
+    const needsParentheses = runsOn !== undefined
+      ? next >= runsOn
+      : precedence !== PREFIXED && precedence < minPrecedence;
+    return needsParentheses ? parenthesize(node, column, depth) : print(node, column, next, depth);
+  };
+
+  // Prints a comma-separated list between brackets, one item per line if it does not fit
+  const printItems = (open: string, items: ASTNode[], close: string, column: number, depth: number): string => {
+    const fits = maxLineLength === Infinity || column === UNWRAPPED || items.length === 0
+      || column + `${open}${items.map(item => print(item, UNWRAPPED, NONE, depth)).join(comma)}${close}`.length <= maxLineLength;
+    if (fits) {
+      let text = open;
+      items.forEach((item, i) => {
+        if (i > 0) text += comma;
+        text += print(item, columnAfter(text, column), NONE, depth);
+      });
+      return text + close;
+    }
+    const inner = indent.repeat(depth + 1);
+    const lines = items.map(item => `${inner}${print(item, inner.length, NONE, depth + 1)}`);
+    return `${open}\n${lines.join(',\n')}\n${indent.repeat(depth)}${close}`;
+  };
+
+  const printCall = (node: FunctionNode, column: number, next: number, depth: number): string => {
+    const { name, args } = node;
+    if (name === '__list') return printItems('[', args, ']', column, depth);
+
+    if (name === '__member') {
+      const [object, key] = args;
+      const target = precedenceOf(object) === ATOM ? print(object, column, NONE, depth) : parenthesize(object, column, depth);
+      if (typeof key === 'string' && IDENTIFIER.test(key)) return `${target}.${key}`;
+      return `${target}[${print(key, columnAfter(target, column) + 1, NONE, depth)}]`;
+    }
+
+    if (name === '__ternary' && args.length === 3) {
+      const [condition, then, otherwise] = args;
+      // The condition ends at the ?, so it can be any operator but not another conditional
+      let text = printOperand(condition, 0, column, CONDITION, depth);
+      text += ' ? ';
+      text += print(then, columnAfter(text, column), NONE, depth);
+      text += ' : ';
+      return text + print(otherwise, columnAfter(text, column), next, depth);
+    }
+
+    const binary = binaryByName.get(name);
+    if (binary && args.length === 2) {
+      const [symbol, { precedence, rightAssociative }] = binary;
+      const [left, right] = args;
+      // The parser groups a chain of operators of the same precedence by the
+      // associativity of the operator that starts it
+      const leftRightAssociative = typeof left === 'object' && left !== null && left.type === 'function'
+        && left.args.length === 2 && binaryByName.get(left.name)?.[1].rightAssociative;
+      const leftText = printOperand(left, leftRightAssociative ? precedence + 1 : precedence, column, precedence, depth);
+      const before = join(leftText, spaces || IDENTIFIER.test(symbol) ? ` ${symbol} ` : symbol);
+      const rightText = printOperand(right, rightAssociative ? precedence : precedence + 1, columnAfter(before, column), next, depth);
+      return join(before, rightText);
+    }
+
+    const prefix = prefixByName.get(name);
+    if (prefix && args.length === 1) {
+      const [symbol, { precedence }] = prefix;
+      const operator = IDENTIFIER.test(symbol) ? `${symbol} ` : symbol;
+      const at = columnAfter(operator, column);
+      // Built-in prefix operators apply to a single primary expression, such as
+      // -a.b; others take everything that binds at least as tightly as they do
+      const operand = precedence !== undefined
+        ? printOperand(args[0], precedence, at, next, depth)
+        : precedenceOf(args[0]) >= PREFIXED && runsOnFrom(args[0]) === undefined
+          ? print(args[0], at, next, depth)
+          : parenthesize(args[0], at, depth);
+      return join(operator, operand);
+    }
+
+    // Operators the table does not have, such as custom operators of another
+    // evaluator, are printed with every operand in parentheses
+    const symbol = operatorSymbol(name);
+    if (symbol !== undefined && (args.length === 1 || args.length === 2)) {
+      const operands = args.map(arg => parenthesize(arg, UNWRAPPED, depth));
+      return operands.length === 1 ? join(symbol, operands[0]) : `${operands[0]} ${symbol} ${operands[1]}`;
+    }
+    if (name.startsWith('__')) throw new Error(`Cannot format a call to the internal function "${name}"`);
+
+    const callee = functionCase === 'upper' ? name.toUpperCase() : name.toLowerCase();
+    return printItems(`${callee}(`, args, ')', column, depth);
+  };
+
+  const print = (node: ASTNode, column: number, next: number, depth: number): string => {
+    if (node === null) return 'null';
+    if (typeof node === 'boolean') return String(node);
+    if (typeof node === 'number') return formatNumber(node);
+    if (typeof node === 'string') return formatString(node);
+    if (node.type === 'variable') return node.name;
+    const digits = decimalDigits(node);
+    if (digits !== undefined) return digits;
+    if (node.type === 'lambda') {
+      const head = `${node.params.length === 1 ? node.params[0] : `(${node.params.join(comma)})`} => `;
+      return head + print(node.body, columnAfter(head, column), NONE, depth);
+    }
+    return printCall(node, column, next, depth);
+  };
+
+  return print(ast, 0, NONE, 0);
+}
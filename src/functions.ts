@@ -1,69 +1,360 @@
+import {
+  Duration,
+  addToDate,
+  clockFunctions,
+  diffDates,
+  durationIn,
+  endOfMonth,
+  formatDate,
+  isoWeekday,
+  makeDate,
+  makeDuration,
+  networkDays,
+  parseIsoDate,
+} from './dates.js';
+import { Decimal, ROUNDING_MODES, RoundingMode } from './decimal.js';
+import { regexInput, safeRegExp } from './regex.js';
+import { FormulaLimitError } from './errors.js';
+
 export type FormulaFunction = (...args: any[]) => any;
 
+/** An unevaluated argument of a lazy function. Calling it evaluates the argument and returns its value. */
+export type Thunk = () => any;
+
+export type ValueType = 'any' | 'number' | 'string' | 'boolean' | 'null' | 'date' | 'duration' | 'list' | 'function';
+
+export interface FunctionParam {
+  name: string;
+  /** A type, or a list of types any of which is accepted. */
+  type?: ValueType | ValueType[];
+  /** Optional parameters may be omitted, but only after all required ones. */
+  optional?: boolean;
+  /** A variadic parameter accepts any number of arguments and must come last. */
+  variadic?: boolean;
+}
+
 export interface FunctionDef {
   fn: FormulaFunction;
   description: string;
+  params?: FunctionParam[];
+  returns?: ValueType;
+  /** The function receives its arguments as thunks, and evaluates only the ones it needs. */
+  lazy?: boolean;
+  /** The function has no side effects and returns the same result whenever it is given the same arguments. */
+  pure?: boolean;
+  /**
+   * Works out the length of the string or list the function would return for
+   * some arguments, so that results over the size limit are never allocated.
+   */
+  resultLength?: (...args: any[]) => number;
+}
+
+export interface FunctionOptions {
+  description?: string;
+  params?: FunctionParam[];
+  returns?: ValueType;
+  /** Pass each argument as a thunk rather than its value, so the function can skip arguments it does not need. */
+  lazy?: boolean;
+  /**
+   * Declare that the function has no side effects and always returns the same
+   * result for the same arguments, so partialEvaluate() may call it early.
+   */
+  pure?: boolean;
+}
+
+export interface FunctionDescription {
+  name: string;
+  description: string;
+  params?: FunctionParam[];
+  returns?: ValueType;
+  lazy?: boolean;
+  signature?: string;
 }
 
 export interface FunctionRegistry {
-  register(name: string, fn: FormulaFunction, description?: string): void;
+  register(name: string, fn: FormulaFunction, options?: string | FunctionOptions): void;
   get(name: string): FormulaFunction | undefined;
+  getDefinition(name: string): FunctionDef | undefined;
   has(name: string): boolean;
   unregister(name: string): boolean;
   list(): string[];
-  describe(): Array<{ name: string; description: string }>;
+  describe(): FunctionDescription[];
   getAll(): Record<string, FunctionDef>;
 }
 
-export const builtinFunctions: Readonly<Record<string, FunctionDef>> = Object.freeze({
+const VALUE_TYPES: ValueType[] = ['any', 'number', 'string', 'boolean', 'null', 'date', 'duration', 'list', 'function'];
+
+// Aggregate functions accept lists as well as separate arguments, so sum(1, [2, 3]) is 6
+function flattenArgs(args: any[]): any[] {
+  return args.flat(Infinity);
+}
+
+/** Decimals are objects, so a decimal zero is falsy like the number 0 rather than truthy like other objects. */
+export function isTruthy(value: any): boolean {
+  return value instanceof Decimal ? value.coefficient !== 0n : Boolean(value);
+}
+
+export function isPromiseLike(value: any): value is PromiseLike<any> {
+  return value != null && typeof value.then === 'function';
+}
+
+/**
+ * Passes a value to a callback, waiting for it first if it is a promise. The
+ * lazy built-ins chain their thunks with this so that they work both when the
+ * thunks return values, in evaluate(), and when they return promises, in
+ * evaluateAsync().
+ */
+export function andThen(value: any, fn: (value: any) => any): any {
+  return isPromiseLike(value) ? Promise.resolve(value).then(fn) : fn(value);
+}
+
+/**
+ * Calls a lambda on each item of a list in turn and collects what it returns,
+ * stopping after the first result that `until` accepts. In evaluateAsync() a
+ * lambda can return a promise, and then each call waits for the one before it.
+ */
+function eachItem(list: any[], fn: FormulaFunction, until: (value: any) => boolean = () => false): any {
+  const results: any[] = [];
+  const from = (start: number): any => {
+    for (let i = start; i < list.length; i++) {
+      const value = fn(list[i], i);
+      if (isPromiseLike(value)) {
+        return Promise.resolve(value).then(result => {
+          results.push(result);
+          return until(result) ? results : from(i + 1);
+        });
+      }
+      results.push(value);
+      if (until(value)) break;
+    }
+    return results;
+  };
+  return from(0);
+}
+
+// padstart() counts characters, as len() does, so a pad that does not fit
+// whole is cut between characters rather than inside one
+function padding(str: any, length: number, pad: any): { whole: string; times: number; rest: string } {
+  const whole = String(pad);
+  const chars = Array.from(whole);
+  const missing = Math.max(0, length - Array.from(String(str)).length);
+  if (!chars.length || !missing) return { whole, times: 0, rest: '' };
+  return { whole, times: Math.floor(missing / chars.length), rest: chars.slice(0, missing % chars.length).join('') };
+}
+
+// Dates, durations and decimals are objects, so they are compared by the value they hold rather than by reference
+function valuesEqual(a: any, b: any): boolean {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a instanceof Duration && b instanceof Duration) return a.milliseconds === b.milliseconds;
+  if (a instanceof Decimal || b instanceof Decimal) {
+    // Infinity and NaN equal no decimal
+    const decimal = (value: any) => value instanceof Decimal || (typeof value === 'number' && Number.isFinite(value));
+    return decimal(a) && decimal(b) && Decimal.from(a).equals(Decimal.from(b));
+  }
+  return a === b;
+}
+
+// Text as the & operator sees it: null is empty, and dates are written in ISO 8601 form
+function toText(value: any): string {
+  if (value == null) return '';
+  if (value instanceof Date) return formatDate(value);
+  return String(value);
+}
+
+function addValues(a: any, b: any): any {
+  if (a instanceof Date && b instanceof Duration) return new Date(a.getTime() + b.milliseconds);
+  if (a instanceof Duration && b instanceof Date) return new Date(a.milliseconds + b.getTime());
+  if (a instanceof Duration && b instanceof Duration) return new Duration(a.milliseconds + b.milliseconds);
+  // Adding to a string joins the text, with dates written in ISO 8601 form
+  if (typeof a === 'string' || typeof b === 'string') {
+    const text = (value: any) => (value instanceof Date ? formatDate(value) : String(value));
+    return text(a) + text(b);
+  }
+  if (a instanceof Date || a instanceof Duration || b instanceof Date || b instanceof Duration) {
+    throw new Error(`Operator "+" cannot be applied to ${typeOf(a)} and ${typeOf(b)}`);
+  }
+  return a + b;
+}
+
+// Dates and durations are objects, so they are told apart by the time they hold rather than by reference
+function valueKey(item: any): [kind: string, key: unknown] {
+  if (item instanceof Date) return ['date', item.getTime()];
+  if (item instanceof Duration) return ['duration', item.milliseconds];
+  return ['value', item];
+}
+
+// Keeps the first item with each key. Keys are kept apart by kind, so that a
+// date's time is not mistaken for a number.
+function uniqueItems(list: any[], keyOf: (item: any) => [kind: string, key: unknown]): any[] {
+  const seen = new Map<string, Set<unknown>>();
+  return list.filter(item => {
+    const [kind, key] = keyOf(item);
+    if (!seen.has(kind)) seen.set(kind, new Set());
+    const keys = seen.get(kind)!;
+    if (keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  });
+}
+
+function subtractValues(a: any, b: any): any {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (a instanceof Date && b instanceof Date) return new Duration(a.getTime() - b.getTime());
+  if (a instanceof Date && b instanceof Duration) return new Date(a.getTime() - b.milliseconds);
+  if (a instanceof Duration && b instanceof Duration) return new Duration(a.milliseconds - b.milliseconds);
+  throw new Error(`Cannot subtract a ${typeOf(b)} from a ${typeOf(a)}`);
+}
+
+/**
+ * Marks functions as pure, apart from today() and now(), which read the clock.
+ * Every other built-in returns the same result for the same arguments.
+ */
+function markPure(defs: Record<string, FunctionDef>): Record<string, FunctionDef> {
+  const clock = Object.keys(clockFunctions(() => 0));
+  // Aliases read fn through a getter, so the definitions are marked in place rather than copied
+  Object.entries(defs).forEach(([name, def]) => {
+    if (!clock.includes(name)) def.pure = true;
+  });
+  return defs;
+}
+
+export const builtinFunctions: Readonly<Record<string, FunctionDef>> = Object.freeze(markPure({
   upper: {
     fn: (str: any) => String(str).toUpperCase(),
     description: 'Converts a value to an uppercase string',
+    params: [{ name: 'value' }],
+    returns: 'string',
   },
 
   join: {
-    fn: (sep: any, ...args: any[]) => args.join(sep),
-    description: 'Joins arguments with a separator',
+    fn: (sep: any, ...args: any[]) => flattenArgs(args).join(sep),
+    description: 'Joins arguments (or the items of lists) with a separator',
+    params: [{ name: 'separator' }, { name: 'values', variadic: true }],
+    returns: 'string',
   },
 
   sum: {
-    fn: (...args: any[]) => args.reduce((a, b) => Number(a) + Number(b), 0),
+    fn: (...args: any[]) => flattenArgs(args).reduce((a, b) => Number(a) + Number(b), 0),
     description: 'Sums all arguments numerically',
+    params: [{ name: 'values', type: ['number', 'list'], variadic: true }],
+    returns: 'number',
   },
 
   avg: {
     get fn(): FormulaFunction { return builtinFunctions.mean.fn; },
     description: 'Alias for mean. Returns the arithmetic mean of all arguments',
+    params: [{ name: 'values', type: ['number', 'list'], variadic: true }],
+    returns: 'number',
   },
 
   if: {
-    fn: (cond: any, a: any, b: any) => (cond ? a : b),
+    fn: (cond: Thunk, a: Thunk, b?: Thunk) => andThen(cond(), value => (isTruthy(value) ? a() : b?.())),
     description: 'Returns the second argument if the condition is truthy, otherwise the third',
+    params: [{ name: 'condition' }, { name: 'then' }, { name: 'else', optional: true }],
+    lazy: true,
+  },
+
+  let: {
+    fn: (...args: any[]) => args[args.length - 1],
+    description: 'Binds names to values for use in later values and a final body expression, e.g. let(x, 2, y, x * 3, x + y)',
+    params: [{ name: 'name' }, { name: 'value' }, { name: 'rest', variadic: true }],
   },
 
   coalesce: {
-    fn: (...args: any[]) => args.find(a => a != null),
+    fn: (...args: Thunk[]) => {
+      const from = (i: number): any =>
+        (i < args.length ? andThen(args[i](), value => (value != null ? value : from(i + 1))) : undefined);
+      return from(0);
+    },
     description: 'Returns the first non-null/non-undefined value',
+    params: [{ name: 'values', variadic: true }],
+    lazy: true,
   },
 
   isblank: {
     fn: (val: any) => val === '' || val == null,
     description: 'Returns true if a value is an empty string or null/undefined',
+    params: [{ name: 'value' }],
+    returns: 'boolean',
   },
 
   and: {
-    fn: (...args: any[]) => args.every(Boolean),
-    description: 'Returns true if all arguments are truthy',
+    fn: (...args: Thunk[]) => {
+      const from = (i: number): any => (i < args.length ? andThen(args[i](), value => isTruthy(value) && from(i + 1)) : true);
+      return from(0);
+    },
+    description: 'Returns true if all arguments are truthy, stopping at the first falsy one',
+    params: [{ name: 'values', variadic: true }],
+    returns: 'boolean',
+    lazy: true,
   },
 
   or: {
-    fn: (...args: any[]) => args.some(Boolean),
-    description: 'Returns true if any argument is truthy',
+    fn: (...args: Thunk[]) => {
+      const from = (i: number): any => (i < args.length ? andThen(args[i](), value => isTruthy(value) || from(i + 1)) : false);
+      return from(0);
+    },
+    description: 'Returns true if any argument is truthy, stopping at the first truthy one',
+    params: [{ name: 'values', variadic: true }],
+    returns: 'boolean',
+    lazy: true,
   },
 
   iferr: {
-    fn: (val: any) => val,
+    fn: (value: Thunk, fallback: Thunk) => {
+      // Running out of a resource limit ends the whole evaluation
+      const recover = (error: unknown) => {
+        if (error instanceof FormulaLimitError) throw error;
+        return fallback();
+      };
+      try {
+        const result = value();
+        return isPromiseLike(result) ? Promise.resolve(result).catch(recover) : result;
+      } catch (error) {
+        return recover(error);
+      }
+    },
     description: 'Returns the first argument, or the second if the first throws an error',
+    params: [{ name: 'value' }, { name: 'fallback' }],
+    lazy: true,
+  },
+
+  switch: {
+    fn: (value: Thunk, ...rest: Thunk[]) => andThen(value(), subject => {
+      const from = (i: number): any => {
+        if (i + 1 >= rest.length) return rest.length % 2 ? rest[rest.length - 1]() : null;
+        return andThen(rest[i](), match => (valuesEqual(match, subject) ? rest[i + 1]() : from(i + 2)));
+      };
+      return from(0);
+    }),
+    description: 'Compares a value with each case in turn and returns the result paired with the first match, the final default if there is one, or null',
+    params: [{ name: 'value' }, { name: 'case' }, { name: 'result' }, { name: 'rest', variadic: true }],
+    lazy: true,
+  },
+
+  ifs: {
+    fn: (...args: Thunk[]) => {
+      const from = (i: number): any => {
+        if (i + 1 >= args.length) return args.length % 2 ? args[args.length - 1]() : null;
+        return andThen(args[i](), cond => (isTruthy(cond) ? args[i + 1]() : from(i + 2)));
+      };
+      return from(0);
+    },
+    description: 'Returns the value paired with the first truthy condition, the final default if there is one, or null',
+    params: [{ name: 'condition' }, { name: 'value' }, { name: 'rest', variadic: true }],
+    lazy: true,
+  },
+
+  choose: {
+    fn: (index: Thunk, ...options: Thunk[]) => andThen(index(), n => {
+      if (!Number.isInteger(n) || n < 1 || n > options.length) {
+        throw new Error(`choose() index ${n} is out of range; expected a whole number from 1 to ${options.length}`);
+      }
+      return options[n - 1]();
+    }),
+    description: 'Returns the option at a one-based index, e.g. choose(2, "a", "b", "c") is "b"',
+    params: [{ name: 'index', type: 'number' }, { name: 'options', variadic: true }],
+    lazy: true,
   },
 
   round: {
@@ -73,36 +364,49 @@ export const builtinFunctions: Readonly<Record<string, FunctionDef>> = Object.fr
       return Number(Math.round(Number(`${base}e${Number(exp) + dec}`)) + 'e-' + dec);
     },
     description: 'Rounds a number to a specific decimal precision',
+    params: [{ name: 'value', type: 'number' }, { name: 'digits', type: 'number' }],
+    returns: 'number',
   },
 
   clamp: {
     fn: (val: number, min: number, max: number) => Math.min(Math.max(val, min), max),
     description: 'Restricts a number to a given range',
+    params: [{ name: 'value', type: 'number' }, { name: 'min', type: 'number' }, { name: 'max', type: 'number' }],
+    returns: 'number',
   },
 
   abs: {
     fn: (n: number) => Math.abs(n),
     description: 'Returns the absolute value of a number',
+    params: [{ name: 'value', type: 'number' }],
+    returns: 'number',
   },
 
   mean: {
-    fn: (...args: any[]) => args.reduce((a, b) => Number(a) + Number(b), 0) / args.length,
+    fn: (...args: any[]) => {
+      const values = flattenArgs(args);
+      return values.reduce((a, b) => Number(a) + Number(b), 0) / values.length;
+    },
     description: 'Returns the arithmetic mean of all arguments',
+    params: [{ name: 'values', type: ['number', 'list'], variadic: true }],
+    returns: 'number',
   },
 
   median: {
-    fn: (...args: number[]) => {
-      const sorted = [...args].sort((a, b) => a - b);
+    fn: (...args: any[]) => {
+      const sorted = flattenArgs(args).sort((a, b) => a - b);
       const mid = Math.floor(sorted.length / 2);
       return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
     },
     description: 'Returns the median of all arguments',
+    params: [{ name: 'values', type: ['number', 'list'], variadic: true }],
+    returns: 'number',
   },
 
   mode: {
     fn: (...args: any[]) => {
       const freq: Record<string, number> = {};
-      for (const v of args) freq[v] = (freq[v] || 0) + 1;
+      for (const v of flattenArgs(args)) freq[v] = (freq[v] || 0) + 1;
       let maxCount = 0, result: string | undefined;
       for (const [val, count] of Object.entries(freq)) {
         if (count > maxCount) { maxCount = count; result = val; }
@@ -110,155 +414,875 @@ export const builtinFunctions: Readonly<Record<string, FunctionDef>> = Object.fr
       return Number(result);
     },
     description: 'Returns the most frequently occurring value',
+    params: [{ name: 'values', type: ['number', 'list'], variadic: true }],
+    returns: 'number',
   },
 
   max: {
-    fn: (...args: number[]) => args.reduce((a, b) => a > b ? a : b, -Infinity),
+    fn: (...args: any[]) => flattenArgs(args).reduce((a, b) => a > b ? a : b, -Infinity),
     description: 'Returns the largest of all arguments',
+    params: [{ name: 'values', type: ['number', 'list'], variadic: true }],
+    returns: 'number',
   },
 
   min: {
-    fn: (...args: number[]) => args.reduce((a, b) => a < b ? a : b, Infinity),
+    fn: (...args: any[]) => flattenArgs(args).reduce((a, b) => a < b ? a : b, Infinity),
     description: 'Returns the smallest of all arguments',
+    params: [{ name: 'values', type: ['number', 'list'], variadic: true }],
+    returns: 'number',
   },
 
   isnan: {
     fn: (val: any) => Number.isNaN(Number(val)),
     description: 'Returns true if the value is NaN',
+    params: [{ name: 'value' }],
+    returns: 'boolean',
   },
 
   lower: {
     fn: (str: any) => String(str).toLowerCase(),
     description: 'Converts a value to a lowercase string',
+    params: [{ name: 'value' }],
+    returns: 'string',
   },
 
   istext: {
     fn: (val: any) => typeof val === 'string',
     description: 'Returns true if the value is a string',
+    params: [{ name: 'value' }],
+    returns: 'boolean',
   },
 
   contains: {
     fn: (str: any, search: any) => String(str).includes(String(search)),
     description: 'Returns true if the string contains the search value',
+    params: [{ name: 'text' }, { name: 'search' }],
+    returns: 'boolean',
   },
 
   replace: {
     fn: (str: any, search: any, replacement: any) => String(str).replaceAll(String(search), String(replacement)),
     description: 'Replaces all occurrences of a search value with a replacement',
+    params: [{ name: 'text' }, { name: 'search' }, { name: 'replacement' }],
+    returns: 'string',
+  },
+
+  len: {
+    fn: (str: any) => Array.from(String(str)).length,
+    description: 'Returns the number of characters in a string',
+    params: [{ name: 'text' }],
+    returns: 'number',
+  },
+
+  left: {
+    fn: (str: any, count: number) => Array.from(String(str)).slice(0, Math.max(0, count)).join(''),
+    description: 'Returns the first characters of a string',
+    params: [{ name: 'text' }, { name: 'count', type: 'number' }],
+    returns: 'string',
+  },
+
+  right: {
+    fn: (str: any, count: number) => {
+      const chars = Array.from(String(str));
+      return chars.slice(Math.max(0, chars.length - count)).join('');
+    },
+    description: 'Returns the last characters of a string',
+    params: [{ name: 'text' }, { name: 'count', type: 'number' }],
+    returns: 'string',
+  },
+
+  mid: {
+    fn: (str: any, start: number, count?: number) => {
+      const chars = Array.from(String(str)).slice(Math.max(0, start));
+      return (count === undefined ? chars : chars.slice(0, Math.max(0, count))).join('');
+    },
+    description: 'Returns the characters of a string from a zero-based start position, optionally limited to a count',
+    params: [{ name: 'text' }, { name: 'start', type: 'number' }, { name: 'count', type: 'number', optional: true }],
+    returns: 'string',
+  },
+
+  trim: {
+    fn: (str: any) => String(str).trim(),
+    description: 'Removes whitespace from both ends of a string',
+    params: [{ name: 'text' }],
+    returns: 'string',
+  },
+
+  split: {
+    fn: (str: any, separator: any) => String(str).split(String(separator)),
+    description: 'Splits a string into a list of strings at each occurrence of a separator',
+    params: [{ name: 'text' }, { name: 'separator' }],
+    returns: 'list',
+  },
+
+  startswith: {
+    fn: (str: any, search: any) => String(str).startsWith(String(search)),
+    description: 'Returns true if the string starts with the search value',
+    params: [{ name: 'text' }, { name: 'search' }],
+    returns: 'boolean',
+  },
+
+  endswith: {
+    fn: (str: any, search: any) => String(str).endsWith(String(search)),
+    description: 'Returns true if the string ends with the search value',
+    params: [{ name: 'text' }, { name: 'search' }],
+    returns: 'boolean',
+  },
+
+  indexof: {
+    fn: (str: any, search: any, from = 0) => {
+      const text = String(str);
+      // Positions count characters, as in mid(), so they are converted from and to UTF-16 offsets
+      const start = Array.from(text).slice(0, Math.max(0, from)).join('').length;
+      const found = text.indexOf(String(search), start);
+      return found < 0 ? -1 : Array.from(text.slice(0, found)).length;
+    },
+    description: 'Returns the zero-based position of the first occurrence of a search value at or after a start position, or -1',
+    params: [{ name: 'text' }, { name: 'search' }, { name: 'from', type: 'number', optional: true }],
+    returns: 'number',
+  },
+
+  padstart: {
+    fn: (str: any, length: number, pad: any = ' ') => {
+      const { whole, times, rest } = padding(str, length, pad);
+      return whole.repeat(times) + rest + String(str);
+    },
+    resultLength: (str: any, length: number, pad: any = ' ') => {
+      const { whole, times, rest } = padding(str, length, pad);
+      return whole.length * times + rest.length + String(str).length;
+    },
+    description: 'Pads the start of a string with another string (a space by default) until it reaches a length',
+    params: [{ name: 'text' }, { name: 'length', type: 'number' }, { name: 'pad', optional: true }],
+    returns: 'string',
+  },
+
+  repeat: {
+    fn: (str: any, count: number) => {
+      if (!Number.isInteger(count) || count < 0) throw new Error('repeat() expects a whole number of repetitions');
+      return String(str).repeat(count);
+    },
+    // Counts that repeat() rejects produce nothing
+    resultLength: (str: any, count: number) => (Number.isInteger(count) && count > 0 ? String(str).length * count : 0),
+    description: 'Returns a string repeated a number of times',
+    params: [{ name: 'text' }, { name: 'count', type: 'number' }],
+    returns: 'string',
+  },
+
+  proper: {
+    fn: (str: any) => String(str).toLowerCase().replace(/(^|[^\p{L}\p{N}'])(\p{L})/gu, (_, before, letter) => before + letter.toUpperCase()),
+    description: 'Capitalizes the first letter of each word and lowercases the rest',
+    params: [{ name: 'text' }],
+    returns: 'string',
+  },
+
+  regexmatch: {
+    fn: (str: any, pattern: string, flags?: string) => safeRegExp(pattern, flags).test(regexInput(str)),
+    description: 'Returns true if a string matches a regular expression',
+    params: [{ name: 'text' }, { name: 'pattern', type: 'string' }, { name: 'flags', type: 'string', optional: true }],
+    returns: 'boolean',
+  },
+
+  regexextract: {
+    fn: (str: any, pattern: string, flags?: string) => {
+      const match = safeRegExp(pattern, flags).exec(regexInput(str));
+      if (!match) return null;
+      return match.length > 1 ? match[1] ?? null : match[0];
+    },
+    description: 'Returns the first match of a regular expression in a string, or its first capture group if it has one. Returns null if there is no match',
+    params: [{ name: 'text' }, { name: 'pattern', type: 'string' }, { name: 'flags', type: 'string', optional: true }],
+  },
+
+  regexreplace: {
+    fn: (str: any, pattern: string, replacement: any, flags?: string) =>
+      regexInput(str).replace(safeRegExp(pattern, flags, true), String(replacement)),
+    description: 'Replaces every match of a regular expression in a string. The replacement can refer to capture groups as $1, $2 and so on',
+    params: [
+      { name: 'text' },
+      { name: 'pattern', type: 'string' },
+      { name: 'replacement' },
+      { name: 'flags', type: 'string', optional: true },
+    ],
+    returns: 'string',
   },
 
   not: {
     get fn(): FormulaFunction { return builtinFunctions.__not.fn; },
     description: 'Returns the logical negation of a value',
+    params: [{ name: 'value' }],
+    returns: 'boolean',
   },
 
   concat: {
-    fn: (...args: any[]) => args.join(''),
-    description: 'Concatenates all arguments without a separator',
+    fn: (...args: any[]) => flattenArgs(args).join(''),
+    description: 'Concatenates all arguments (or the items of lists) without a separator',
+    params: [{ name: 'values', variadic: true }],
+    returns: 'string',
+  },
+
+  count: {
+    fn: (...args: any[]) => flattenArgs(args).length,
+    description: 'Returns the number of arguments, counting each item of a list',
+    params: [{ name: 'values', variadic: true }],
+    returns: 'number',
+  },
+
+  first: {
+    fn: (list: any[]) => (list.length ? list[0] : null),
+    description: 'Returns the first item of a list, or null if it is empty',
+    params: [{ name: 'list', type: 'list' }],
+  },
+
+  last: {
+    fn: (list: any[]) => (list.length ? list[list.length - 1] : null),
+    description: 'Returns the last item of a list, or null if it is empty',
+    params: [{ name: 'list', type: 'list' }],
+  },
+
+  index: {
+    fn: (list: any[], n: number) => {
+      if (!Number.isInteger(n) || n >= list.length || n < -list.length) {
+        throw new Error(`Index ${n} is out of range for a list of length ${list.length}`);
+      }
+      return list.at(n);
+    },
+    description: 'Returns the item at a zero-based position in a list. Negative positions count back from the end',
+    params: [{ name: 'list', type: 'list' }, { name: 'n', type: 'number' }],
+  },
+
+  slice: {
+    fn: (list: any[], start: number, end?: number) => list.slice(start, end),
+    description: 'Returns the items of a list from a zero-based start position up to, but not including, an end position',
+    params: [{ name: 'list', type: 'list' }, { name: 'start', type: 'number' }, { name: 'end', type: 'number', optional: true }],
+    returns: 'list',
+  },
+
+  sort: {
+    fn: (list: any[], descending: any = false) => {
+      const sorted = [...list].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+      return descending ? sorted.reverse() : sorted;
+    },
+    description: 'Returns a sorted copy of a list, in descending order if the second argument is truthy',
+    params: [{ name: 'list', type: 'list' }, { name: 'descending', optional: true }],
+    returns: 'list',
+  },
+
+  unique: {
+    fn: (list: any[]) => uniqueItems(list, valueKey),
+    description: 'Returns a list with duplicate items removed, keeping the first occurrence of each',
+    params: [{ name: 'list', type: 'list' }],
+    returns: 'list',
+  },
+
+  flatten: {
+    fn: (list: any[]) => list.flat(Infinity),
+    description: 'Returns a list with all nested lists expanded into a single level',
+    params: [{ name: 'list', type: 'list' }],
+    returns: 'list',
+  },
+
+  map: {
+    fn: (list: any[], fn: FormulaFunction) => eachItem(list, fn),
+    description: 'Returns a list of the results of calling a function on each item',
+    params: [{ name: 'list', type: 'list' }, { name: 'fn', type: 'function' }],
+    returns: 'list',
+  },
+
+  filter: {
+    fn: (list: any[], fn: FormulaFunction) => andThen(eachItem(list, fn), keep => list.filter((_, i) => isTruthy(keep[i]))),
+    description: 'Returns the items of a list for which a function returns a truthy value',
+    params: [{ name: 'list', type: 'list' }, { name: 'fn', type: 'function' }],
+    returns: 'list',
+  },
+
+  reduce: {
+    fn: (list: any[], fn: FormulaFunction, ...initial: any[]) => {
+      if (!initial.length && !list.length) throw new TypeError('Reduce of empty array with no initial value');
+      const from = (acc: any, start: number): any => {
+        for (let i = start; i < list.length; i++) {
+          const next = fn(acc, list[i], i);
+          if (isPromiseLike(next)) return Promise.resolve(next).then(result => from(result, i + 1));
+          acc = next;
+        }
+        return acc;
+      };
+      return initial.length ? from(initial[0], 0) : from(list[0], 1);
+    },
+    description: 'Combines the items of a list into one value by calling a function with the running result and each item',
+    params: [{ name: 'list', type: 'list' }, { name: 'fn', type: 'function' }, { name: 'initial', optional: true }],
+  },
+
+  find: {
+    fn: (list: any[], fn: FormulaFunction) => andThen(eachItem(list, fn, isTruthy), found => {
+      const i = found.length - 1;
+      return i >= 0 && isTruthy(found[i]) ? list[i] ?? null : null;
+    }),
+    description: 'Returns the first item of a list for which a function returns a truthy value, or null',
+    params: [{ name: 'list', type: 'list' }, { name: 'fn', type: 'function' }],
+  },
+
+  any: {
+    fn: (list: any[], fn: FormulaFunction) => andThen(eachItem(list, fn, isTruthy), found => found.some(isTruthy)),
+    description: 'Returns true if a function returns a truthy value for any item of a list',
+    params: [{ name: 'list', type: 'list' }, { name: 'fn', type: 'function' }],
+    returns: 'boolean',
+  },
+
+  all: {
+    fn: (list: any[], fn: FormulaFunction) => andThen(eachItem(list, fn, value => !isTruthy(value)), found => found.every(isTruthy)),
+    description: 'Returns true if a function returns a truthy value for every item of a list',
+    params: [{ name: 'list', type: 'list' }, { name: 'fn', type: 'function' }],
+    returns: 'boolean',
+  },
+
+  sortby: {
+    fn: (list: any[], fn: FormulaFunction, descending: any = false) => {
+      const direction = descending ? -1 : 1;
+      return andThen(eachItem(list, fn), keys => {
+        const keyed = list.map((item, i) => ({ item, key: keys[i] }));
+        keyed.sort((a, b) => direction * (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+        return keyed.map(({ item }) => item);
+      });
+    },
+    description: 'Returns a copy of a list sorted by the value a function returns for each item',
+    params: [{ name: 'list', type: 'list' }, { name: 'fn', type: 'function' }, { name: 'descending', optional: true }],
+    returns: 'list',
+  },
+
+  ...clockFunctions(() => Date.now()),
+
+  date: {
+    fn: (year: number, month: number, day: number) => makeDate(year, month, day),
+    description: 'Returns the date for a year, month (1-12) and day',
+    params: [{ name: 'year', type: 'number' }, { name: 'month', type: 'number' }, { name: 'day', type: 'number' }],
+    returns: 'date',
+  },
+
+  datetime: {
+    fn: (year: number, month: number, day: number, hour?: number, minute?: number, second?: number) =>
+      makeDate(year, month, day, hour, minute, second),
+    description: 'Returns the date and time for a year, month (1-12), day, hour, minute and second, in UTC',
+    params: [
+      { name: 'year', type: 'number' },
+      { name: 'month', type: 'number' },
+      { name: 'day', type: 'number' },
+      { name: 'hour', type: 'number', optional: true },
+      { name: 'minute', type: 'number', optional: true },
+      { name: 'second', type: 'number', optional: true },
+    ],
+    returns: 'date',
+  },
+
+  parsedate: {
+    fn: (text: string) => parseIsoDate(text),
+    description: 'Parses an ISO 8601 date such as "2024-03-01" or date and time such as "2024-03-01T09:30:00Z"',
+    params: [{ name: 'text', type: 'string' }],
+    returns: 'date',
+  },
+
+  formatdate: {
+    fn: (date: Date, pattern?: string) => formatDate(date, pattern),
+    description: 'Formats a date as ISO 8601, or with a pattern made of YYYY, MM, DD, HH, mm, ss and SSS',
+    params: [{ name: 'date', type: 'date' }, { name: 'pattern', type: 'string', optional: true }],
+    returns: 'string',
+  },
+
+  dateadd: {
+    fn: (date: Date, amount: number, unit: string) => addToDate(date, amount, unit),
+    description: 'Adds a number of years, months, weeks, days, hours, minutes, seconds or milliseconds to a date',
+    params: [{ name: 'date', type: 'date' }, { name: 'amount', type: 'number' }, { name: 'unit', type: 'string' }],
+    returns: 'date',
+  },
+
+  datediff: {
+    fn: (start: Date, end: Date, unit: string) => diffDates(start, end, unit),
+    description: 'Returns the number of whole units from the first date to the second, negative if the second is earlier',
+    params: [{ name: 'start', type: 'date' }, { name: 'end', type: 'date' }, { name: 'unit', type: 'string' }],
+    returns: 'number',
+  },
+
+  duration: {
+    fn: (amount: number, unit: string) => makeDuration(amount, unit),
+    description: 'Returns a duration of a number of weeks, days, hours, minutes, seconds or milliseconds',
+    params: [{ name: 'amount', type: 'number' }, { name: 'unit', type: 'string' }],
+    returns: 'duration',
+  },
+
+  durationin: {
+    fn: (duration: Duration, unit: string) => durationIn(duration, unit),
+    description: 'Returns the length of a duration in weeks, days, hours, minutes, seconds or milliseconds',
+    params: [{ name: 'duration', type: 'duration' }, { name: 'unit', type: 'string' }],
+    returns: 'number',
+  },
+
+  year: {
+    fn: (date: Date) => date.getUTCFullYear(),
+    description: 'Returns the year of a date',
+    params: [{ name: 'date', type: 'date' }],
+    returns: 'number',
+  },
+
+  month: {
+    fn: (date: Date) => date.getUTCMonth() + 1,
+    description: 'Returns the month of a date, from 1 for January to 12 for December',
+    params: [{ name: 'date', type: 'date' }],
+    returns: 'number',
+  },
+
+  day: {
+    fn: (date: Date) => date.getUTCDate(),
+    description: 'Returns the day of the month of a date',
+    params: [{ name: 'date', type: 'date' }],
+    returns: 'number',
+  },
+
+  hour: {
+    fn: (date: Date) => date.getUTCHours(),
+    description: 'Returns the hour of a date and time, from 0 to 23',
+    params: [{ name: 'date', type: 'date' }],
+    returns: 'number',
+  },
+
+  minute: {
+    fn: (date: Date) => date.getUTCMinutes(),
+    description: 'Returns the minute of a date and time',
+    params: [{ name: 'date', type: 'date' }],
+    returns: 'number',
+  },
+
+  second: {
+    fn: (date: Date) => date.getUTCSeconds(),
+    description: 'Returns the second of a date and time',
+    params: [{ name: 'date', type: 'date' }],
+    returns: 'number',
+  },
+
+  weekday: {
+    fn: (date: Date) => isoWeekday(date),
+    description: 'Returns the day of the week of a date, from 1 for Monday to 7 for Sunday',
+    params: [{ name: 'date', type: 'date' }],
+    returns: 'number',
+  },
+
+  eomonth: {
+    fn: (date: Date, months = 0) => endOfMonth(date, months),
+    description: 'Returns the last day of the month a number of months before or after a date',
+    params: [{ name: 'date', type: 'date' }, { name: 'months', type: 'number', optional: true }],
+    returns: 'date',
+  },
+
+  networkdays: {
+    fn: (start: Date, end: Date, holidays: Date[] = []) => {
+      if (!holidays.every(holiday => holiday instanceof Date)) throw new Error('Holidays must be a list of dates');
+      return networkDays(start, end, holidays);
+    },
+    description: 'Returns the number of weekdays from the first date to the second inclusive, skipping a list of holidays',
+    params: [{ name: 'start', type: 'date' }, { name: 'end', type: 'date' }, { name: 'holidays', type: 'list', optional: true }],
+    returns: 'number',
+  },
+
+  __list: {
+    fn: (...items: any[]) => items,
+    description: 'List literal',
+    params: [{ name: 'items', variadic: true }],
+    returns: 'list',
+  },
+
+  __decimal: {
+    fn: (digits: string) => Number(digits),
+    description: 'Number literal with more digits than a plain number holds, which decimal mode reads exactly',
+    params: [{ name: 'digits', type: 'string' }],
+    returns: 'number',
+  },
+
+  __member: {
+    fn: (object: any, key: string | number) => {
+      const problem = memberAccessError(object, key);
+      if (problem) throw new Error(problem);
+      return getMember(object, key);
+    },
+    description: 'Member access and indexing operator',
+    params: [{ name: 'object' }, { name: 'key', type: ['string', 'number'] }],
   },
 
   __add: {
-    fn: (a: any, b: any) => a + b,
+    fn: (a: any, b: any) => addValues(a, b),
     description: 'Addition operator',
+    params: [{ name: 'left' }, { name: 'right' }],
   },
 
   __sub: {
-    fn: (a: number, b: number) => a - b,
+    fn: (a: any, b: any) => subtractValues(a, b),
     description: 'Subtraction operator',
+    params: [{ name: 'left', type: ['number', 'date', 'duration'] }, { name: 'right', type: ['number', 'date', 'duration'] }],
   },
 
   __eq: {
-    fn: (a: any, b: any) => a === b,
+    fn: (a: any, b: any) => valuesEqual(a, b),
     description: 'Equality operator',
+    params: [{ name: 'left' }, { name: 'right' }],
+    returns: 'boolean',
   },
 
   __neq: {
-    fn: (a: any, b: any) => a !== b,
+    fn: (a: any, b: any) => !valuesEqual(a, b),
     description: 'Not-equal operator',
+    params: [{ name: 'left' }, { name: 'right' }],
+    returns: 'boolean',
   },
 
   __gt: {
     fn: (a: any, b: any) => a > b,
     description: 'Greater-than operator',
+    params: [{ name: 'left' }, { name: 'right' }],
+    returns: 'boolean',
   },
 
   __gte: {
     fn: (a: any, b: any) => a >= b,
     description: 'Greater-than-or-equal operator',
+    params: [{ name: 'left' }, { name: 'right' }],
+    returns: 'boolean',
   },
 
   __lt: {
     fn: (a: any, b: any) => a < b,
     description: 'Less-than operator',
+    params: [{ name: 'left' }, { name: 'right' }],
+    returns: 'boolean',
   },
 
   __lte: {
     fn: (a: any, b: any) => a <= b,
     description: 'Less-than-or-equal operator',
+    params: [{ name: 'left' }, { name: 'right' }],
+    returns: 'boolean',
   },
 
   __mul: {
     fn: (a: number, b: number) => a * b,
     description: 'Multiplication operator',
+    params: [{ name: 'left', type: 'number' }, { name: 'right', type: 'number' }],
+    returns: 'number',
   },
 
   __div: {
     fn: (a: number, b: number) => a / b,
     description: 'Division operator',
+    params: [{ name: 'left', type: 'number' }, { name: 'right', type: 'number' }],
+    returns: 'number',
+  },
+
+  __mod: {
+    fn: (a: number, b: number) => a % b,
+    description: 'Remainder operator',
+    params: [{ name: 'left', type: 'number' }, { name: 'right', type: 'number' }],
+    returns: 'number',
+  },
+
+  __pow: {
+    fn: (a: number, b: number) => a ** b,
+    description: 'Exponentiation operator',
+    params: [{ name: 'base', type: 'number' }, { name: 'exponent', type: 'number' }],
+    returns: 'number',
+  },
+
+  __concat: {
+    fn: (a: any, b: any) => toText(a) + toText(b),
+    description: 'String concatenation operator',
+    params: [{ name: 'left' }, { name: 'right' }],
+    returns: 'string',
+  },
+
+  __in: {
+    fn: (value: any, collection: any[] | string) => {
+      if (typeof collection === 'string') return collection.includes(toText(value));
+      return collection.some(item => valuesEqual(item, value));
+    },
+    description: 'Membership operator: true if a list contains a value, or a string contains a substring',
+    params: [{ name: 'value' }, { name: 'collection', type: ['list', 'string'] }],
+    returns: 'boolean',
+  },
+
+  __ternary: {
+    get fn(): FormulaFunction { return builtinFunctions.if.fn; },
+    description: 'Conditional operator',
+    params: [{ name: 'condition' }, { name: 'then' }, { name: 'else' }],
+    lazy: true,
   },
 
   __and: {
-    fn: (a: any, b: any) => a && b,
+    fn: (a: Thunk, b: Thunk) => andThen(a(), left => (isTruthy(left) ? b() : left)),
     description: 'Logical AND operator',
+    params: [{ name: 'left' }, { name: 'right' }],
+    lazy: true,
   },
 
   __or: {
-    fn: (a: any, b: any) => a || b,
+    fn: (a: Thunk, b: Thunk) => andThen(a(), left => (isTruthy(left) ? left : b())),
     description: 'Logical OR operator',
+    params: [{ name: 'left' }, { name: 'right' }],
+    lazy: true,
   },
 
   __not: {
-    fn: (a: any) => !a,
+    fn: (a: any) => !isTruthy(a),
     description: 'Logical NOT operator',
+    params: [{ name: 'value' }],
+    returns: 'boolean',
   },
 
   __neg: {
     fn: (a: number) => -a,
     description: 'Unary negation operator',
+    params: [{ name: 'value', type: 'number' }],
+    returns: 'number',
   },
-});
+}));
+
+export interface DecimalOptions {
+  /** How results that cannot be represented exactly are rounded. */
+  rounding?: RoundingMode;
+  /** Digits kept after the decimal point when a division or mean does not terminate. */
+  decimalPlaces?: number;
+}
+
+// NaN and the infinities have no decimal form, so they are not numeric here
+function isNumeric(value: any): value is number | Decimal {
+  return (typeof value === 'number' && Number.isFinite(value)) || value instanceof Decimal;
+}
+
+function isNonFinite(value: any): boolean {
+  return typeof value === 'number' && !Number.isFinite(value);
+}
+
+/**
+ * Builds decimal versions of the arithmetic operators and math functions, which
+ * replace the built-in ones when an evaluator is created in decimal mode. Plain
+ * numbers passed to them are converted to decimals first.
+ */
+export function decimalFunctions({ rounding = 'half-up', decimalPlaces = 20 }: DecimalOptions = {}): Record<string, FunctionDef> {
+  if (!ROUNDING_MODES.includes(rounding)) {
+    throw new Error(`Unknown rounding mode "${rounding}"; expected one of ${ROUNDING_MODES.join(', ')}`);
+  }
+  if (!Number.isInteger(decimalPlaces) || decimalPlaces < 0) {
+    throw new Error('decimalPlaces must be a non-negative integer');
+  }
+
+  const dec = Decimal.from;
+  const divide = (a: any, b: any) => dec(a).dividedBy(dec(b), decimalPlaces, rounding);
+  const compare = (a: any, b: any) => dec(a).compare(dec(b));
+  const extreme = (name: string, pick: (c: number) => boolean) => (...args: any[]) => {
+    const values = flattenArgs(args);
+    if (!values.length) throw new Error(`${name}() needs at least one value`);
+    return values.map(dec).reduce((a, b) => (pick(b.compare(a)) ? b : a));
+  };
+  const mean = (...args: any[]) => {
+    const values = flattenArgs(args);
+    if (!values.length) throw new Error('mean() needs at least one value');
+    return divide(values.map(dec).reduce((a, b) => a.plus(b)), values.length);
+  };
+  // NaN and the infinities have no decimal form, so calls given one fall back to the built-in version
+  const exact = (name: keyof typeof builtinFunctions, fn: (...args: any[]) => any): FunctionDef => ({
+    ...builtinFunctions[name],
+    fn: (...args: any[]) => (flattenArgs(args).some(isNonFinite) ? builtinFunctions[name].fn(...args) : fn(...args)),
+  });
+  // Non-numeric operands keep the behaviour of the built-in operators
+  const comparison = (op: keyof typeof builtinFunctions, test: (c: number) => boolean): FunctionDef => ({
+    ...builtinFunctions[op],
+    fn: (a: any, b: any) => (isNumeric(a) && isNumeric(b) ? test(compare(a, b)) : builtinFunctions[op].fn(a, b)),
+  });
+
+  return {
+    __add: {
+      ...builtinFunctions.__add,
+      fn: (a: any, b: any) => (isNumeric(a) && isNumeric(b) ? dec(a).plus(dec(b)) : addValues(a, b)),
+    },
+    __sub: {
+      ...builtinFunctions.__sub,
+      fn: (a: any, b: any) => (isNumeric(a) && isNumeric(b) ? dec(a).minus(dec(b)) : subtractValues(a, b)),
+    },
+    __mul: exact('__mul', (a: any, b: any) => dec(a).times(dec(b))),
+    __div: exact('__div', divide),
+    __neg: exact('__neg', (a: any) => dec(a).negated()),
+    __mod: exact('__mod', (a: any, b: any) => dec(a).remainder(dec(b))),
+    __pow: exact('__pow', (a: any, b: any) => dec(a).pow(dec(b), decimalPlaces, rounding)),
+    __in: {
+      ...builtinFunctions.__in,
+      fn: (value: any, collection: any[] | string) => {
+        if (typeof collection === 'string' || !isNumeric(value)) return builtinFunctions.__in.fn(value, collection);
+        return collection.some(item => isNumeric(item) && dec(item).equals(dec(value)));
+      },
+    },
+    __eq: comparison('__eq', c => c === 0),
+    __neq: comparison('__neq', c => c !== 0),
+    __decimal: { ...builtinFunctions.__decimal, fn: (digits: string) => dec(digits) },
+    __gt: comparison('__gt', c => c > 0),
+    __gte: comparison('__gte', c => c >= 0),
+    __lt: comparison('__lt', c => c < 0),
+    __lte: comparison('__lte', c => c <= 0),
+    sum: exact('sum', (...args: any[]) => flattenArgs(args).reduce((a: Decimal, b) => a.plus(dec(b)), dec(0))),
+    mean: exact('mean', mean),
+    avg: exact('avg', mean),
+    median: exact('median', (...args: any[]) => {
+      const sorted = flattenArgs(args).map(dec).sort((a, b) => a.compare(b));
+      if (!sorted.length) throw new Error('median() needs at least one value');
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 !== 0 ? sorted[mid] : divide(sorted[mid - 1].plus(sorted[mid]), 2);
+    }),
+    max: exact('max', extreme('max', c => c > 0)),
+    min: exact('min', extreme('min', c => c < 0)),
+    round: exact('round', (n: any, d: any) => {
+      const places = Number(d);
+      if (!Number.isInteger(places)) throw new Error('round() expects a whole number of digits');
+      return dec(n).round(places, rounding);
+    }),
+    clamp: exact('clamp', (val: any, min: any, max: any) => {
+      const value = dec(val);
+      if (value.compare(dec(min)) < 0) return dec(min);
+      return value.compare(dec(max)) > 0 ? dec(max) : value;
+    }),
+    abs: exact('abs', (n: any) => dec(n).abs()),
+    unique: {
+      ...builtinFunctions.unique,
+      // Decimals are objects too, so numbers are told apart by value
+      fn: (list: any[]) => uniqueItems(list, item => (isNumeric(item) ? ['number', String(dec(item))] : valueKey(item))),
+    },
+  };
+}
+
+/**
+ * Describes why a key cannot be read from a value, or returns null if it can.
+ * Only own properties of objects can be read, so formulas cannot reach into
+ * inherited members such as `constructor`. Lists are indexed from zero, and
+ * negative indexes count back from the end.
+ */
+export function memberAccessError(object: any, key: any, path = 'value'): string | null {
+  if (object == null) return `Cannot read "${key}" of ${path} because it is null`;
+  if (Array.isArray(object) && typeof key === 'number') {
+    if (!Number.isInteger(key) || key >= object.length || key < -object.length) {
+      return `Index ${key} is out of range for ${path} (length ${object.length})`;
+    }
+    return null;
+  }
+  if (typeof object !== 'object') return `Cannot read "${key}" of ${path} because it is a ${typeof object}`;
+  if (!Object.hasOwn(object, key)) return `Property "${key}" not found in ${path}`;
+  return null;
+}
+
+export function getMember(object: any, key: string | number): any {
+  return Array.isArray(object) && typeof key === 'number' ? object.at(key) : object[key];
+}
+
+/** Returns the minimum and maximum number of arguments a parameter list accepts. */
+export function getArity(params: FunctionParam[]): { min: number; max: number } {
+  const min = params.filter(p => !p.optional && !p.variadic).length;
+  const max = params.some(p => p.variadic) ? Infinity : params.length;
+  return { min, max };
+}
+
+/** Returns the formula type of a runtime value, or 'any' for values with no formula type. */
+export function typeOf(value: any): ValueType {
+  if (value == null) return 'null';
+  if (Array.isArray(value)) return 'list';
+  if (value instanceof Date) return 'date';
+  if (value instanceof Duration) return 'duration';
+  if (value instanceof Decimal) return 'number';
+  const type = typeof value;
+  return type === 'number' || type === 'string' || type === 'boolean' || type === 'function' ? type : 'any';
+}
+
+/** Returns true if a parameter declared with the given type accepts values of another type. */
+export function acceptsType(type: ValueType | ValueType[] = 'any', actual: ValueType): boolean {
+  const types = Array.isArray(type) ? type : [type];
+  return types.includes('any') || types.includes(actual);
+}
+
+export function matchesType(value: any, type: ValueType | ValueType[] = 'any'): boolean {
+  return acceptsType(type, typeOf(value));
+}
+
+/** Renders a human-readable signature, e.g. `round(value: number, digits: number): number`. */
+export function formatSignature(name: string, { params = [], returns }: Pick<FunctionDef, 'params' | 'returns'>): string {
+  const list = params.map(({ name: param, type, optional, variadic }) =>
+    `${variadic ? '...' : ''}${param}${optional ? '?' : ''}${type && type !== 'any' ? `: ${[type].flat().join(' | ')}` : ''}`,
+  );
+  return `${name}(${list.join(', ')})${returns && returns !== 'any' ? `: ${returns}` : ''}`;
+}
+
+function validateParams(params: FunctionParam[]): void {
+  if (!Array.isArray(params)) throw new Error('Function params must be an array');
+  let seenOptional = false;
+  params.forEach((param, i) => {
+    if (!param || typeof param.name !== 'string' || !param.name) {
+      throw new Error('Function parameter name must be a non-empty string');
+    }
+    if (param.type !== undefined && ![param.type].flat().every(type => VALUE_TYPES.includes(type))) {
+      throw new Error(`Unknown type "${param.type}" for parameter "${param.name}"`);
+    }
+    if (param.variadic && i !== params.length - 1) {
+      throw new Error(`Variadic parameter "${param.name}" must be the last parameter`);
+    }
+    if (param.optional) seenOptional = true;
+    else if (seenOptional && !param.variadic) {
+      throw new Error(`Required parameter "${param.name}" cannot follow an optional parameter`);
+    }
+  });
+}
 
 export function createFunctionRegistry(initialFunctions: Record<string, FormulaFunction | FunctionDef> = {}): FunctionRegistry {
-  const functions: Record<string, FunctionDef> = { ...builtinFunctions };
+  // Functions are stored without a prototype and looked up as own properties,
+  // so that names such as `constructor` or `__proto__` are never inherited
+  const functions: Record<string, FunctionDef> = Object.assign(Object.create(null), builtinFunctions);
+  const lookup = (name: string): FunctionDef | undefined => {
+    const lower = name.toLowerCase();
+    return Object.hasOwn(functions, lower) ? functions[lower] : undefined;
+  };
 
   for (const [name, val] of Object.entries(initialFunctions)) {
+    if (typeof val !== 'function' && val.params) validateParams(val.params);
     functions[name.toLowerCase()] = typeof val === 'function'
       ? { fn: val, description: '' }
       : { ...val };
   }
 
   return {
-    register(name: string, fn: FormulaFunction, description = '') {
+    register(name: string, fn: FormulaFunction, options: string | FunctionOptions = '') {
       if (typeof name !== 'string' || !name) {
         throw new Error('Function name must be a non-empty string');
       }
       if (typeof fn !== 'function') {
         throw new Error('Function implementation must be a function');
       }
-      functions[name.toLowerCase()] = { fn, description };
+      const { description = '', params, returns, lazy, pure } = typeof options === 'string' ? { description: options } : options;
+      const def: FunctionDef = { fn, description };
+      if (lazy) def.lazy = true;
+      if (pure) def.pure = true;
+      if (params) {
+        validateParams(params);
+        def.params = params.map(param => ({ ...param }));
+      }
+      if (returns) {
+        if (!VALUE_TYPES.includes(returns)) throw new Error(`Unknown return type "${returns}"`);
+        def.returns = returns;
+      }
+      functions[name.toLowerCase()] = def;
     },
 
     get(name: string) {
-      return functions[name.toLowerCase()]?.fn;
+      return lookup(name)?.fn;
+    },
+
+    getDefinition(name: string) {
+      return lookup(name);
     },
 
     has(name: string) {
-      return name.toLowerCase() in functions;
+      return lookup(name) !== undefined;
     },
 
     unregister(name: string) {
       const lower = name.toLowerCase();
-      if (lower in builtinFunctions) {
+      if (Object.hasOwn(builtinFunctions, lower)) {
         throw new Error(`Cannot unregister built-in function "${name}"`);
       }
       return delete functions[lower];
@@ -271,7 +1295,16 @@ export function createFunctionRegistry(initialFunctions: Record<string, FormulaF
     describe() {
       return Object.entries(functions)
         .filter(([name]) => !name.startsWith('__'))
-        .map(([name, { description }]) => ({ name, description }));
+        .map(([name, def]) => {
+          const entry: FunctionDescription = { name, description: def.description };
+          if (def.lazy) entry.lazy = true;
+          if (def.params) {
+            entry.params = def.params.map(param => ({ ...param }));
+            if (def.returns) entry.returns = def.returns;
+            entry.signature = formatSignature(name, def);
+          }
+          return entry;
+        });
     },
 
     getAll() {
@@ -1,7 +1,102 @@
-import { createFunctionRegistry, FunctionRegistry } from './functions.js';
+import {
+  builtinFunctions,
+  createFunctionRegistry,
+  decimalFunctions,
+  FormulaFunction,
+  FunctionDef,
+  FunctionDescription,
+  FunctionOptions,
+  FunctionParam,
+  FunctionRegistry,
+  acceptsType,
+  getArity,
+  getMember,
+  isPromiseLike,
+  isTruthy,
+  memberAccessError,
+  matchesType,
+  typeOf,
+  ValueType,
+} from './functions.js';
+import {
+  FormulaCallLimitError,
+  FormulaDepthError,
+  FormulaError,
+  FormulaEvaluationError,
+  FormulaLengthError,
+  FormulaLimitErrorDetails,
+  FormulaSizeError,
+  FormulaSyntaxError,
+  FormulaTimeoutError,
+  locate,
+} from './errors.js';
+import {
+  ASTNode,
+  BINARY_OPERATORS,
+  DECIMAL_LITERAL,
+  FunctionNode,
+  LambdaNode,
+  OPERATOR_SYMBOL,
+  OP_SYMBOLS,
+  PREFIX_OPERATORS,
+  VariableNode,
+  equalAst,
+  operatorSymbol,
+  transform,
+} from './ast.js';
+import { FormatOptions, formatAst } from './format.js';
+import { GeneratedFormula, generate } from './codegen.js';
+import { Clock, clockFunctions } from './dates.js';
+import { Decimal, RoundingMode, toDecimal } from './decimal.js';
 
 export { builtinFunctions, createFunctionRegistry } from './functions.js';
-export type { FormulaFunction, FunctionDef, FunctionRegistry } from './functions.js';
+export type {
+  FormulaFunction,
+  Thunk,
+  FunctionDef,
+  FunctionDescription,
+  FunctionOptions,
+  FunctionParam,
+  FunctionRegistry,
+  ValueType,
+} from './functions.js';
+export { Workbook, CircularReferenceError } from './workbook.js';
+export {
+  FormulaError,
+  FormulaSyntaxError,
+  FormulaEvaluationError,
+  FormulaLimitError,
+  FormulaLengthError,
+  FormulaDepthError,
+  FormulaCallLimitError,
+  FormulaSizeError,
+  FormulaTimeoutError,
+} from './errors.js';
+export type { SourceSpan } from './errors.js';
+export { serialize, deserialize, transform, AST_VERSION } from './ast.js';
+export type {
+  ASTNode,
+  ASTVisitor,
+  TransformContext,
+  DeserializeOptions,
+  FunctionNode,
+  VariableNode,
+  LambdaNode,
+  SerializedAST,
+  SerializedNode,
+  SerializedLiteral,
+  SerializedVariable,
+  SerializedCall,
+  SerializedOperator,
+  SerializedMember,
+  SerializedList,
+  SerializedLambda,
+} from './ast.js';
+export type { FormatOptions } from './format.js';
+export { Duration } from './dates.js';
+export type { Clock } from './dates.js';
+export { Decimal } from './decimal.js';
+export type { RoundingMode } from './decimal.js';
 
 const TOKEN_TYPES = Object.freeze({
   NUMBER: 'number',
@@ -19,15 +114,57 @@ interface TokenRule {
   regex: RegExp;
 }
 
+// Symbols that are part of the syntax, so cannot be registered as operators
+const SYNTAX_SYMBOLS = ['=>', '?', ':'];
+
+// Word operators such as `in` are tokenized as identifiers, so they cannot be used as variable names
+function isWordOperator(symbol: string): boolean {
+  return /^[a-zA-Z]/.test(symbol);
+}
+
+/** Builds the tokenizer rule for a set of operator symbols, trying longer symbols first. */
+function operatorRegex(symbols: string[]): RegExp {
+  const alternatives = symbols
+    .filter(symbol => !isWordOperator(symbol))
+    .sort((a, b) => b.length - a.length)
+    .map(symbol => symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(alternatives.join('|'), 'y');
+}
+
+// Sticky rules only match at the current position, so each token is found without searching ahead
 const TOKEN_RULES: TokenRule[] = [
-  { type: TOKEN_TYPES.STRING,     regex: /"([^"]*)"/g },
-  { type: TOKEN_TYPES.NUMBER,     regex: /\d*\.?\d+/g },
-  { type: TOKEN_TYPES.IDENTIFIER, regex: /[a-zA-Z][\w\d]*/g },
-  { type: TOKEN_TYPES.OPERATOR,   regex: /!=|==|>=|<=|&&|\|\||[+\-></*!]/g },
-  { type: TOKEN_TYPES.DELIMITER,  regex: /[(),]/g },
-  { type: TOKEN_TYPES.WHITESPACE, regex: /\s+/g },
+  { type: TOKEN_TYPES.STRING,     regex: /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'/ys },
+  { type: TOKEN_TYPES.NUMBER,     regex: /\d*\.?\d+/y },
+  { type: TOKEN_TYPES.IDENTIFIER, regex: /[a-zA-Z][\w\d]*/y },
+  { type: TOKEN_TYPES.OPERATOR,   regex: operatorRegex([...BINARY_OPERATORS.keys(), ...PREFIX_OPERATORS.keys(), ...SYNTAX_SYMBOLS]) },
+  { type: TOKEN_TYPES.DELIMITER,  regex: /[(),[\].]/y },
+  { type: TOKEN_TYPES.WHITESPACE, regex: /\s+/y },
 ];
 
+const ESCAPES: Record<string, string> = { n: '\n', t: '\t', r: '\r', '"': '"', "'": "'", '\\': '\\' };
+
+/**
+ * Replaces the escape sequences in the body of a string literal. Offset is the
+ * position of the body in the source, so that invalid sequences can be located.
+ */
+function unescapeString(body: string, offset: number, source: string): string {
+  return body.replace(/\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|.)/gs, (sequence: string, code: string, index: number) => {
+    if (Object.hasOwn(ESCAPES, code)) return ESCAPES[code];
+    if (code.length > 1) {
+      const codePoint = parseInt(code.replace(/[u{}]/g, ''), 16);
+      if (codePoint <= 0x10ffff) return String.fromCodePoint(codePoint);
+    }
+    throw new FormulaSyntaxError(`Invalid escape sequence ${sequence}`, {
+      code: 'invalid-escape',
+      start: offset + index,
+      end: offset + index + sequence.length,
+      expected: ['\\n', '\\t', '\\r', '\\"', "\\'", '\\\\', '\\uXXXX', '\\u{X}'],
+      found: sequence,
+      source,
+    });
+  });
+}
+
 interface Token {
   type: TokenType;
   value: string;
@@ -35,35 +172,405 @@ interface Token {
   end: number;
 }
 
-interface FunctionNode {
-  type: 'function';
-  name: string;
-  args: ASTNode[];
+const KEYWORDS = new Set(['true', 'false', 'null']);
+
+const CLOSING_DELIMITERS: Record<string, [message: string, code: string]> = {
+  ')': ['Missing closing parenthesis', 'missing-closing-paren'],
+  ']': ['Missing closing bracket', 'missing-closing-bracket'],
+};
+
+const DEFAULT_CACHE_SIZE = 500;
+
+interface SourceEdit {
+  start: number;
+  end: number;
+  text: string;
+}
+
+/** Replaces spans of a formula's text, leaving everything else as it was. */
+function applyEdits(source: string, edits: SourceEdit[]): string {
+  let result = source;
+  [...edits].sort((a, b) => b.start - a.start).forEach(({ start, end, text }) => {
+    result = result.slice(0, start) + text + result.slice(end);
+  });
+  return result;
 }
 
-interface VariableNode {
-  type: 'variable';
-  name: string;
+// Marks a variable that a variable source does not provide
+const MISSING = Symbol('missing');
+
+function typeName(value: any): string {
+  const type = typeOf(value);
+  return type === 'any' ? typeof value : type;
 }
 
-type ASTNode = FunctionNode | VariableNode | number | string | boolean | null;
+function describeCallee(name: string): string {
+  const symbol = operatorSymbol(name);
+  return symbol ? `Operator "${symbol}"` : `Function "${name}"`;
+}
 
-const OP_MAP: Record<string, string> = { '+': '__add', '-': '__sub', '==': '__eq', '!=': '__neq', '>': '__gt', '>=': '__gte', '<': '__lt', '<=': '__lte', '*': '__mul', '/': '__div', '&&': '__and', '||': '__or' };
-const OP_PRECEDENCE: Record<string, number> = { '||': 1, '&&': 2, '==': 3, '!=': 3, '>': 4, '>=': 4, '<': 4, '<=': 4, '+': 5, '-': 5, '*': 6, '/': 6 };
+/** Returns the parameter an argument at the given position binds to, if any. */
+function paramAt(params: FunctionParam[], index: number): FunctionParam | undefined {
+  if (index < params.length) return params[index];
+  const last = params[params.length - 1];
+  return last?.variadic ? last : undefined;
+}
+
+function argumentTypeMessage(name: string, index: number, param: FunctionParam, actual: string): string {
+  return `${describeCallee(name)} expects argument ${index + 1} ("${param.name}") to be ${describeType(param.type!)}, got ${actual}`;
+}
+
+function declaresNumber(param: FunctionParam | undefined): boolean {
+  return [param?.type].flat().includes('number');
+}
+
+function toPlainNumber(value: any): any {
+  return value instanceof Decimal ? value.toNumber() : value;
+}
+
+function describeType(type: ValueType | ValueType[]): string {
+  if (Array.isArray(type)) return type.map(describeType).join(' or ').replace(/ or (an? )/g, ' or ');
+  if (type === 'null') return 'null';
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+export interface Diagnostic {
+  severity: 'error' | 'warning';
+  code: string;
+  message: string;
+  start: number;
+  end: number;
+  line: number;
+  column: number;
+}
+
+export interface DependencyOptions {
+  /** Report the full paths read from object-valued variables (`customer.address.country`) rather than just their root names. */
+  paths?: boolean;
+}
+
+export interface ValidateOptions {
+  /**
+   * Variable names the formula may reference, in addition to the global context. Omit to skip variable checks.
+   * Paths such as `customer.address` make their root variable known.
+   */
+  knownVariables?: Iterable<string>;
+}
+
+export interface PartialEvaluateOptions {
+  /**
+   * Call only functions and operators marked pure, leaving calls to the rest,
+   * such as custom functions with side effects, in the residual formula.
+   */
+  pureOnly?: boolean;
+}
+
+export interface PartialEvaluation {
+  /** The simplified formula. A literal if the formula could be evaluated completely. */
+  ast: ASTNode;
+  /** The simplified formula as canonical formula text. */
+  formula: string;
+  /** The variables the simplified formula still reads. */
+  dependencies: string[];
+}
+
+export type TypeSchema = Record<string, ValueType>;
+
+export interface TypeInference {
+  type: ValueType;
+  errors: Diagnostic[];
+}
+
+function appendKey(path: string, key: string | number): string {
+  return typeof key === 'string' && /^[a-zA-Z]\w*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/** Renders an expression that is being read from for use in error messages, e.g. `order.lines[0]`. */
+function describePath(node: ASTNode): string {
+  if (typeof node !== 'object' || node === null) return JSON.stringify(node);
+  if (node.type === 'variable') return node.name;
+  if (node.type === 'function' && node.name === '__member') {
+    const [object, key] = node.args;
+    if (typeof key === 'string' || typeof key === 'number') return appendKey(describePath(object), key);
+    return `${describePath(object)}[${describePath(key)}]`;
+  }
+  if (node.type === 'function') return `${node.name}()`;
+  return 'lambda';
+}
+
+/**
+ * Splits a chain of member accesses into the full static path it reads (such as
+ * `customer.address.country`) and any keys after the point where the path stops
+ * being static. Returns null if the chain is not rooted at a variable.
+ */
+function staticPath(node: FunctionNode): { root: VariableNode; path: string; rest: ASTNode[] } | null {
+  const keys: ASTNode[] = [];
+  let current: ASTNode = node;
+  while (typeof current === 'object' && current !== null && current.type === 'function' && current.name === '__member') {
+    keys.unshift(current.args[1]);
+    current = current.args[0];
+  }
+  if (typeof current !== 'object' || current === null || current.type !== 'variable') return null;
+
+  let path = current.name;
+  let i = 0;
+  for (; i < keys.length; i++) {
+    const key = keys[i];
+    if (typeof key !== 'string' && typeof key !== 'number') break;
+    path = appendKey(path, key);
+  }
+  return { root: current, path, rest: keys.slice(i) };
+}
+
+/** Calls fn with the name and value expression of each binding of a let() node, in order. */
+function forEachBinding(node: FunctionNode, fn: (name: string, value: ASTNode) => void): void {
+  for (let i = 0; i < node.args.length - 1; i += 2) {
+    fn((node.args[i] as VariableNode).name, node.args[i + 1]);
+  }
+}
+
+// What partialEvaluate() cannot write as a literal
+const UNREPRESENTABLE = Symbol('unrepresentable');
+
+/** Converts a value to the literal node that evaluates to it, if there is one. */
+function toLiteral(value: any): ASTNode | typeof UNREPRESENTABLE {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') return value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : UNREPRESENTABLE;
+  if (value instanceof Decimal) {
+    const number = value.toNumber();
+    return Number.isFinite(number) && Decimal.from(number).equals(value) ? number : UNREPRESENTABLE;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(toLiteral);
+    if (items.includes(UNREPRESENTABLE)) return UNREPRESENTABLE;
+    return { type: 'function', name: '__list', args: items as ASTNode[] };
+  }
+  return UNREPRESENTABLE;
+}
+
+/** Returns true for a literal null, boolean, number or string. */
+function isConstant(node: ASTNode): node is null | boolean | number | string {
+  return typeof node !== 'object' || node === null;
+}
+
+/** Returns the node at the given depth whose arguments nest deeper, if there is one. Walks the tree without recursion. */
+function findNodeBeyond(ast: ASTNode, depth: number): FunctionNode | LambdaNode | undefined {
+  const stack: [ASTNode, number][] = [[ast, 1]];
+  while (stack.length) {
+    const [node, level] = stack.pop()!;
+    if (typeof node !== 'object' || node === null || node.type === 'variable') continue;
+    const children = node.type === 'lambda' ? [node.body] : node.args;
+    if (level === depth && children.length) return node;
+    children.forEach(child => stack.push([child, level + 1]));
+  }
+  return undefined;
+}
+
+/** Collapses the possible types of an expression into one, or 'any' if they differ. */
+function mergeTypes(types: ValueType[]): ValueType {
+  return types.every(type => type === types[0]) ? types[0] ?? 'any' : 'any';
+}
+
+function toDiagnostic(error: FormulaError): Diagnostic {
+  return {
+    severity: 'error',
+    code: error.code,
+    message: error.message,
+    start: error.start,
+    end: error.end,
+    line: error.line!,
+    column: error.column!,
+  };
+}
+
+export interface FormulaEvaluatorOptions {
+  /** Maximum number of parsed formulas kept in the parse cache. Set to 0 to disable caching. */
+  cacheSize?: number;
+  /** Returns the current time for today() and now(). Defaults to the system clock. */
+  clock?: Clock;
+  /** Use exact decimal arithmetic (`'decimal'`) rather than JavaScript floating point (`'float'`, the default). */
+  numeric?: 'float' | 'decimal';
+  /** In decimal mode, how results that cannot be represented exactly are rounded. Defaults to `'half-up'`. */
+  rounding?: RoundingMode;
+  /** In decimal mode, digits kept after the decimal point when a division does not terminate. Defaults to 20. */
+  decimalPlaces?: number;
+  /** Supplies the value of a variable that cannot be found, or throws a custom error. Can be overridden per evaluation. */
+  onMissingVariable?: MissingVariableHandler;
+  /** Bounds on the resources a formula may use. Every limit is off unless set. */
+  limits?: FormulaLimits;
+  /**
+   * Evaluate formulas by walking their parsed trees (`'interpreter'`, the default), or by compiling each
+   * one to a JavaScript function the first time it is evaluated (`'codegen'`). evaluateAsync() always
+   * walks the tree.
+   */
+  backend?: 'interpreter' | 'codegen';
+}
+
+export interface FormulaLimits {
+  /** Longest formula, in characters, that will be parsed. */
+  maxLength?: number;
+  /** Deepest nesting of operators, calls, lists and brackets that will be parsed. */
+  maxDepth?: number;
+  /** Most function and operator calls one evaluation may make. */
+  maxCalls?: number;
+  /** Longest string or list a function or operator may produce. */
+  maxResultSize?: number;
+  /** Longest an evaluation may run, in milliseconds. */
+  timeout?: number;
+}
+
+const LIMIT_NAMES: (keyof FormulaLimits)[] = ['maxLength', 'maxDepth', 'maxCalls', 'maxResultSize', 'timeout'];
+
+/** Looks up a variable by name, returning undefined if there is no such variable. May return a promise in evaluateAsync(). */
+export type VariableResolver = (name: string) => any;
+
+/** Where an evaluation reads its variables from: an object, a Map, or a resolver function. */
+export type VariableSource = Record<string, any> | Map<string, any> | VariableResolver;
+
+export type MissingVariableHandler = (name: string) => any;
+
+export interface EvaluateOptions {
+  /** Supplies the value of a variable that cannot be found, or throws a custom error. */
+  onMissingVariable?: MissingVariableHandler;
+}
+
+export interface OperatorOptions {
+  /**
+   * How tightly the operator binds; higher binds more tightly. The built-in
+   * binary operators range from 10 for `||` to 80 for `^`.
+   */
+  precedence: number;
+  /** How a chain of binary operators of the same precedence groups. Defaults to `'left'`. */
+  associativity?: 'left' | 'right';
+  /** Whether the operator goes between two operands or before one. Defaults to `'binary'`. */
+  arity?: 'binary' | 'prefix';
+  fn: FormulaFunction;
+  description?: string;
+  /** Pass the operands to `fn` as thunks, as for a lazy function. */
+  lazy?: boolean;
+  /** Declare that `fn` has no side effects, as for a pure function. */
+  pure?: boolean;
+}
+
+export interface CompiledFormula {
+  /** The formula text, or an empty string for a formula compiled from an AST. */
+  source: string;
+  ast: ASTNode;
+  dependencies: string[];
+  evaluate(localContext?: VariableSource, options?: EvaluateOptions): any;
+  evaluateAsync(localContext?: VariableSource, options?: AsyncEvaluateOptions): Promise<any>;
+}
+
+export interface AsyncEvaluateOptions extends EvaluateOptions {
+  /** Cancels the evaluation. The returned promise rejects with the signal's reason, and no further functions are called. */
+  signal?: AbortSignal;
+}
+
+interface RunOptions extends AsyncEvaluateOptions {
+  async?: boolean;
+  // Walk the tree even with the codegen backend, for one-off evaluations of parts of a formula
+  interpret?: boolean;
+}
 
 class FormulaEvaluator {
   static TOKEN_TYPES = TOKEN_TYPES;
 
   context: Record<string, any>;
   private _functions: FunctionRegistry;
+  private _cache = new Map<string, ASTNode>();
+  private _cacheSize: number;
+  private _decimal: boolean;
+  private _binaryOperators = new Map(BINARY_OPERATORS);
+  private _prefixOperators = new Map(PREFIX_OPERATORS);
+  private _tokenRules = TOKEN_RULES;
+  private _onMissingVariable?: MissingVariableHandler;
+  private _limits: FormulaLimits = {};
+  private _backend: 'interpreter' | 'codegen';
+  private _generated = new WeakMap<object, GeneratedFormula>();
 
-  constructor(globalContext: Record<string, any> = {}) {
+  constructor(globalContext: Record<string, any> = {}, options: FormulaEvaluatorOptions = {}) {
     this.context = globalContext;
-    this._functions = createFunctionRegistry();
+    const { numeric = 'float', rounding, decimalPlaces } = options;
+    if (numeric !== 'float' && numeric !== 'decimal') {
+      throw new Error(`Unknown numeric mode "${numeric}"; expected "float" or "decimal"`);
+    }
+    this._decimal = numeric === 'decimal';
+    const { backend = 'interpreter' } = options;
+    if (backend !== 'interpreter' && backend !== 'codegen') {
+      throw new Error(`Unknown backend "${backend}"; expected "interpreter" or "codegen"`);
+    }
+    this._backend = backend;
+    this._functions = createFunctionRegistry({
+      ...(options.clock ? clockFunctions(options.clock) : {}),
+      ...(this._decimal ? decimalFunctions({ rounding, decimalPlaces }) : {}),
+    });
+    this._cacheSize = options.cacheSize ?? DEFAULT_CACHE_SIZE;
+    this._onMissingVariable = options.onMissingVariable;
+    for (const name of LIMIT_NAMES) {
+      const value = options.limits?.[name];
+      if (value === undefined) continue;
+      if (!(name === 'timeout' ? value > 0 : Number.isInteger(value) && value > 0)) {
+        throw new Error(`limits.${name} must be a positive ${name === 'timeout' ? 'number' : 'integer'}`);
+      }
+      this._limits[name] = value;
+    }
+  }
+
+  registerFunction(name: string, fn: (...args: any[]) => any, options: string | FunctionOptions = ''): this {
+    this._functions.register(name, fn, options);
+    // Cached ASTs were checked against the previous signature, and generated
+    // code calls the previous definition
+    this._cache.clear();
+    this._generated = new WeakMap();
+    return this;
   }
 
-  registerFunction(name: string, fn: (...args: any[]) => any, description = ''): this {
-    this._functions.register(name, fn, description);
+  /**
+   * Adds an operator to this evaluator. The operator is evaluated by a function
+   * named after its symbol (`__op_~=` for a binary operator, `__prefix_~` for a
+   * prefix one), which can be replaced later with registerFunction.
+   */
+  registerOperator(symbol: string, options: OperatorOptions): this {
+    const { precedence, associativity = 'left', arity = 'binary', fn, description = '', lazy, pure } = options ?? {};
+    if (typeof symbol !== 'string' || !OPERATOR_SYMBOL.test(symbol) || symbol === '.') {
+      throw new Error(`Invalid operator symbol "${symbol}"`);
+    }
+    if (KEYWORDS.has(symbol) || SYNTAX_SYMBOLS.includes(symbol)) {
+      throw new Error(`"${symbol}" is reserved and cannot be used as an operator`);
+    }
+    const builtin = BINARY_OPERATORS.get(symbol) ?? PREFIX_OPERATORS.get(symbol);
+    if (builtin) {
+      throw new Error(`Operator "${symbol}" is built in; override its function "${builtin.name}" with registerFunction instead`);
+    }
+    if (arity !== 'binary' && arity !== 'prefix') {
+      throw new Error(`Operator arity must be "binary" or "prefix", got "${arity}"`);
+    }
+    if (associativity !== 'left' && associativity !== 'right') {
+      throw new Error(`Operator associativity must be "left" or "right", got "${associativity}"`);
+    }
+    if (!Number.isInteger(precedence) || precedence < 1) {
+      throw new Error('Operator precedence must be a positive integer');
+    }
+
+    const name = `${arity === 'binary' ? '__op_' : '__prefix_'}${symbol}`;
+    const params = arity === 'binary' ? [{ name: 'left' }, { name: 'right' }] : [{ name: 'value' }];
+    this._functions.register(name, fn, { description, params, lazy, pure });
+    if (arity === 'binary') {
+      this._binaryOperators.set(symbol, { name, precedence, rightAssociative: associativity === 'right' });
+    } else {
+      this._prefixOperators.set(symbol, { name, precedence });
+    }
+
+    if (!isWordOperator(symbol)) {
+      const symbols = [...this._binaryOperators.keys(), ...this._prefixOperators.keys(), ...SYNTAX_SYMBOLS];
+      this._tokenRules = TOKEN_RULES.map(rule =>
+        rule.type === TOKEN_TYPES.OPERATOR ? { type: rule.type, regex: operatorRegex(symbols) } : rule,
+      );
+    }
+    // Cached ASTs were parsed without the new operator, and generated code
+    // calls the previous definition of its function
+    this._cache.clear();
+    this._generated = new WeakMap();
     return this;
   }
 
@@ -71,162 +578,1211 @@ class FormulaEvaluator {
     return this._functions.list();
   }
 
-  describeFunctions(): Array<{ name: string; description: string }> {
+  describeFunctions(): FunctionDescription[] {
     return this._functions.describe();
   }
 
   tokenize(str: string): Token[] {
+    return this._tokenize(str);
+  }
+
+  // When an errors array is given, problems are collected into it and tokenizing
+  // carries on past them instead of throwing on the first one.
+  private _tokenize(str: string, errors?: FormulaSyntaxError[]): Token[] {
     if (typeof str !== 'string') {
       throw new TypeError(`Expected a string, got ${str === null ? 'null' : typeof str}`);
     }
+    const { maxLength } = this._limits;
+    if (maxLength !== undefined && str.length > maxLength) {
+      // The formula is not attached, as it may be too large to quote
+      throw new FormulaLengthError(`Formula is ${str.length} characters long, more than the limit of ${maxLength}`, {
+        code: 'formula-too-long', start: maxLength, end: str.length, limit: maxLength,
+      });
+    }
     const tokens: Token[] = [];
 
     let pos = 0;
     while (pos < str.length) {
       let found = false;
-      for (const { type, regex } of TOKEN_RULES) {
+      for (const { type, regex } of this._tokenRules) {
         regex.lastIndex = pos;
         const match = regex.exec(str);
         if (match && match.index === pos) {
-          if (type !== TOKEN_TYPES.WHITESPACE) {
-            tokens.push({
-              type,
-              value: type === TOKEN_TYPES.STRING ? match[1] : match[0],
-              start: pos,
-              end: pos + match[0].length,
-            });
+          if (type === TOKEN_TYPES.STRING) {
+            const body = match[1] ?? match[2];
+            let value = body;
+            try {
+              value = unescapeString(body, pos + 1, str);
+            } catch (error) {
+              if (!errors) throw error;
+              errors.push(error as FormulaSyntaxError);
+            }
+            tokens.push({ type, value, start: pos, end: pos + match[0].length });
+          } else if (type !== TOKEN_TYPES.WHITESPACE) {
+            tokens.push({ type, value: match[0], start: pos, end: pos + match[0].length });
           }
           pos += match[0].length;
           found = true;
           break;
         }
       }
-      if (!found) throw new Error(`Unexpected character at ${pos}: ${str[pos]}`);
+      if (!found && (str[pos] === '"' || str[pos] === "'")) {
+        const error = new FormulaSyntaxError(`Unterminated string starting at ${pos}`, {
+          code: 'unterminated-string',
+          start: pos,
+          end: str.length,
+          expected: [str[pos]],
+          found: null,
+          source: str,
+        });
+        if (!errors) throw error;
+        errors.push(error);
+        break;
+      }
+      if (!found) {
+        const error = new FormulaSyntaxError(`Unexpected character at ${pos}: ${str[pos]}`, {
+          code: 'unexpected-character',
+          start: pos,
+          end: pos + 1,
+          found: str[pos],
+          source: str,
+        });
+        if (!errors) throw error;
+        errors.push(error);
+        pos++;
+      }
     }
     return tokens;
   }
 
-  parse(tokens: Token[]): ASTNode {
+  parse(tokens: Token[], source?: string): ASTNode {
+    return this._parse(tokens, source);
+  }
+
+  // When an errors array is given the parser recovers from each problem, recording
+  // it and substituting null for anything it could not parse, so that every
+  // problem in the formula is reported rather than just the first. Expressions
+  // found after the end of the formula are collected into trailing.
+  private _parse(tokens: Token[], source?: string, errors?: FormulaSyntaxError[], trailing?: ASTNode[]): ASTNode {
     let pos = 0;
+    if (tokens.length === 0) return null;
+
+    const { maxDepth } = this._limits;
+    const tooDeep = (start: number, end: number): FormulaDepthError =>
+      new FormulaDepthError(`Formula is nested more than ${maxDepth} levels deep`, {
+        code: 'too-deeply-nested', start, end, source, limit: maxDepth!,
+      });
+    // Counts the nested calls of the parser, which recurses once per level of
+    // the formula, so that deep formulas are stopped before the stack runs out
+    let nesting = 0;
+    const enter = (): void => {
+      if (++nesting > maxDepth!) {
+        const token = tokens[pos] ?? tokens[tokens.length - 1];
+        throw tooDeep(token.start, token.end);
+      }
+    };
+
+    const isOperatorWord = (value: string): boolean =>
+      isWordOperator(value) && (this._binaryOperators.has(value) || this._prefixOperators.has(value));
+
+    const raise = (error: FormulaSyntaxError): null => {
+      if (!errors) throw error;
+      errors.push(error);
+      return null;
+    };
+
+    const fail = (message: string, code: string, expected: string[]): null => {
+      const token = tokens[pos];
+      const end = tokens[tokens.length - 1].end;
+      return raise(new FormulaSyntaxError(message, {
+        code,
+        start: token ? token.start : end,
+        end: token ? token.end : end,
+        expected,
+        found: token ? token.value : null,
+        source,
+      }));
+    };
+
+    // let() takes name/value pairs followed by a body, and each name must be a plain identifier
+    const checkLet = (node: FunctionNode): void => {
+      if (node.args.length < 3 || node.args.length % 2 === 0) {
+        raise(new FormulaSyntaxError('let() expects name/value pairs followed by a body', {
+          code: 'invalid-let', start: node.start!, end: node.end!, source,
+        }));
+      }
+      for (let i = 0; i < node.args.length - 1; i += 2) {
+        const name = node.args[i];
+        if (typeof name !== 'object' || name === null || name.type !== 'variable') {
+          raise(new FormulaSyntaxError(`let() binding name ${i / 2 + 1} must be an identifier`, {
+            code: 'invalid-let', start: node.start!, end: node.end!, source,
+          }));
+        }
+      }
+    };
+
+    const checkArity = (node: FunctionNode): void => {
+      const params = this._functions.getDefinition(node.name)?.params;
+      if (!params) return;
+      const { min, max } = getArity(params);
+      const count = node.args.length;
+      if (count >= min && count <= max) return;
+
+      const [code, bound] = count < min ? ['too-few-arguments', `at least ${min}`] : ['too-many-arguments', `at most ${max}`];
+      const limit = count < min ? min : max;
+      raise(new FormulaSyntaxError(
+        `Function "${node.name}" expects ${bound} argument${limit === 1 ? '' : 's'}, got ${count}`,
+        { code, start: node.start!, end: node.end!, source },
+      ));
+    };
+
+    const expectClosing = (close: string): void => {
+      if (!tokens[pos] || tokens[pos].value !== close) {
+        const [message, code] = CLOSING_DELIMITERS[close];
+        fail(message, code, [`"${close}"`]);
+        return;
+      }
+      pos++; // skip the closing delimiter
+    };
+
+    // Parses comma-separated expressions up to and including the closing delimiter
+    const parseItems = (close: string): ASTNode[] => {
+      const items: ASTNode[] = [];
+      while (pos < tokens.length && tokens[pos].value !== close) {
+        items.push(parseExpression());
+        const next = tokens[pos];
+        if (next && next.value === ',') pos++;
+        else if (next && next.value !== close) {
+          fail(`Unexpected token: ${next.value}`, 'unexpected-token', ['","', `"${close}"`]);
+          // A closing delimiter that belongs to an enclosing group ends this one
+          if (Object.hasOwn(CLOSING_DELIMITERS, next.value)) break;
+        }
+      }
+      expectClosing(close);
+      return items;
+    };
+
+    // Looks past an opening parenthesis for a parameter list followed by =>
+    const isLambdaAhead = (): boolean => {
+      let i = pos;
+      const isParam = (t?: Token) => t?.type === TOKEN_TYPES.IDENTIFIER && !KEYWORDS.has(t.value) && !isOperatorWord(t.value);
+      if (isParam(tokens[i])) {
+        i++;
+        while (tokens[i]?.value === ',' && isParam(tokens[i + 1])) i += 2;
+      }
+      return tokens[i]?.value === ')' && tokens[i + 1]?.value === '=>';
+    };
+
+    const parseLambda = (params: string[], start: number): LambdaNode => {
+      const body = parseExpression();
+      return { type: 'lambda', params, body, start, end: tokens[pos - 1].end };
+    };
 
     const parseExpression = (minPrec = 0): ASTNode => {
+      enter();
+      const start = tokens[pos]?.start;
       let node = parseToken();
 
       while (pos < tokens.length) {
         const currentToken = tokens[pos];
-        if (!currentToken || currentToken.type !== TOKEN_TYPES.OPERATOR) break;
-        const prec = OP_PRECEDENCE[currentToken.value];
-        if (prec === undefined || prec < minPrec) break;
+        const isOperator = currentToken.type === TOKEN_TYPES.OPERATOR || isOperatorWord(currentToken.value);
+        const op = isOperator ? this._binaryOperators.get(currentToken.value) : undefined;
+        if (!op || op.precedence < minPrec) break;
         pos++;
-        const right = parseExpression(prec + 1);
-        node = { type: 'function', name: OP_MAP[currentToken.value], args: [node, right] };
+        const right = parseExpression(op.rightAssociative ? op.precedence : op.precedence + 1);
+        node = { type: 'function', name: op.name, args: [node, right], start, end: tokens[pos - 1].end };
+      }
+
+      // The conditional operator binds more loosely than any other, so it is
+      // only parsed at the top of an expression; both branches may be conditionals
+      if (minPrec === 0 && tokens[pos]?.value === '?') {
+        pos++; // skip ?
+        const then = parseExpression();
+        let otherwise: ASTNode = null;
+        if (tokens[pos]?.value === ':') {
+          pos++; // skip :
+          otherwise = parseExpression();
+        } else {
+          fail('Expected ":" in conditional expression', 'missing-colon', ['":"']);
+        }
+        node = { type: 'function', name: '__ternary', args: [node, then, otherwise], start, end: tokens[pos - 1].end };
       }
+      nesting--;
       return node;
     };
 
     const parseToken = (): ASTNode => {
-      const token = tokens[pos++];
-      if (!token) return null;
+      const start = tokens[pos]?.start;
+      let node = parsePrimary();
 
-      if (token.type === TOKEN_TYPES.OPERATOR && token.value === '!') {
-        const operand = parseToken();
-        return { type: 'function', name: '__not', args: [operand] };
+      // Member access and indexing bind more tightly than any operator
+      while (tokens[pos] && (tokens[pos].value === '.' || tokens[pos].value === '[')) {
+        const open = tokens[pos++];
+        let key: ASTNode = null;
+        if (open.value === '[') {
+          key = parseExpression();
+          expectClosing(']');
+        } else if (tokens[pos]?.type === TOKEN_TYPES.IDENTIFIER) {
+          key = tokens[pos++].value;
+        } else {
+          fail('Expected a property name', 'unexpected-token', ['property name']);
+        }
+        node = { type: 'function', name: '__member', args: [node, key], start, end: tokens[pos - 1].end };
       }
+      return node;
+    };
+
+    const parsePrimary = (): ASTNode => {
+      const token = tokens[pos];
+      if (!token) return fail('Unexpected end of formula', 'unexpected-end', ['expression']);
+      pos++;
 
-      if (token.type === TOKEN_TYPES.OPERATOR && token.value === '-') {
-        const operand = parseToken();
-        return { type: 'function', name: '__neg', args: [operand] };
+      const prefix = token.type === TOKEN_TYPES.OPERATOR || isOperatorWord(token.value)
+        ? this._prefixOperators.get(token.value)
+        : undefined;
+      if (prefix) {
+        enter();
+        const operand = prefix.precedence === undefined ? parseToken() : parseExpression(prefix.precedence);
+        nesting--;
+        return { type: 'function', name: prefix.name, args: [operand], start: token.start, end: tokens[pos - 1].end };
       }
 
-      if (token.type === TOKEN_TYPES.NUMBER) return parseFloat(token.value);
+      if (token.type === TOKEN_TYPES.NUMBER) {
+        const value = parseFloat(token.value);
+        if (this._decimal && !Decimal.from(value).equals(Decimal.from(token.value))) {
+          return { type: 'function', name: DECIMAL_LITERAL, args: [token.value], start: token.start, end: token.end };
+        }
+        return value;
+      }
       if (token.value === 'true') return true;
       if (token.value === 'false') return false;
       if (token.value === 'null') return null;
       if (token.type === TOKEN_TYPES.STRING) return token.value;
 
-      if (token.type === TOKEN_TYPES.IDENTIFIER) {
+      if (token.type === TOKEN_TYPES.IDENTIFIER && !KEYWORDS.has(token.value) && !isOperatorWord(token.value) && tokens[pos]?.value === '=>') {
+        pos++; // skip =>
+        return parseLambda([token.value], token.start);
+      }
+
+      if (token.type === TOKEN_TYPES.IDENTIFIER && !isOperatorWord(token.value)) {
         const nextToken = tokens[pos];
         if (nextToken && nextToken.value === '(') {
           pos++; // skip (
-          const args: ASTNode[] = [];
-          while (pos < tokens.length && tokens[pos].value !== ')') {
-            args.push(parseExpression());
-            if (tokens[pos] && tokens[pos].value === ',') pos++;
-          }
-          if (!tokens[pos] || tokens[pos].value !== ')') {
-            throw new Error('Missing closing parenthesis');
-          }
-          pos++; // skip )
-          return { type: 'function', name: token.value.toLowerCase(), args };
+          const args = parseItems(')');
+          const node: FunctionNode = { type: 'function', name: token.value.toLowerCase(), args, start: token.start, end: tokens[pos - 1].end };
+          checkArity(node);
+          if (node.name === 'let') checkLet(node);
+          return node;
         }
-        return { type: 'variable', name: token.value };
+        return { type: 'variable', name: token.value, start: token.start, end: token.end };
+      }
+
+      if (token.value === '(' && isLambdaAhead()) {
+        const params: string[] = [];
+        while (tokens[pos].value !== ')') {
+          if (tokens[pos].type === TOKEN_TYPES.IDENTIFIER) params.push(tokens[pos].value);
+          pos++;
+        }
+        pos += 2; // skip ) and =>
+        return parseLambda(params, token.start);
       }
 
       if (token.value === '(') {
         const node = parseExpression();
-        if (!tokens[pos] || tokens[pos].value !== ')') {
-          throw new Error('Missing closing parenthesis');
-        }
-        pos++; // skip )
+        expectClosing(')');
         return node;
       }
 
-      return null;
+      if (token.value === '[') {
+        const items = parseItems(']');
+        return { type: 'function', name: '__list', args: items, start: token.start, end: tokens[pos - 1].end };
+      }
+
+      pos--;
+      fail(`Unexpected token: ${token.value}`, 'unexpected-token', ['expression']);
+      // Leave delimiters for the enclosing call, list or group to deal with
+      if (token.value === ',' || Object.hasOwn(CLOSING_DELIMITERS, token.value)) return null;
+      pos++;
+      enter();
+      const node = parseToken();
+      nesting--;
+      return node;
     };
 
     const result = parseExpression();
-    if (pos < tokens.length) {
-      throw new Error(`Unexpected token: ${tokens[pos].value}`);
+    while (pos < tokens.length) {
+      fail(`Unexpected token: ${tokens[pos].value}`, 'unexpected-token', ['operator']);
+      // Keep parsing whatever follows so that problems further along are reported too
+      if (tokens[pos].value === ',' || Object.hasOwn(CLOSING_DELIMITERS, tokens[pos].value)) pos++;
+      else trailing?.push(parseExpression());
+    }
+
+    // Chains of operators such as 1 + 2 + 3 are parsed in a loop rather than
+    // by recursion, but still nest in the tree the evaluator walks
+    if (maxDepth !== undefined) {
+      const deep = findNodeBeyond(result, maxDepth);
+      if (deep) throw tooDeep(deep.start ?? 0, deep.end ?? 0);
     }
     return result;
   }
 
-  evaluate(formula: string, localContext: Record<string, any> = {}): any {
-    const ast = this.parse(this.tokenize(formula));
-    const ctx = Object.assign(Object.create(this.context), localContext);
+  evaluate(formula: string, localContext: VariableSource = {}, options: EvaluateOptions = {}): any {
+    return this._run(this._parseCached(formula), localContext, formula, options);
+  }
+
+  /**
+   * Evaluates a formula that may call asynchronous functions, waiting for the
+   * promises they return. Syntax errors are reported by rejecting.
+   */
+  async evaluateAsync(formula: string, localContext: VariableSource = {}, options: AsyncEvaluateOptions = {}): Promise<any> {
+    return this._run(this._parseCached(formula), localContext, formula, { ...options, async: true });
+  }
+
+  compile(formula: string): CompiledFormula {
+    return this._compiled(this._parseCached(formula), formula);
+  }
 
-    const run = (node: ASTNode): any => {
-      if (typeof node !== 'object' || node === null) return node;
+  /**
+   * Compiles an AST, such as one read back with deserialize(), without parsing
+   * any text. The AST is checked as parsing would check it: for the number of
+   * arguments each function takes, and against the `maxDepth` limit.
+   */
+  compileAst(ast: ASTNode): CompiledFormula {
+    const { maxDepth } = this._limits;
+    if (maxDepth !== undefined) {
+      const deep = findNodeBeyond(ast, maxDepth);
+      if (deep) {
+        throw new FormulaDepthError(`Formula is nested more than ${maxDepth} levels deep`, {
+          code: 'too-deeply-nested', start: deep.start ?? 0, end: deep.end ?? 0, limit: maxDepth,
+        });
+      }
+    }
+
+    const stack: ASTNode[] = [ast];
+    while (stack.length) {
+      const node = stack.pop()!;
+      if (typeof node !== 'object' || node === null || node.type === 'variable') continue;
+      if (node.type === 'lambda') {
+        stack.push(node.body);
+        continue;
+      }
+      const params = this._functions.getDefinition(node.name)?.params;
+      if (params) {
+        const { min, max } = getArity(params);
+        const count = node.args.length;
+        if (count < min || count > max) {
+          const [code, bound] = count < min ? ['too-few-arguments', `at least ${min}`] : ['too-many-arguments', `at most ${max}`];
+          const limit = count < min ? min : max;
+          throw new FormulaSyntaxError(
+            `${describeCallee(node.name)} expects ${bound} argument${limit === 1 ? '' : 's'}, got ${count}`,
+            { code, start: node.start ?? 0, end: node.end ?? 0 },
+          );
+        }
+      }
+      stack.push(...node.args);
+    }
+    return this._compiled(ast, '');
+  }
+
+  /**
+   * Prints a formula, or an AST such as one from compile() or deserialize(), as
+   * canonical formula text: operators are written with their symbols, function
+   * names in one case, and only the parentheses that precedence requires.
+   * Parsing the result gives back the same tree.
+   */
+  format(formulaOrAst: string | ASTNode, options: FormatOptions = {}): string {
+    const ast = typeof formulaOrAst === 'string' ? this._parseCached(formulaOrAst) : formulaOrAst;
+    return formatAst(ast, { binary: this._binaryOperators, prefix: this._prefixOperators }, options);
+  }
+
+  /**
+   * Renames variables in a formula, given a map from old names to new ones.
+   * Only the names are changed, so the rest of the text is kept as written.
+   * Names bound by lambdas and let() are left alone, and renaming a variable
+   * to a name that one of them binds where it is used throws.
+   */
+  renameVariables(formula: string, renames: Record<string, string>): string {
+    Object.values(renames).forEach(name => this._checkName(name, 'variable'));
+    const edits: SourceEdit[] = [];
+    transform(this._parseCached(formula), {
+      variable: (node, { bound }) => {
+        if (bound.has(node.name) || !Object.hasOwn(renames, node.name)) return;
+        const name = renames[node.name];
+        if (bound.has(name)) {
+          throw new Error(`Cannot rename "${node.name}" to "${name}" where "${name}" is bound by a lambda or let()`);
+        }
+        edits.push({ start: node.start!, end: node.end!, text: name });
+      },
+    });
+    return applyEdits(formula, edits);
+  }
+
+  /**
+   * Renames every call to a function, keeping the rest of the formula as written.
+   * Both names must be ones a formula can call by name, so operators, member
+   * access and list literals cannot be renamed.
+   */
+  renameFunction(formula: string, from: string, to: string): string {
+    this._checkName(from, 'function');
+    this._checkName(to, 'function');
+    const name = String(from).toLowerCase();
+    const edits: SourceEdit[] = [];
+    transform(this._parseCached(formula), {
+      function: (node) => {
+        if (node.name === name) edits.push({ start: node.start!, end: node.start! + name.length, text: to });
+      },
+    });
+    return applyEdits(formula, edits);
+  }
+
+  /**
+   * Replaces variables with formulas, given a map from variable names to formula
+   * text. Each replacement is put in parentheses only if it would otherwise be
+   * read differently, and the rest of the formula is kept as written. Throws if
+   * a replacement uses a name that a lambda or let() binds where it would go.
+   */
+  substitute(formula: string, substitutions: Record<string, string>): string {
+    const replacements = new Map(Object.entries(substitutions).map(([name, text]) => {
+      if (String(text).trim() === '') throw new Error(`The substitution for "${name}" is empty`);
+      const ast = this._parseCached(text);
+      return [name, { text: text.trim(), ast, free: this._collectDependencies(ast) }];
+    }));
+
+    const occurrences: (SourceEdit & { atomic: boolean })[] = [];
+    const expected = transform(this._parseCached(formula), {
+      variable: (node, { bound }) => {
+        const replacement = bound.has(node.name) ? undefined : replacements.get(node.name);
+        if (!replacement) return;
+        const captured = replacement.free.find(name => bound.has(name));
+        if (captured !== undefined) {
+          throw new Error(`Cannot substitute "${node.name}" where "${captured}" is bound by a lambda or let()`);
+        }
+        const { ast } = replacement;
+        // Variables, literals, calls, lists and member access read the same anywhere
+        const atomic = typeof ast !== 'object' || ast === null || ast.type === 'variable'
+          || (ast.type === 'function' && operatorSymbol(ast.name) === undefined);
+        occurrences.push({ start: node.start!, end: node.end!, text: replacement.text, atomic });
+        return ast;
+      },
+    });
+
+    const readsAsExpected = (text: string): boolean => {
+      try {
+        return equalAst(this.parse(this.tokenize(text)), expected);
+      } catch {
+        return false;
+      }
+    };
+    // Parentheses are always safe, so each replacement is tried without them
+    // while the others keep theirs
+    const parenthesized = occurrences.map(edit => ({ ...edit, text: `(${edit.text})` }));
+    const edits = occurrences.map((edit, i) => {
+      if (edit.atomic) return edit;
+      const trial = parenthesized.map((other, j) => (j === i ? edit : other));
+      return readsAsExpected(applyEdits(formula, trial)) ? edit : parenthesized[i];
+    });
+    const result = applyEdits(formula, edits);
+    return readsAsExpected(result) ? result : applyEdits(formula, parenthesized);
+  }
+
+  /**
+   * Evaluates as much of a formula as the known variables allow, returning the
+   * rest as a residual formula to evaluate later with the other variables.
+   * Known variables are replaced by their values, calls whose arguments are all
+   * known are made, and the branches of if(), ifs(), `? :`, `&&` and `||` that
+   * a known condition rules out are dropped. Calls that fail are left in place,
+   * so that evaluating the residual formula reports the error.
+   *
+   * Only `knownContext` counts as known; the global context can be overridden
+   * when the residual formula is evaluated. Set `pureOnly` to avoid calling
+   * functions that are not marked pure.
+   */
+  partialEvaluate(formula: string, knownContext: VariableSource = {}, options: PartialEvaluateOptions = {}): PartialEvaluation {
+    const { pureOnly = false } = options;
+
+    // A resolver is called at most once per name, and a promise is not known
+    const values = new Map<string, any>();
+    const lookup = (name: string): any => {
+      if (!values.has(name)) {
+        let value: any = MISSING;
+        if (typeof knownContext === 'function') {
+          const result = knownContext(name);
+          if (result !== undefined && !isPromiseLike(result)) value = result;
+        } else if (knownContext instanceof Map) {
+          if (knownContext.has(name)) value = knownContext.get(name);
+        } else if (Object.hasOwn(knownContext, name)) {
+          value = knownContext[name];
+        }
+        values.set(name, value);
+      }
+      return values.get(name);
+    };
+
+    // Names bound by let() and lambdas, mapped to the literal a let() binding was
+    // inlined as, or to MISSING if their value is only known when evaluating
+    type Bindings = Map<string, ASTNode | typeof MISSING>;
+
+    // Whether a simplified node can be evaluated now: it reads only known
+    // variables and names it binds itself, and calls only functions it may call
+    const canFold = (node: ASTNode, bindings: Bindings, own: Set<string>): boolean => {
+      if (isConstant(node)) return true;
+      if (node.type === 'variable') return own.has(node.name) || (!bindings.has(node.name) && lookup(node.name) !== MISSING);
+      if (node.type === 'lambda') return canFold(node.body, bindings, new Set([...own, ...node.params]));
+      if (node.name === 'let') {
+        const inner = new Set(own);
+        return node.args.every((arg, i) => {
+          if (i % 2 === 1 || i === node.args.length - 1) return canFold(arg, bindings, inner);
+          inner.add((arg as VariableNode).name);
+          return true;
+        });
+      }
+      if (node.name !== '__member') {
+        const def = this._functions.getDefinition(node.name);
+        if (!def || (pureOnly && !def.pure)) return false;
+      }
+      return node.args.every(arg => canFold(arg, bindings, own));
+    };
+
+    const fold = (node: FunctionNode, bindings: Bindings): ASTNode => {
+      if (!canFold(node, bindings, new Set())) return node;
+      try {
+        const literal = toLiteral(this._run(node, (name: string) => {
+          const value = lookup(name);
+          return value === MISSING ? undefined : value;
+        }, undefined, { interpret: true }));
+        return literal === UNREPRESENTABLE ? node : literal;
+      } catch {
+        return node;
+      }
+    };
+
+    const rebuild = (node: FunctionNode, args: ASTNode[]): FunctionNode =>
+      (args.every((arg, i) => arg === node.args[i]) ? node : { ...node, args });
+
+    const simplify = (node: ASTNode, bindings: Bindings): ASTNode => {
+      if (isConstant(node)) return node;
 
       if (node.type === 'variable') {
-        if (!(node.name in ctx)) throw new Error(`Variable "${node.name}" not found`);
-        return ctx[node.name];
+        if (bindings.has(node.name)) {
+          const bound = bindings.get(node.name)!;
+          return bound === MISSING ? node : bound;
+        }
+        const value = lookup(node.name);
+        const literal = value === MISSING ? UNREPRESENTABLE : toLiteral(value);
+        return literal === UNREPRESENTABLE ? node : literal;
+      }
+
+      if (node.type === 'lambda') {
+        const inner: Bindings = new Map(bindings);
+        node.params.forEach(param => inner.set(param, MISSING));
+        const body = simplify(node.body, inner);
+        return body === node.body ? node : { ...node, body };
+      }
+
+      const { name, args } = node;
+      // Branches are only pruned for the built-in functions, not ones registered over them
+      const builtin = this._functions.getDefinition(name) === builtinFunctions[name];
+
+      // Constant bindings are inlined, and let() disappears if they all are
+      if (name === 'let') {
+        const inner: Bindings = new Map(bindings);
+        const kept: ASTNode[] = [];
+        for (let i = 0; i < args.length - 1; i += 2) {
+          const binding = args[i] as VariableNode;
+          const value = simplify(args[i + 1], inner);
+          inner.set(binding.name, isConstant(value) ? value : MISSING);
+          if (!isConstant(value)) kept.push(binding, value);
+        }
+        const body = simplify(args[args.length - 1], inner);
+        return kept.length ? fold(rebuild(node, [...kept, body]), bindings) : body;
+      }
+
+      // A known condition picks one branch, and the others are never evaluated
+      if ((name === 'if' || name === '__ternary') && builtin && args.length >= 2) {
+        const condition = simplify(args[0], bindings);
+        if (isConstant(condition)) {
+          if (isTruthy(condition)) return simplify(args[1], bindings);
+          // Without an else branch the result is undefined, which no literal can stand for
+          return args.length > 2 ? simplify(args[2], bindings) : rebuild(node, [condition, args[1]]);
+        }
+        return fold(rebuild(node, [condition, ...args.slice(1).map(arg => simplify(arg, bindings))]), bindings);
+      }
+
+      if (name === 'ifs' && builtin) {
+        const kept: ASTNode[] = [];
+        for (let i = 0; i < args.length; i += 2) {
+          // The final default, if there is one
+          if (i + 1 >= args.length) {
+            kept.push(simplify(args[i], bindings));
+            break;
+          }
+          const condition = simplify(args[i], bindings);
+          if (isConstant(condition)) {
+            if (!isTruthy(condition)) continue;
+            // The first condition that holds ends the search
+            if (!kept.length) return simplify(args[i + 1], bindings);
+            kept.push(simplify(args[i + 1], bindings));
+            break;
+          }
+          kept.push(condition, simplify(args[i + 1], bindings));
+        }
+        if (!kept.length) return null;
+        if (kept.length === 1) return kept[0];
+        return fold(rebuild(node, kept), bindings);
+      }
+
+      // A known left operand decides whether the right one is needed
+      if ((name === '__and' || name === '__or') && builtin && args.length === 2) {
+        const left = simplify(args[0], bindings);
+        if (isConstant(left)) return isTruthy(left) === (name === '__and') ? simplify(args[1], bindings) : left;
+        return fold(rebuild(node, [left, simplify(args[1], bindings)]), bindings);
+      }
+
+      return fold(rebuild(node, args.map(arg => simplify(arg, bindings))), bindings);
+    };
+
+    const ast = simplify(this._parseCached(formula), new Map());
+    // A string literal passed to format() would be read as formula text
+    const text = formatAst(ast, { binary: this._binaryOperators, prefix: this._prefixOperators });
+    return { ast, formula: text, dependencies: this._collectDependencies(ast) };
+  }
+
+  // Checks a name that will be written into a formula, so that it reads back as the same name
+  private _checkName(name: string, kind: 'variable' | 'function'): void {
+    if (typeof name !== 'string' || !/^[a-zA-Z]\w*$/.test(name) || KEYWORDS.has(name)
+      || this._binaryOperators.has(name) || this._prefixOperators.has(name)) {
+      throw new Error(`Invalid ${kind} name "${name}"`);
+    }
+  }
+
+  private _compiled(ast: ASTNode, formula: string): CompiledFormula {
+    // An AST compiled without its text has no source for errors to quote
+    const source = formula || undefined;
+    return {
+      source: formula,
+      ast,
+      dependencies: this._collectDependencies(ast),
+      evaluate: (localContext: VariableSource = {}, options: EvaluateOptions = {}) => this._run(ast, localContext, source, options),
+      evaluateAsync: async (localContext: VariableSource = {}, options: AsyncEvaluateOptions = {}) =>
+        this._run(ast, localContext, source, { ...options, async: true }),
+    };
+  }
+
+  // Generated code is kept for as long as its AST is, until a function is registered
+  private _generatedFor(ast: FunctionNode | VariableNode | LambdaNode): GeneratedFormula {
+    let generated = this._generated.get(ast);
+    if (!generated) {
+      const { maxCalls, timeout } = this._limits;
+      generated = generate(ast, {
+        getDefinition: name => this._functions.getDefinition(name),
+        decimal: this._decimal,
+        counted: maxCalls !== undefined || timeout !== undefined,
+      });
+      this._generated.set(ast, generated);
+    }
+    return generated;
+  }
+
+  private _parseCached(formula: string): ASTNode {
+    const cached = this._cache.get(formula);
+    if (cached !== undefined) {
+      // Re-insert so the map's iteration order tracks recency of use
+      this._cache.delete(formula);
+      this._cache.set(formula, cached);
+      return cached;
+    }
+
+    const ast = this.parse(this.tokenize(formula), formula);
+    if (this._cacheSize > 0) {
+      if (this._cache.size >= this._cacheSize) {
+        this._cache.delete(this._cache.keys().next().value!);
+      }
+      this._cache.set(formula, ast);
+    }
+    return ast;
+  }
+
+  private _run(ast: ASTNode, localContext: VariableSource, source?: string, options: RunOptions = {}): any {
+    // Scopes hold only the names bound by let() and lambdas. Other names are
+    // looked up when they are reached, in the local source and then the global
+    // context. Only own properties of the contexts are read, and scopes have no
+    // prototype, so names such as `constructor` and `__proto__` cannot reach
+    // JavaScript internals.
+    const root = Object.create(null);
+    const { signal, onMissingVariable = this._onMissingVariable } = options;
+
+    const fail = (message: string, code: string, node: FunctionNode | VariableNode | LambdaNode): never => {
+      throw new FormulaEvaluationError(message, {
+        code,
+        start: node.start ?? 0,
+        end: node.end ?? 0,
+        // Nodes built by hand rather than parsed have no span to point at
+        source: node.start === undefined ? undefined : source,
+      });
+    };
+
+    const { maxCalls, maxResultSize, timeout } = this._limits;
+    const deadline = timeout === undefined ? Infinity : Date.now() + timeout;
+    let calls = 0;
+
+    const limitError = (
+      ErrorType: new (message: string, details: FormulaLimitErrorDetails) => FormulaError,
+      message: string,
+      code: string,
+      limit: number,
+      node?: FunctionNode,
+    ): FormulaError => new ErrorType(message, {
+      code,
+      start: node?.start ?? 0,
+      end: node?.end ?? 0,
+      source: node?.start === undefined ? undefined : source,
+      limit,
+    });
+    const timeoutError = (node?: FunctionNode) =>
+      limitError(FormulaTimeoutError, `Evaluation took longer than ${timeout} ms`, 'timeout', timeout!, node);
+
+    // Each function or operator reached counts as a step. A function that is
+    // already running cannot be interrupted, so the time is checked between steps.
+    const step = (node: FunctionNode): void => {
+      if (maxCalls !== undefined && ++calls > maxCalls) {
+        throw limitError(FormulaCallLimitError, `Evaluation made more than ${maxCalls} function calls`, 'too-many-calls', maxCalls, node);
+      }
+      if (timeout !== undefined && Date.now() > deadline) throw timeoutError(node);
+    };
+
+    const tooLarge = (node: FunctionNode, kind: 'string' | 'list', length: number): FormulaError => {
+      const producer = node.name === '__list' ? 'List literal' : describeCallee(node.name);
+      return limitError(
+        FormulaSizeError,
+        `${producer} produced a ${kind} of length ${length}, more than the limit of ${maxResultSize}`,
+        'result-too-large',
+        maxResultSize!,
+        node,
+      );
+    };
+
+    const checkSize = (node: FunctionNode, value: any): any => {
+      if (maxResultSize !== undefined && (typeof value === 'string' || Array.isArray(value)) && value.length > maxResultSize) {
+        throw tooLarge(node, typeof value === 'string' ? 'string' : 'list', value.length);
+      }
+      return value;
+    };
+
+    // A resolver is called at most once per name in each evaluation
+    const resolved = new Map<string, any>();
+    const resolveLocal = (name: string): any => {
+      if (typeof localContext === 'function') {
+        if (!resolved.has(name)) {
+          const value = localContext(name);
+          if (isPromiseLike(value)) {
+            const pending = Promise.resolve(value).then(result => {
+              resolved.set(name, result);
+              return result;
+            });
+            // evaluate() fails without waiting for it, so a rejection must not go unhandled
+            pending.catch(() => {});
+            resolved.set(name, pending);
+          } else {
+            resolved.set(name, value);
+          }
+        }
+        const value = resolved.get(name);
+        return value === undefined ? MISSING : value;
+      }
+      if (localContext instanceof Map) return localContext.has(name) ? localContext.get(name) : MISSING;
+      return Object.hasOwn(localContext, name) ? localContext[name] : MISSING;
+    };
+
+    const resolveMissing = (node: VariableNode): any => {
+      if (Object.hasOwn(this.context, node.name)) return this.context[node.name];
+      if (onMissingVariable) return onMissingVariable(node.name);
+      return fail(`Variable "${node.name}" not found`, 'unknown-variable', node);
+    };
+
+    const checkType = (node: FunctionNode, params: FunctionParam[], i: number, arg: any): void => {
+      const param = paramAt(params, i);
+      if (param && !matchesType(arg, param.type)) {
+        fail(argumentTypeMessage(node.name, i, param, typeName(arg)), 'invalid-argument-type', node);
+      }
+    };
+
+    // The steps below are shared by the interpreter and by code generated from
+    // the formula, so that both behave and fail in the same way
+
+    // Reads a variable that no let() or lambda binds
+    const readVariable = (node: VariableNode, isAsync: boolean): any => {
+      const value = resolveLocal(node.name);
+      if (typeof localContext === 'function' && isPromiseLike(value)) {
+        if (!isAsync) {
+          fail(`Variable "${node.name}" resolved to a promise; use evaluateAsync() to resolve variables asynchronously`, 'async-resolver', node);
+        }
+        return Promise.resolve(value).then(result => (result === undefined ? resolveMissing(node) : result));
+      }
+      return value === MISSING ? resolveMissing(node) : value;
+    };
+
+    // Member access only reads own properties, and names the path that failed
+    const readMember = (node: FunctionNode, object: any, member: any): any => {
+      const key = toPlainNumber(member);
+      const problem = memberAccessError(object, key, describePath(node.args[0]));
+      if (problem) fail(problem, 'member-not-found', node);
+      return getMember(object, key);
+    };
+
+    const unknownFunction = (node: FunctionNode): never => fail(`Function "${node.name}" not found`, 'unknown-function', node);
+
+    // Type checks an argument. Built-ins without a decimal version work on plain numbers.
+    const argument = (node: FunctionNode, def: FunctionDef, i: number, value: any): any => {
+      if (!def.params) return value;
+      checkType(node, def.params, i, value);
+      return this._decimal && def === builtinFunctions[node.name] && declaresNumber(paramAt(def.params, i)) ? toPlainNumber(value) : value;
+    };
+
+    // Functions that can tell the length of their result from their arguments
+    // are checked against the size limit before they allocate it
+    const invoke = (node: FunctionNode, def: FunctionDef, args: any[]): any => {
+      if (maxResultSize !== undefined && def.resultLength) {
+        const length = def.resultLength(...args);
+        if (length > maxResultSize) throw tooLarge(node, def.returns === 'list' ? 'list' : 'string', length);
       }
+      return def.fn(...args);
+    };
+
+    // Checks what a function returned in synchronous evaluation
+    const settle = (node: FunctionNode, value: any): any => {
+      if (isPromiseLike(value)) {
+        // The promise is dropped, so a rejection must not go unhandled
+        Promise.resolve(value).catch(() => {});
+        fail(`${describeCallee(node.name)} returned a promise; use evaluateAsync() to call asynchronous functions`, 'async-function', node);
+      }
+      return checkSize(node, value);
+    };
+
+    // Asynchronous evaluation lets functions return promises. Arguments are
+    // evaluated together, and a call waits only if one of them is a promise.
+    const runner = (isAsync: boolean) => {
+      const after = (value: any, fn: (value: any) => any): any =>
+        (isAsync && isPromiseLike(value) ? Promise.resolve(value).then(fn) : fn(value));
+      const all = (values: any[], fn: (values: any[]) => any): any =>
+        (isAsync && values.some(isPromiseLike) ? Promise.all(values).then(fn) : fn(values));
+
+      const call = (node: FunctionNode, def: FunctionDef, args: any[]): any => {
+        if (!isAsync) return settle(node, invoke(node, def, args));
+        signal?.throwIfAborted();
+        return after(invoke(node, def, args), value => checkSize(node, value));
+      };
+
+      const evaluateNode = (node: ASTNode, scope: Record<string, any>): any => {
+        if (typeof node !== 'object' || node === null) return node;
 
-      if (node.type === 'function') {
-        // if() requires lazy evaluation: only evaluate the chosen branch
-        if (node.name === 'if') {
-          const cond = run(node.args[0]);
-          return cond ? run(node.args[1]) : run(node.args[2]);
+        if (node.type === 'variable') {
+          if (node.name in scope) return scope[node.name];
+          return readVariable(node, isAsync);
         }
 
-        // iferr requires lazy evaluation: catch errors from the first arg
-        if (node.name === 'iferr') {
-          try {
-            return run(node.args[0]);
-          } catch {
-            return run(node.args[1]);
+        if (node.type === 'lambda') {
+          // Lambdas close over the scope they were created in, binding their
+          // parameters in a child scope each time they are called. In
+          // asynchronous evaluation a body may return a promise, which the
+          // higher-order built-ins wait for like lazy functions do.
+          return (...args: any[]) => {
+            const child = Object.create(scope);
+            node.params.forEach((param, i) => { child[param] = args[i]; });
+            return run(node.body, child);
+          };
+        }
+
+        if (node.type === 'function') {
+          step(node);
+
+          if (node.name === '__member') {
+            return all([run(node.args[0], scope), run(node.args[1], scope)], ([object, member]) => readMember(node, object, member));
           }
+
+          // let() binds each name in turn, so later values can use earlier names
+          if (node.name === 'let') {
+            const bind = (i: number, inner: Record<string, any>): any => {
+              if (i >= node.args.length - 1) return run(node.args[node.args.length - 1], inner);
+              return after(run(node.args[i + 1], inner), result => {
+                const child = Object.create(inner);
+                child[(node.args[i] as VariableNode).name] = result;
+                return bind(i + 2, child);
+              });
+            };
+            return bind(0, scope);
+          }
+
+          const def = this._functions.getDefinition(node.name);
+          if (!def) return unknownFunction(node);
+
+          // Lazy functions are passed thunks, and each argument is evaluated and
+          // type checked only when (and if) the function asks for it
+          if (def.lazy) {
+            return call(node, def, node.args.map((arg, i) => () => after(run(arg, scope), value => argument(node, def, i, value))));
+          }
+
+          return all(node.args.map(arg => run(arg, scope)), args => call(node, def, args.map((arg, i) => argument(node, def, i, arg))));
+        }
+      };
+
+      // In decimal mode every number a formula produces, whether written in it,
+      // read from the context or returned by a function, becomes a decimal
+      const run = (node: ASTNode, scope: Record<string, any>): any => after(evaluateNode(node, scope), value =>
+        (this._decimal ? toDecimal(value) : value));
+
+      return run;
+    };
+
+    const syncRun = runner(false);
+    if (!options.async) {
+      if (this._backend === 'codegen' && !options.interpret && typeof ast === 'object' && ast !== null) {
+        return this._generatedFor(ast)({
+          variable: node => readVariable(node, false),
+          member: readMember,
+          step,
+          unknown: unknownFunction,
+          argument,
+          call: invoke,
+          result: settle,
+        });
+      }
+      return syncRun(ast, root);
+    }
+
+    // Abandon the evaluation as soon as the signal fires or the time runs out,
+    // rather than waiting for functions that are already running to finish
+    signal?.throwIfAborted();
+    const result = runner(true)(ast, root);
+    if ((!signal && timeout === undefined) || !isPromiseLike(result)) return result;
+    return new Promise((resolve, reject) => {
+      const abort = () => reject(signal!.reason);
+      signal?.addEventListener('abort', abort, { once: true });
+      const timer = timeout === undefined ? undefined : setTimeout(() => reject(timeoutError()), deadline - Date.now());
+      Promise.resolve(result).then(resolve, reject).finally(() => {
+        signal?.removeEventListener('abort', abort);
+        clearTimeout(timer);
+      });
+    });
+  }
+
+  validate(formula: string, options: ValidateOptions = {}): Diagnostic[] {
+    const errors: FormulaSyntaxError[] = [];
+    const trailing: ASTNode[] = [];
+    let ast: ASTNode;
+    try {
+      ast = this._parse(this._tokenize(formula, errors), formula, errors, trailing);
+    } catch (error) {
+      // A formula that is too long or too deep cannot be read any further
+      if (!(error instanceof FormulaLengthError || error instanceof FormulaDepthError)) throw error;
+      return [{ ...toDiagnostic(error), ...locate(formula, error.start) }];
+    }
+    const diagnostics: Diagnostic[] = errors.map(toDiagnostic);
+
+    const known = options.knownVariables
+      ? new Set(Array.from(options.knownVariables, name => name.split(/[.[]/)[0]))
+      : null;
+    const report = (message: string, code: string, node: FunctionNode | VariableNode): void => {
+      diagnostics.push(toDiagnostic(new FormulaEvaluationError(message, {
+        code,
+        start: node.start ?? 0,
+        end: node.end ?? 0,
+        source: formula,
+      })));
+    };
+
+    const walk = (node: ASTNode, bound: Set<string>): void => {
+      if (typeof node !== 'object' || node === null) return;
+
+      if (node.type === 'variable') {
+        if (known && !known.has(node.name) && !bound.has(node.name) && !Object.hasOwn(this.context, node.name)) {
+          report(`Variable "${node.name}" not found`, 'unknown-variable', node);
+        }
+        return;
+      }
+
+      if (node.type === 'lambda') {
+        walk(node.body, new Set([...bound, ...node.params]));
+        return;
+      }
+
+      if (!this._functions.has(node.name)) {
+        report(`Function "${node.name}" not found`, 'unknown-function', node);
+      }
+      if (node.name === 'let') {
+        let inner = bound;
+        forEachBinding(node, (name, value) => {
+          walk(value, inner);
+          inner = new Set([...inner, name]);
+        });
+        walk(node.args[node.args.length - 1], inner);
+        return;
+      }
+      node.args.forEach(arg => walk(arg, bound));
+    };
+    [ast, ...trailing].forEach(node => walk(node, new Set()));
+
+    return diagnostics.sort((a, b) => a.start - b.start);
+  }
+
+  inferType(formula: string, schema: TypeSchema = {}): TypeInference {
+    const ast = this._parseCached(formula);
+    const errors: Diagnostic[] = [];
+    const report = (message: string, code: string, node: FunctionNode | VariableNode): void => {
+      errors.push(toDiagnostic(new FormulaEvaluationError(message, {
+        code,
+        start: node.start ?? 0,
+        end: node.end ?? 0,
+        source: formula,
+      })));
+    };
+
+    const schemaRoots = new Set(Object.keys(schema).map(path => path.split(/[.[]/)[0]));
+
+    // bound holds the types of names introduced by let() and lambdas
+    const infer = (node: ASTNode, bound: Map<string, ValueType>): ValueType => {
+      if (typeof node !== 'object' || node === null) return typeOf(node);
+
+      if (node.type === 'variable') {
+        if (bound.has(node.name)) return bound.get(node.name)!;
+        if (Object.hasOwn(schema, node.name)) return schema[node.name];
+        if (Object.hasOwn(this.context, node.name)) return typeOf(this.context[node.name]);
+        if (schemaRoots.has(node.name)) return 'any';
+        report(`Variable "${node.name}" not found`, 'unknown-variable', node);
+        return 'any';
+      }
+
+      if (node.type === 'lambda') {
+        // Lambda parameters take whatever the calling function passes them
+        infer(node.body, new Map([...bound, ...node.params.map(param => [param, 'any'] as const)]));
+        return 'function';
+      }
+
+      if (node.name === 'let') {
+        let inner = bound;
+        forEachBinding(node, (name, value) => {
+          inner = new Map([...inner, [name, infer(value, inner)]]);
+        });
+        return infer(node.args[node.args.length - 1], inner);
+      }
+
+      // The schema can give the types of nested values by their full path
+      if (node.name === '__member') {
+        const chain = staticPath(node);
+        if (chain && !chain.rest.length && !bound.has(chain.root.name) && Object.hasOwn(schema, chain.path)) {
+          return schema[chain.path];
         }
+      }
 
-        const fn = this._functions.get(node.name);
-        if (!fn) throw new Error(`Function "${node.name}" not found`);
-        return fn(...node.args.map(run));
+      const types = node.args.map(arg => infer(arg, bound));
+      const def = this._functions.getDefinition(node.name);
+      if (!def) {
+        report(`Function "${node.name}" not found`, 'unknown-function', node);
+        return 'any';
+      }
+
+      types.forEach((type, i) => {
+        const param = def.params && paramAt(def.params, i);
+        if (param && type !== 'any' && !acceptsType(param.type, type)) {
+          report(argumentTypeMessage(node.name, i, param, type), 'invalid-argument-type', node);
+        }
+      });
+
+      switch (node.name) {
+        case 'if':
+        case '__ternary':
+          return mergeTypes([types[1], types[2] ?? 'null']);
+        case 'iferr':
+        case '__and':
+        case '__or':
+          return mergeTypes(types);
+        case 'coalesce': {
+          const present = types.filter(type => type !== 'null');
+          return present.length ? mergeTypes(present) : 'null';
+        }
+        case 'switch':
+        case 'ifs': {
+          // Results follow each case or condition, then an optional default
+          const pairs = node.name === 'switch' ? types.slice(1) : types;
+          const results = pairs.filter((_, i) => i % 2 === 1);
+          return mergeTypes([...results, pairs.length % 2 ? pairs[pairs.length - 1] : 'null']);
+        }
+        case 'choose':
+          return mergeTypes(types.slice(1));
+        case '__add': {
+          const [left, right] = types;
+          if (left === 'number' && right === 'number') return 'number';
+          if (left === 'duration' && right === 'duration') return 'duration';
+          if ((left === 'date' && right === 'duration') || (left === 'duration' && right === 'date')) return 'date';
+          if ((left === 'string' || right === 'string') && left !== 'list' && right !== 'list') return 'string';
+          if (left === 'any' || right === 'any') return 'any';
+          report(`Operator "+" cannot be applied to ${left} and ${right}`, 'invalid-operand-types', node);
+          return 'any';
+        }
+        case '__sub': {
+          const [left, right] = types;
+          if (left === 'any' || right === 'any') return 'any';
+          if (left === 'number' && right === 'number') return 'number';
+          if (left === 'date' && right === 'date') return 'duration';
+          if (left === 'date' && right === 'duration') return 'date';
+          if (left === 'duration' && right === 'duration') return 'duration';
+          // Operands of other types have already been reported as invalid arguments
+          if (acceptsType(def.params?.[0]?.type, left) && acceptsType(def.params?.[1]?.type, right)) {
+            report(`Operator "-" cannot be applied to ${left} and ${right}`, 'invalid-operand-types', node);
+          }
+          return 'any';
+        }
+        case '__gt':
+        case '__gte':
+        case '__lt':
+        case '__lte': {
+          const [left, right] = types;
+          const comparable = (type: ValueType) => ['number', 'string', 'date', 'duration'].includes(type);
+          if (left !== 'any' && right !== 'any' && (left !== right || !comparable(left))) {
+            report(`Operator "${OP_SYMBOLS[node.name]}" cannot compare ${left} with ${right}`, 'invalid-operand-types', node);
+          }
+          return 'boolean';
+        }
       }
+      return def.returns ?? 'any';
     };
 
-    return run(ast);
+    const type = infer(ast, new Map());
+    return { type, errors: errors.sort((a, b) => a.start - b.start) };
   }
 
-  getDependencies(formula: string): string[] {
-    const ast = this.parse(this.tokenize(formula));
+  getDependencies(formula: string, options: DependencyOptions = {}): string[] {
+    return this._collectDependencies(this._parseCached(formula), options);
+  }
+
+  private _collectDependencies(ast: ASTNode, { paths = false }: DependencyOptions = {}): string[] {
     const deps = new Set<string>();
-    const walk = (node: ASTNode): void => {
+    const walk = (node: ASTNode, bound: Set<string>): void => {
       if (typeof node !== 'object' || node === null) return;
-      if (node.type === 'variable') deps.add(node.name);
-      else if (node.type === 'function') node.args.forEach(walk);
+      if (paths && node.type === 'function' && node.name === '__member') {
+        const chain = staticPath(node);
+        if (chain && !bound.has(chain.root.name)) {
+          deps.add(chain.path);
+          chain.rest.forEach(key => walk(key, bound));
+          return;
+        }
+      }
+      if (node.type === 'variable') {
+        if (!bound.has(node.name)) deps.add(node.name);
+      } else if (node.type === 'lambda') {
+        // Lambda parameters are local to the lambda body, not free variables
+        walk(node.body, new Set([...bound, ...node.params]));
+      } else if (node.name === 'let') {
+        let inner = bound;
+        forEachBinding(node, (name, value) => {
+          walk(value, inner);
+          inner = new Set([...inner, name]);
+        });
+        walk(node.args[node.args.length - 1], inner);
+      } else {
+        node.args.forEach(arg => walk(arg, bound));
+      }
     };
-    walk(ast);
+    walk(ast, new Set());
     return Array.from(deps);
   }
 }
@@ -0,0 +1,252 @@
+const ALLOWED_FLAGS = new Set(['i', 'm', 's', 'u']);
+
+const MAX_PATTERN_LENGTH = 1000;
+// Matching can still take time that grows with the square of the input, so the input is kept short
+const MAX_INPUT_LENGTH = 10000;
+
+const compiled = new Map<string, RegExp>();
+const MAX_COMPILED = 100;
+
+// The characters an atom can match: those listed, or all but those listed.
+// Sets are worked out roughly, erring towards matching more.
+interface CharSet {
+  negated: boolean;
+  chars: Set<string>;
+}
+
+interface Group {
+  // The group contains a quantifier that can repeat something more than once
+  repeats: boolean;
+  // The group contains alternatives, which may match the same text, as in (a|a)
+  alternates: boolean;
+  // The characters the atoms in the group can match
+  chars: CharSet;
+  // The repeated atoms, one after another in the current alternative, that could match next to each other
+  run: CharSet[];
+}
+
+const DIGITS = '0123456789';
+const WORD = `${DIGITS}abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_`;
+const SPACE = ' \t\n\r\v\f\u00a0\u1680\u2028\u2029\u202f\u205f\u3000\ufeff';
+const ESCAPED_CHARS: Record<string, string> = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v', 0: '\0' };
+const CLASS_ESCAPES: Record<string, string> = { d: DIGITS, w: WORD, s: SPACE };
+
+// Both cases are included, in case the pattern ignores case
+const charSet = (chars: Iterable<string>, negated = false): CharSet =>
+  ({ negated, chars: new Set(Array.from(chars, ch => [ch.toLowerCase(), ch.toUpperCase()]).flat()) });
+
+const ANY = charSet('', true);
+
+const union = (a: CharSet, b: CharSet): CharSet => {
+  if (!a.negated && !b.negated) return { negated: false, chars: new Set([...a.chars, ...b.chars]) };
+  if (a.negated && b.negated) return { negated: true, chars: new Set([...a.chars].filter(ch => b.chars.has(ch))) };
+  const [excluded, included] = a.negated ? [a, b] : [b, a];
+  return { negated: true, chars: new Set([...excluded.chars].filter(ch => !included.chars.has(ch))) };
+};
+
+const overlaps = (a: CharSet, b: CharSet): boolean => {
+  if (a.negated && b.negated) return true;
+  if (!a.negated && !b.negated) return [...a.chars].some(ch => b.chars.has(ch));
+  const [excluded, included] = a.negated ? [a, b] : [b, a];
+  return [...included.chars].some(ch => !excluded.chars.has(ch));
+};
+
+// Reads the escape sequence at a backslash, giving the characters it matches
+// (or null for \b and \B, which match none) and the index of its last character
+function readEscape(pattern: string, start: number): [CharSet | null, number] {
+  const next = pattern[start + 1] ?? '';
+  const lower = next.toLowerCase();
+  if (Object.hasOwn(CLASS_ESCAPES, lower)) return [charSet(CLASS_ESCAPES[lower], next !== lower), start + 1];
+  if (next === 'b' || next === 'B') return [null, start + 1];
+  const code = /^(?:u\{([0-9a-fA-F]{1,6})\}|u([0-9a-fA-F]{4})|x([0-9a-fA-F]{2}))/.exec(pattern.slice(start + 1));
+  if (code) {
+    const point = parseInt(code[1] ?? code[2] ?? code[3], 16);
+    return [point > 0x10ffff ? ANY : charSet(String.fromCodePoint(point)), start + code[0].length];
+  }
+  // Unicode properties and control characters are taken to match anything
+  const sequence = /^(?:[pP]\{[^}]*\}|c[a-zA-Z])/.exec(pattern.slice(start + 1));
+  if (sequence) return [ANY, start + sequence[0].length];
+  return [charSet(ESCAPED_CHARS[next] ?? next), start + 1];
+}
+
+// The characters a character class matches, and the index of its closing bracket
+function readClass(pattern: string, start: number): [CharSet, number] {
+  let i = start + 1;
+  const negated = pattern[i] === '^';
+  if (negated) i++;
+  let set = charSet('');
+  for (; i < pattern.length && pattern[i] !== ']'; i++) {
+    let item = charSet(pattern[i]);
+    if (pattern[i] === '\\') {
+      const [escaped, end] = readEscape(pattern, i);
+      // In a class \b is a backspace
+      item = escaped ?? charSet('\b');
+      i = end;
+    }
+    // Ranges of up to 256 characters are listed, and wider ones taken to match anything
+    if (pattern[i + 1] === '-' && pattern[i + 2] !== undefined && pattern[i + 2] !== ']' && !item.negated && item.chars.size) {
+      let to = pattern[i + 2];
+      i += 2;
+      if (to === '\\') {
+        const [end, last] = readEscape(pattern, i);
+        to = end && !end.negated && end.chars.size ? [...end.chars][0] : '\uffff';
+        i = last;
+      }
+      const from = [...item.chars][0].charCodeAt(0);
+      const range: string[] = [];
+      for (let code = from; code <= to.charCodeAt(0) && range.length <= 256; code++) range.push(String.fromCharCode(code));
+      item = range.length > 256 ? ANY : charSet(range);
+    }
+    set = union(set, item);
+  }
+  if (!negated) return [set, i];
+  return [set.negated ? ANY : { negated: true, chars: set.chars }, i];
+}
+
+/**
+ * Rejects patterns whose matching time can grow exponentially with the length
+ * of the input. JavaScript regular expressions backtrack, so a pattern such as
+ * `(a+)+$` can hang on a string of a few dozen characters. Repeating a group
+ * that itself contains a repeating quantifier is the usual cause, and
+ * repeating a group of alternatives that can match the same text, as in
+ * `(a|aa)+$`, is another, so patterns that repeat either kind of group are
+ * refused, as are backreferences, which cannot be matched without backtracking
+ * at all. Repeated atoms next to each other that can match the same
+ * characters, as in `a*a*b`, `\w+\w*` or `\w*a\w*`, can share the input
+ * between them in many ways, which takes polynomial time with a high power, so
+ * they are refused too.
+ */
+function checkPattern(pattern: string): void {
+  const tooComplex = (reason: string) =>
+    new Error(`Regular expression "${pattern}" is not allowed because it ${reason}`);
+
+  const newGroup = (): Group => ({ repeats: false, alternates: false, chars: charSet(''), run: [] });
+  const stack: Group[] = [newGroup()];
+  // The last atom, which a quantifier would apply to
+  let last: { chars: CharSet; group?: Group } | undefined;
+
+  // Adds an atom with the number of times it can repeat
+  const add = (atom: { chars: CharSet; group?: Group }, min: number, max: number): void => {
+    const current = stack[stack.length - 1];
+    current.chars = union(current.chars, atom.chars);
+    if (max > 1) {
+      if (atom.group?.repeats) throw tooComplex('repeats a group that contains a repeating quantifier');
+      if (atom.group?.alternates) throw tooComplex('repeats a group that contains alternatives');
+      current.repeats = true;
+    }
+    if (max > 1 && max > min) {
+      if (current.run.some(chars => overlaps(chars, atom.chars))) {
+        throw tooComplex('has repeated parts next to each other that can match the same characters');
+      }
+      current.run.push(atom.chars);
+    } else if (min > 0 && !current.run.some(chars => overlaps(chars, atom.chars))) {
+      // An atom that must match separates the repeated atoms before it from
+      // those after it, unless they could match its characters too
+      current.run = [];
+    }
+  };
+  const settle = (): void => {
+    if (last) add(last, 1, 1);
+    last = undefined;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === '*' || ch === '+' || ch === '?' || ch === '{') {
+      let [min, max] = ch === '*' ? [0, Infinity] : ch === '+' ? [1, Infinity] : [0, 1];
+      if (ch === '{') {
+        const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+        if (!bounds) {
+          // A brace that is not a quantifier matches itself
+          settle();
+          last = { chars: charSet('{') };
+          continue;
+        }
+        min = Number(bounds[1]);
+        max = bounds[2] === undefined ? min : bounds[3] === '' ? Infinity : Number(bounds[3]);
+        i += bounds[0].length - 1;
+      }
+      if (pattern[i + 1] === '?') i++; // lazy quantifier
+      if (last) add(last, min, max);
+      last = undefined;
+      continue;
+    }
+
+    settle();
+    if (ch === '\\') {
+      const next = pattern[i + 1] ?? '';
+      if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) {
+        throw tooComplex('uses a backreference');
+      }
+      const [chars, end] = readEscape(pattern, i);
+      if (chars) last = { chars };
+      i = end;
+    } else if (ch === '[') {
+      const [chars, end] = readClass(pattern, i);
+      last = { chars };
+      i = end;
+    } else if (ch === '(') {
+      stack.push(newGroup());
+      // Skip the ?:, ?=, ?!, ?<=, ?<! or ?<name> that follows the bracket
+      const prefix = /^\?(?::|=|!|<=|<!|<[^>]*>)/.exec(pattern.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+    } else if (ch === '|') {
+      const current = stack[stack.length - 1];
+      current.alternates = true;
+      current.run = [];
+    } else if (ch === ')') {
+      if (stack.length === 1) continue; // left for the RegExp constructor to report
+      const group = stack.pop()!;
+      const parent = stack[stack.length - 1];
+      if (group.repeats) parent.repeats = true;
+      if (group.alternates) parent.alternates = true;
+      last = { chars: group.chars, group };
+    } else if (ch === '.') {
+      last = { chars: ANY };
+    } else if (ch !== '^' && ch !== '$') {
+      last = { chars: charSet(ch) };
+    }
+  }
+}
+
+/**
+ * Compiles a regular expression for the regex functions, refusing patterns that
+ * could take exponential time to match. Compiled expressions are reused.
+ */
+export function safeRegExp(pattern: string, flags = '', global = false): RegExp {
+  const source = String(pattern);
+  for (const flag of String(flags)) {
+    if (!ALLOWED_FLAGS.has(flag)) {
+      throw new Error(`Unknown regular expression flag "${flag}"; expected any of ${[...ALLOWED_FLAGS].join(', ')}`);
+    }
+  }
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Regular expression is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  const allFlags = `${flags}${global ? 'g' : ''}`;
+  const key = `${allFlags}/${source}`;
+  let regex = compiled.get(key);
+  if (!regex) {
+    checkPattern(source);
+    try {
+      regex = new RegExp(source, allFlags);
+    } catch (error) {
+      throw new Error(`Invalid regular expression "${source}": ${(error as Error).message.replace(/^Invalid regular expression: \/.*\/\w*: /s, '')}`);
+    }
+    if (compiled.size >= MAX_COMPILED) compiled.delete(compiled.keys().next().value!);
+    compiled.set(key, regex);
+  }
+  regex.lastIndex = 0;
+  return regex;
+}
+
+/** Converts the text a regex function is given to a string, refusing text too long to match safely. */
+export function regexInput(text: any): string {
+  const input = String(text);
+  if (input.length > MAX_INPUT_LENGTH) {
+    throw new Error(`Text for a regular expression is longer than ${MAX_INPUT_LENGTH} characters`);
+  }
+  return input;
+}
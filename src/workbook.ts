@@ -0,0 +1,209 @@
+import FormulaEvaluator, { CompiledFormula } from './index.js';
+
+export class CircularReferenceError extends Error {
+  cycle: string[];
+
+  constructor(cycle: string[]) {
+    super(`Circular reference: ${cycle.join(' -> ')}`);
+    this.name = 'CircularReferenceError';
+    this.cycle = cycle;
+  }
+}
+
+interface FormulaCell {
+  compiled: CompiledFormula;
+}
+
+type CellResult = { value: any } | { error: unknown };
+
+export class Workbook {
+  readonly evaluator: FormulaEvaluator;
+  private _inputs = new Map<string, any>();
+  private _formulas = new Map<string, FormulaCell>();
+  private _results = new Map<string, CellResult>();
+
+  constructor(evaluator: FormulaEvaluator = new FormulaEvaluator()) {
+    this.evaluator = evaluator;
+  }
+
+  setInput(name: string, value: any): this {
+    assertName(name);
+    const wasFormula = this._formulas.delete(name);
+    if (wasFormula) this._results.delete(name);
+    this._inputs.set(name, value);
+    this._recalculate(this._dependentsOf([name]));
+    return this;
+  }
+
+  setFormula(name: string, formula: string): this {
+    assertName(name);
+    const compiled = this.evaluator.compile(formula);
+
+    const previous = this._formulas.get(name);
+    this._formulas.set(name, { compiled });
+    const cycle = this._findCycle(name);
+    if (cycle) {
+      if (previous) this._formulas.set(name, previous);
+      else this._formulas.delete(name);
+      throw new CircularReferenceError(cycle);
+    }
+
+    this._inputs.delete(name);
+    this._recalculate(this._dependentsOf([name], true));
+    return this;
+  }
+
+  remove(name: string): boolean {
+    const removed = this._inputs.delete(name) || this._formulas.delete(name);
+    if (!removed) return false;
+    this._results.delete(name);
+    this._recalculate(this._dependentsOf([name]));
+    return true;
+  }
+
+  has(name: string): boolean {
+    return this._inputs.has(name) || this._formulas.has(name);
+  }
+
+  isFormula(name: string): boolean {
+    return this._formulas.has(name);
+  }
+
+  get(name: string): any {
+    if (this._inputs.has(name)) return this._inputs.get(name);
+    const result = this._results.get(name);
+    if (!result) throw new Error(`Cell "${name}" not found`);
+    if ('error' in result) throw result.error;
+    return result.value;
+  }
+
+  getFormula(name: string): string | undefined {
+    return this._formulas.get(name)?.compiled.source;
+  }
+
+  /** Names of the cells a formula cell references directly. */
+  getDependencies(name: string): string[] {
+    return this._formulas.get(name)?.compiled.dependencies.slice() ?? [];
+  }
+
+  /** Names of the formula cells that directly or transitively depend on a cell. */
+  getDependents(name: string): string[] {
+    return this._dependentsOf([name]);
+  }
+
+  /** All formula cells, ordered so that every cell comes after the cells it depends on. */
+  getEvaluationOrder(): string[] {
+    const order: string[] = [];
+    const visited = new Set<string>();
+    const visit = (name: string): void => {
+      if (visited.has(name)) return;
+      visited.add(name);
+      for (const dep of this._formulas.get(name)!.compiled.dependencies) {
+        if (this._formulas.has(dep)) visit(dep);
+      }
+      order.push(name);
+    };
+    for (const name of this._formulas.keys()) visit(name);
+    return order;
+  }
+
+  recalculate(): this {
+    this._recalculate(Array.from(this._formulas.keys()));
+    return this;
+  }
+
+  values(): Record<string, any> {
+    const out: Record<string, any> = {};
+    for (const [name, value] of this._inputs) out[name] = value;
+    for (const [name, result] of this._results) {
+      if ('value' in result) out[name] = result.value;
+    }
+    return out;
+  }
+
+  errors(): Record<string, unknown> {
+    const out: Record<string, unknown> = {};
+    for (const [name, result] of this._results) {
+      if ('error' in result) out[name] = result.error;
+    }
+    return out;
+  }
+
+  private _dependentsOf(names: string[], includeSelf = false): string[] {
+    const dependents = new Map<string, string[]>();
+    for (const [name, { compiled }] of this._formulas) {
+      for (const dep of compiled.dependencies) {
+        if (!dependents.has(dep)) dependents.set(dep, []);
+        dependents.get(dep)!.push(name);
+      }
+    }
+
+    const found = new Set<string>(includeSelf ? names : []);
+    const queue = [...names];
+    while (queue.length) {
+      for (const next of dependents.get(queue.shift()!) ?? []) {
+        if (found.has(next)) continue;
+        found.add(next);
+        queue.push(next);
+      }
+    }
+    return Array.from(found);
+  }
+
+  private _findCycle(start: string): string[] | null {
+    const path: string[] = [];
+    const done = new Set<string>();
+    const visit = (name: string): string[] | null => {
+      const index = path.indexOf(name);
+      if (index !== -1) return [...path.slice(index), name];
+      if (done.has(name)) return null;
+      const cell = this._formulas.get(name);
+      if (!cell) return null;
+
+      path.push(name);
+      for (const dep of cell.compiled.dependencies) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+      path.pop();
+      done.add(name);
+      return null;
+    };
+    return visit(start);
+  }
+
+  private _recalculate(names: string[]): void {
+    const pending = new Set(names);
+    for (const name of this.getEvaluationOrder()) {
+      if (pending.has(name)) this._results.set(name, this._evaluateCell(name));
+    }
+  }
+
+  private _evaluateCell(name: string): CellResult {
+    const { compiled } = this._formulas.get(name)!;
+    const scope: Record<string, any> = {};
+    for (const dep of compiled.dependencies) {
+      if (this._inputs.has(dep)) {
+        scope[dep] = this._inputs.get(dep);
+        continue;
+      }
+      const result = this._results.get(dep);
+      if (!result) continue;
+      // Errors propagate to every cell that depends on the failing one
+      if ('error' in result) return result;
+      scope[dep] = result.value;
+    }
+
+    try {
+      return { value: compiled.evaluate(scope) };
+    } catch (error) {
+      return { error };
+    }
+  }
+}
+
+function assertName(name: string): void {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Cell name must be a non-empty string');
+  }
+}
@@ -0,0 +1,208 @@
+import { describe, it, expect, vi } from 'vitest';
+import FormulaEvaluator, { Decimal, Duration } from '../src/index.ts';
+
+// Every case is evaluated by both backends, which must agree on the value or
+// on the error, down to its class, message, code and span.
+const BACKENDS = ['interpreter', 'codegen'];
+
+const outcome = (run) => {
+  try {
+    const value = run();
+    return { value: typeof value === 'function' ? 'function' : value };
+  } catch (error) {
+    const { message, code, start, end, limit } = error;
+    return { error: { type: error.constructor.name, message, code, start, end, limit } };
+  }
+};
+
+const SETUPS = {
+  float: { globals: { rate: 0.5 }, options: {} },
+  decimal: { globals: { rate: 0.5 }, options: { numeric: 'decimal' } },
+  limited: { globals: { rate: 0.5 }, options: { limits: { maxCalls: 12, maxResultSize: 8 } } },
+};
+
+const setUp = (backend, { globals, options }) => {
+  const evaluator = new FormulaEvaluator(globals, { ...options, backend });
+  evaluator.registerFunction('double', (x) => x * 2, { params: [{ name: 'value', type: 'number' }] });
+  evaluator.registerFunction('twice', (value) => [value(), value()], { lazy: true });
+  evaluator.registerFunction('later', async (x) => x);
+  evaluator.registerFunction('fail', () => { throw new Error('custom failure'); });
+  evaluator.registerOperator('~=', { precedence: 30, fn: (a, b) => String(a).toLowerCase() === String(b).toLowerCase() });
+  evaluator.registerOperator('not', { precedence: 25, arity: 'prefix', fn: (a) => !a });
+  return evaluator;
+};
+
+const CONTEXT = {
+  a: 3,
+  b: 4,
+  zero: 0,
+  text: 'Hello',
+  empty: '',
+  flag: true,
+  nothing: null,
+  xs: [1, 2, 3, 4],
+  words: ['b', 'a', 'c'],
+  order: { id: 7, lines: [{ price: 2.5, qty: 2 }, { price: 10, qty: 1 }], 'unit price': 4 },
+  when: new Date(Date.UTC(2024, 0, 31)),
+  span: new Duration(2 * 24 * 60 * 60 * 1000),
+  nan: NaN,
+  inf: Infinity,
+};
+
+const CASES = [
+  // Literals, variables and arithmetic
+  '42', '"text"', 'null', 'true', '[1, "two", [null]]',
+  'a + b * 2', '(a + b) * 2', 'a - b - 1', '2 ^ 3 ^ 2', '-a ^ 2', 'a / zero', 'a % 2', '0.1 + 0.2',
+  'a + text', 'text + nothing', 'a * text', '-text', 'a - "1"', 'rate * 4', 'missing + 1',
+  'a == 3', 'a != b', 'a < b', 'text > "A"', '"a" == "a"', 'nothing == null', 'when == when', 'xs == xs',
+  // Logic and conditionals
+  '!flag', '!zero', 'flag && a', 'zero && missing', 'empty || text', 'text || missing', 'nothing || zero',
+  'if(flag, "yes", "no")', 'if(zero, 1)', 'if(zero, missing, 2)', 'flag ? a : missing', 'zero ? 1 : zero ? 2 : 3',
+  'ifs(a > 5, "big", a > 2, "medium", "small")', 'ifs(zero, 1)', 'iferr(a / missing, "fallback")', 'iferr(fail(), 0)',
+  'coalesce(nothing, missing)', 'coalesce(nothing, a)', 'if(missing, 1, 2)', 'if(1, 2, 3, 4)',
+  // Text and lists
+  'text & "-" & a', 'upper(text) & nothing', 'len(text) + len(xs)', 'concat(text, " ", a)', 'a in xs', '"ell" in text',
+  'sum(xs)', 'sum(xs, a, [b])', 'avg(xs)', 'max(a, b, 1)', 'round(rate * 3.333, 2)', 'round(text, 2)', 'abs(-a)',
+  'sort(words)', 'join(words, ",")', 'first(xs)', 'repeat("ab", 10)', 'repeat(text, 1000000000)', 'padstart(text, 10000000000)',
+  // Member access
+  'order.id', 'order.lines[1].price', 'order["unit price"] * 2', 'order.lines[0]["qty"]', 'xs[0]', 'xs[-1]',
+  'order.missing', 'order.lines[5].price', 'text.length', 'nothing.id', 'order[a]',
+  // Lambdas and let()
+  'map(xs, x => x * a)', 'filter(xs, x => x > 2)', 'reduce(xs, 0, (acc, x) => acc + x)',
+  'map(order.lines, line => line.price * line.qty)', 'map(xs, (x, i) => x * i)', 'map(xs, () => a)',
+  'let(x, 2, y, x * 3, x + y)', 'let(a, 10, a + b)', 'let(x, a, map(xs, a => a + x))', 'map(xs, x => let(y, x * 2, y + x))',
+  'let(x, missing, 1)', 'map(xs, x => x.nope)', 'let(f, x => x + a, map(xs, f))',
+  // Custom functions and operators
+  'double(a) + 1', 'double(text)', 'double(fail())', 'twice(a + 1)', 'twice(double(a))', 'later(1)', 'fail() + missing',
+  'unknown(1, missing)', 'text ~= "HELLO"', 'not flag', 'not a ~= 3',
+  // Dates
+  'year(when) + month(when)', 'when + span', 'when - when', 'text - when', 'when + a', 'text + when', 'unique([when, when])',  // Numbers without a decimal form
+  'nan', 'inf', 'nan + a', 'inf * 2', '-inf', 'a / inf', 'inf > a', 'nan == nan', 'isnan(nan)', 'round(inf, 2)',
+  'sum([a, inf])', 'iferr(nan + 1, "bad")', 'double(inf)', 'map(xs, x => x * inf)', 'unique([nan, a, inf, inf])',
+];
+
+describe.each(Object.entries(SETUPS))('conformance (%s)', (_, setup) => {
+  const evaluators = Object.fromEntries(BACKENDS.map(backend => [backend, setUp(backend, setup)]));
+
+  it.each(CASES)('%s', (formula) => {
+    const [expected, ...others] = BACKENDS.map(backend => outcome(() => evaluators[backend].evaluate(formula, CONTEXT)));
+    others.forEach(actual => expect(actual).toEqual(expected));
+  });
+});
+
+// A small deterministic generator, so that failures can be reproduced
+const random = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+describe('conformance of generated formulas', () => {
+  const OPERATORS = ['__add', '__sub', '__mul', '__div', '__mod', '__pow', '__eq', '__neq', '__gt', '__gte', '__lt', '__lte',
+    '__and', '__or', '__concat', '__in'];
+
+  it.each(Object.entries(SETUPS))('agrees on random formulas (%s)', (_, setup) => {
+    const evaluators = BACKENDS.map(backend => setUp(backend, setup));
+    const next = random(7);
+    const pick = (items) => items[Math.floor(next() * items.length)];
+
+    const generate = (depth, bound) => {
+      if (depth === 0 || next() < 0.25) {
+        return pick([
+          () => Math.floor(next() * 10) - 3,
+          () => pick(['', 'x', 'Hello']),
+          () => pick([true, false, null]),
+          () => ({ type: 'variable', name: pick([...bound, 'a', 'zero', 'text', 'nothing', 'xs', 'order', 'missing']) }),
+        ])();
+      }
+      const child = () => generate(depth - 1, bound);
+      return pick([
+        () => ({ type: 'function', name: pick(OPERATORS), args: [child(), child()] }),
+        () => ({ type: 'function', name: pick(['__neg', '__not']), args: [child()] }),
+        () => ({ type: 'function', name: pick(['if', '__ternary']), args: [child(), child(), child()] }),
+        () => ({ type: 'function', name: 'if', args: [child(), child()] }),
+        () => ({ type: 'function', name: '__member', args: [child(), pick(['id', 'lines', 0, child()])] }),
+        () => ({ type: 'function', name: '__list', args: [child(), child()] }),
+        () => ({ type: 'function', name: pick(['sum', 'len', 'upper', 'coalesce', 'iferr', 'double', 'twice']), args: [child()] }),
+        () => ({ type: 'function', name: 'let', args: [{ type: 'variable', name: 'v' }, child(), generate(depth - 1, [...bound, 'v'])] }),
+        () => ({
+          type: 'function',
+          name: pick(['map', 'filter']),
+          args: [child(), { type: 'lambda', params: ['item'], body: generate(depth - 1, [...bound, 'item']) }],
+        }),
+      ])();
+    };
+
+    for (let i = 0; i < 400; i++) {
+      const ast = generate(4, []);
+      const [expected, actual] = evaluators.map(evaluator => outcome(() => evaluator.compileAst(ast).evaluate(CONTEXT)));
+      expect(actual, JSON.stringify(ast)).toEqual(expected);
+    }
+  });
+});
+
+describe('codegen backend', () => {
+  const codegen = (globals = {}, options = {}) => new FormulaEvaluator(globals, { ...options, backend: 'codegen' });
+
+  it('rejects unknown backends', () => {
+    expect(() => new FormulaEvaluator({}, { backend: 'jit' })).toThrow('Unknown backend "jit"; expected "interpreter" or "codegen"');
+  });
+
+  it('evaluates compiled formulas repeatedly', () => {
+    const compiled = codegen().compile('price * qty * (1 - discount)');
+    expect([1, 2, 3].map(qty => compiled.evaluate({ price: 10, qty, discount: 0.5 }))).toEqual([5, 10, 15]);
+  });
+
+  it('never writes text from the formula into the generated code', () => {
+    const evaluator = codegen();
+    globalThis.injected = undefined;
+    const strings = ['"); globalThis.injected = 1; ("', '`${globalThis.injected = 2}`', '  ', '*/ globalThis.injected = 3; /*', '\\'];
+    strings.forEach(text => expect(evaluator.evaluate(JSON.stringify(text))).toBe(text));
+
+    const name = 'x); globalThis.injected = 4; (y';
+    const read = { type: 'variable', name };
+    expect(evaluator.compileAst(read).evaluate({ [name]: 'ok' })).toBe('ok');
+    const call = { type: 'function', name: 'a"](); globalThis.injected = 5; //', args: [] };
+    expect(() => evaluator.compileAst(call).evaluate()).toThrow('not found');
+    const lambda = { type: 'function', name: 'map', args: [{ type: 'function', name: '__list', args: [1] }, { type: 'lambda', params: ['p) => { globalThis.injected = 6; }; ('], body: 1 }] };
+    expect(evaluator.compileAst(lambda).evaluate()).toEqual([1]);
+    expect(globalThis.injected).toBeUndefined();
+    delete globalThis.injected;
+  });
+
+  it('evaluates only the branches the conditions select', () => {
+    const evaluator = codegen();
+    const audit = vi.fn(() => 1);
+    evaluator.registerFunction('audit', audit);
+    expect(evaluator.evaluate('if(flag, audit(), 0) + (flag && audit()) + (!flag || audit())', { flag: false })).toBe(1);
+    expect(audit).not.toHaveBeenCalled();
+  });
+
+  it('calls functions registered after a formula was compiled', () => {
+    const evaluator = codegen();
+    const compiled = evaluator.compile('bonus(a) + a');
+    expect(() => compiled.evaluate({ a: 1 })).toThrow('Function "bonus" not found');
+    evaluator.registerFunction('bonus', (x) => x * 10);
+    expect(compiled.evaluate({ a: 1 })).toBe(11);
+    evaluator.registerFunction('__add', (x, y) => `${x}+${y}`);
+    expect(compiled.evaluate({ a: 1 })).toBe('10+1');
+  });
+
+  it('counts inlined operators against the call limit', () => {
+    const evaluator = codegen({}, { limits: { maxCalls: 3 } });
+    expect(evaluator.evaluate('1 + 2 + 3 + 4')).toBe(10);
+    expect(() => evaluator.evaluate('1 + 2 + 3 + 4 + 5')).toThrow('Evaluation made more than 3 function calls');
+  });
+
+  it('leaves asynchronous evaluation to the interpreter', async () => {
+    const evaluator = codegen();
+    evaluator.registerFunction('later', async (x) => x * 2);
+    await expect(evaluator.evaluateAsync('later(n) + 1', { n: 2 })).resolves.toBe(5);
+    expect(() => evaluator.evaluate('later(n) + 1', { n: 2 })).toThrow('use evaluateAsync()');
+  });
+
+  it('works in decimal mode', () => {
+    const evaluator = codegen({}, { numeric: 'decimal' });
+    expect(evaluator.evaluate('0.1 + 0.2')).toEqual(Decimal.from('0.3'));
+    expect(evaluator.evaluate('sum(map(xs, x => x * 0.1))', { xs: [1, 2] })).toEqual(Decimal.from('0.3'));
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import FormulaEvaluator, { deserialize } from '../src/index.ts';
+
+// Removes source spans, which differ between a formula and its formatted form
+const strip = (node) => {
+  if (typeof node !== 'object' || node === null) return node;
+  if (node.type === 'variable') return { type: 'variable', name: node.name };
+  if (node.type === 'lambda') return { type: 'lambda', params: node.params, body: strip(node.body) };
+  return { type: 'function', name: node.name, args: node.args.map(strip) };
+};
+
+// A small deterministic generator, so that failures can be reproduced
+const random = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+const BINARY = ['__or', '__and', '__eq', '__neq', '__gt', '__lte', '__in', '__concat', '__add', '__sub', '__mul', '__div', '__mod', '__pow'];
+
+describe('format', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator();
+  });
+
+  const expectRoundTrip = (ast, options) => {
+    // A string passed to format() is formula text, so a string literal is passed quoted
+    const text = evaluator.format(typeof ast === 'string' ? JSON.stringify(ast) : ast, options);
+    expect(strip(evaluator.parse(evaluator.tokenize(text))), text).toEqual(strip(ast));
+    return text;
+  };
+
+  it.each([
+    ['1+2*3', '1 + 2 * 3'],
+    ['(1 + 2) * 3', '(1 + 2) * 3'],
+    ['((a))', 'a'],
+    ['a - (b - c)', 'a - (b - c)'],
+    ['(a - b) - c', 'a - b - c'],
+    ['a ^ (b ^ c)', 'a ^ b ^ c'],
+    ['(a ^ b) ^ c', '(a ^ b) ^ c'],
+    ['2 ** 3', '2 ^ 3'],
+    ['-(a ^ 2)', '-(a ^ 2)'],
+    ['(-a) ^ 2', '-a ^ 2'],
+    ['-(a.b)', '-a.b'],
+    ['(-a).b', '(-a).b'],
+    ['!(a && b) || c', '!(a && b) || c'],
+    ['a || (b && c)', 'a || b && c'],
+    ['x > 1 ? "big" : "small"', 'x > 1 ? "big" : "small"'],
+    ['(a ? b : c) ? d : e', '(a ? b : c) ? d : e'],
+    ['a ? b : (c ? d : e)', 'a ? b : c ? d : e'],
+    ['(a ? b : c) + 1', '(a ? b : c) + 1'],
+    ['SUM(A, b)', 'sum(A, b)'],
+    ['[1,2,[3]]', '[1, 2, [3]]'],
+    ['order.lines[0]["unit price"]', 'order.lines[0]["unit price"]'],
+    ['a["b"]', 'a.b'],
+    ['map(xs, (x) => x * 2)', 'map(xs, x => x * 2)'],
+    ['reduce(xs, 0, (acc, x) => acc + x)', 'reduce(xs, 0, (acc, x) => acc + x)'],
+    ['"say \\"hi\\"\\n"', '"say \\"hi\\"\\n"'],
+    ["'single'", '"single"'],
+    ['.5 + 10', '0.5 + 10'],
+    ['let(a, 1, a + 1)', 'let(a, 1, a + 1)'],
+    ['x in [1, 2]', 'x in [1, 2]'],
+    ['a & "-" & b', 'a & "-" & b'],
+    ['true && !false || null == null', 'true && !false || null == null'],
+  ])('formats %s as %s', (formula, expected) => {
+    expect(evaluator.format(formula)).toBe(expected);
+    expectRoundTrip(evaluator.compile(formula).ast);
+  });
+
+  it('formats ASTs', () => {
+    const ast = { type: 'function', name: '__mul', args: [{ type: 'function', name: '__add', args: [1, 2] }, 3] };
+    expect(evaluator.format(ast)).toBe('(1 + 2) * 3');
+    expect(evaluator.format(deserialize({ version: 1, ast: { type: 'variable', name: 'total' } }))).toBe('total');
+  });
+
+  it('writes numbers without exponents', () => {
+    expect(evaluator.format(1e21)).toBe('1000000000000000000000');
+    expect(evaluator.format(1.5e-7)).toBe('0.00000015');
+    expectRoundTrip(1e21);
+    expectRoundTrip(1.5e-7);
+    expect(() => evaluator.format(NaN)).toThrow('Cannot format the number NaN');
+  });
+
+  it('refuses internal functions it cannot write', () => {
+    expect(() => evaluator.format({ type: 'function', name: '__secret', args: [] }))
+      .toThrow('Cannot format a call to the internal function "__secret"');
+  });
+
+  describe('options', () => {
+    it('leaves out spaces', () => {
+      expect(evaluator.format('a + b * sum(1, 2)', { spaces: false })).toBe('a+b*sum(1,2)');
+      expect(evaluator.format('a - -b', { spaces: false })).toBe('a--b');
+      expect(evaluator.format('x in xs', { spaces: false })).toBe('x in xs');
+      expectRoundTrip(evaluator.compile('a - -b').ast, { spaces: false });
+    });
+
+    it('keeps operators that would run together apart', () => {
+      evaluator.registerOperator('<-', { precedence: 30, fn: (a, b) => [a, b] });
+      expect(evaluator.format('a < -b', { spaces: false })).toBe('a< -b');
+      expectRoundTrip(evaluator.compile('a < -b').ast, { spaces: false });
+    });
+
+    it('prints function names in upper case', () => {
+      expect(evaluator.format('sum(round(x, 2))', { functionCase: 'upper' })).toBe('SUM(ROUND(x, 2))');
+    });
+
+    it('wraps long calls onto one line per argument', () => {
+      const formula = 'if(total > 1000, concat("Large order: ", text(total)), concat("Small order: ", text(total)))';
+      expect(evaluator.format(formula, { maxLineLength: 40 })).toBe([
+        'if(',
+        '  total > 1000,',
+        '  concat("Large order: ", text(total)),',
+        '  concat("Small order: ", text(total))',
+        ')',
+      ].join('\n'));
+      expect(evaluator.format(formula, { maxLineLength: 30, indent: '    ' })).toBe([
+        'if(',
+        '    total > 1000,',
+        '    concat(',
+        '        "Large order: ",',
+        '        text(total)',
+        '    ),',
+        '    concat(',
+        '        "Small order: ",',
+        '        text(total)',
+        '    )',
+        ')',
+      ].join('\n'));
+      expect(evaluator.format(formula, { maxLineLength: 200 })).toBe(evaluator.format(formula));
+      expectRoundTrip(evaluator.compile(formula).ast, { maxLineLength: 10 });
+    });
+
+    it('wraps lists and calls inside operators', () => {
+      expect(evaluator.format('1 + sum([100, 200, 300])', { maxLineLength: 20 })).toBe([
+        '1 + sum(',
+        '  [100, 200, 300]',
+        ')',
+      ].join('\n'));
+    });
+  });
+
+  describe('custom operators', () => {
+    beforeEach(() => {
+      evaluator.registerOperator('~=', { precedence: 30, fn: (a, b) => a === b });
+      evaluator.registerOperator('not', { precedence: 25, arity: 'prefix', fn: (a) => !a });
+      evaluator.registerOperator('->', { precedence: 65, associativity: 'right', fn: (a, b) => [a, b] });
+    });
+
+    it.each([
+      ['not a ~= b', 'not a ~= b'],
+      ['(not a) ~= b', '(not a) ~= b'],
+      ['not (a || b)', 'not (a || b)'],
+      ['(not a) || b', 'not a || b'],
+      ['a + not b', 'a + not b'],
+      ['a -> (b -> c)', 'a -> b -> c'],
+      ['(a -> b) -> c', '(a -> b) -> c'],
+      ['a + (b -> c)', 'a + b -> c'],
+      ['(a + b) -> c', '(a + b) -> c'],
+    ])('formats %s as %s', (formula, expected) => {
+      expect(evaluator.format(formula)).toBe(expected);
+      expectRoundTrip(evaluator.compile(formula).ast);
+    });
+
+    it('parenthesizes the operands of operators the evaluator does not have', () => {
+      const other = new FormulaEvaluator();
+      const ast = evaluator.compile('a ~= b + 1').ast;
+      expect(other.format(ast)).toBe('(a) ~= (b + 1)');
+    });
+  });
+
+  it('round-trips generated formulas', () => {
+    evaluator.registerOperator('~=', { precedence: 30, fn: (a, b) => a === b });
+    evaluator.registerOperator('not', { precedence: 25, arity: 'prefix', fn: (a) => !a });
+    evaluator.registerOperator('->', { precedence: 60, associativity: 'right', fn: (a, b) => [a, b] });
+
+    const next = random(42);
+    const pick = (items) => items[Math.floor(next() * items.length)];
+    const generate = (depth) => {
+      if (depth === 0 || next() < 0.2) {
+        return pick([() => Math.floor(next() * 100), () => 'text', () => true, () => null, () => ({ type: 'variable', name: pick(['a', 'b', 'x']) })])();
+      }
+      const child = () => generate(depth - 1);
+      return pick([
+        () => ({ type: 'function', name: pick([...BINARY, '__op_~=', '__op_->']), args: [child(), child()] }),
+        () => ({ type: 'function', name: pick(['__neg', '__not', '__prefix_not']), args: [child()] }),
+        () => ({ type: 'function', name: '__ternary', args: [child(), child(), child()] }),
+        () => ({ type: 'function', name: '__member', args: [child(), pick(['key', 'two words', 0, child()])] }),
+        () => ({ type: 'function', name: '__list', args: [child(), child()] }),
+        () => ({ type: 'function', name: 'sum', args: [child()] }),
+        () => ({ type: 'lambda', params: pick([['x'], ['x', 'y'], []]), body: child() }),
+      ])();
+    };
+
+    for (let i = 0; i < 500; i++) {
+      const ast = generate(5);
+      expectRoundTrip(ast);
+      expectRoundTrip(ast, { spaces: false, maxLineLength: 20 });
+    }
+  });
+});
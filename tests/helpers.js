@@ -0,0 +1,9 @@
+// Runs a function that is expected to throw, and returns what it threw
+export const catchError = (fn) => {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  throw new Error('Expected function to throw');
+};
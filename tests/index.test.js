@@ -1,5 +1,14 @@
-import { describe, it, expect, beforeEach } from 'vitest';
-import FormulaEvaluator, { builtinFunctions, createFunctionRegistry } from '../src/index.ts';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import FormulaEvaluator, {
+  builtinFunctions,
+  createFunctionRegistry,
+  FormulaError,
+  FormulaSyntaxError,
+  FormulaEvaluationError,
+  Duration,
+  Decimal,
+} from '../src/index.ts';
+import { catchError } from './helpers.js';
 
 describe('FormulaEvaluator', () => {
   let evaluator;
@@ -115,17 +124,17 @@ describe('FormulaEvaluator', () => {
 
     it('parses a variable reference', () => {
       const ast = evaluator.parse(evaluator.tokenize('x'));
-      expect(ast).toEqual({ type: 'variable', name: 'x' });
+      expect(ast).toEqual({ type: 'variable', name: 'x', start: 0, end: 1 });
     });
 
     it('parses a function call', () => {
       const ast = evaluator.parse(evaluator.tokenize('sum(1, 2)'));
-      expect(ast).toEqual({ type: 'function', name: 'sum', args: [1, 2] });
+      expect(ast).toEqual({ type: 'function', name: 'sum', args: [1, 2], start: 0, end: 9 });
     });
 
     it('parses an operator as a function node', () => {
       const ast = evaluator.parse(evaluator.tokenize('1 + 2'));
-      expect(ast).toEqual({ type: 'function', name: '__add', args: [1, 2] });
+      expect(ast).toEqual({ type: 'function', name: '__add', args: [1, 2], start: 0, end: 5 });
     });
 
     it('parses nested function calls', () => {
@@ -134,15 +143,17 @@ describe('FormulaEvaluator', () => {
         type: 'function',
         name: 'sum',
         args: [
-          { type: 'function', name: 'sum', args: [1, 2] },
+          { type: 'function', name: 'sum', args: [1, 2], start: 4, end: 13 },
           3,
         ],
+        start: 0,
+        end: 17,
       });
     });
 
     it('parses parenthesized expressions', () => {
       const ast = evaluator.parse(evaluator.tokenize('(1 + 2)'));
-      expect(ast).toEqual({ type: 'function', name: '__add', args: [1, 2] });
+      expect(ast).toEqual({ type: 'function', name: '__add', args: [1, 2], start: 1, end: 6 });
     });
   });
 
@@ -181,6 +192,57 @@ describe('FormulaEvaluator', () => {
     });
   });
 
+  // --- Evaluate: String literals ---
+  describe('evaluate - string literals', () => {
+    it('evaluates single-quoted strings', () => {
+      expect(evaluator.evaluate("'hello'")).toBe('hello');
+      expect(evaluator.evaluate(`'say "hi"'`)).toBe('say "hi"');
+      expect(evaluator.evaluate(`"it's"`)).toBe("it's");
+    });
+
+    it('decodes escape sequences', () => {
+      expect(evaluator.evaluate(String.raw`"say \"hi\""`)).toBe('say "hi"');
+      expect(evaluator.evaluate(String.raw`'it\'s'`)).toBe("it's");
+      expect(evaluator.evaluate(String.raw`"a\\b"`)).toBe('a\\b');
+      expect(evaluator.evaluate(String.raw`"line\nbreak\ttab\r"`)).toBe('line\nbreak\ttab\r');
+    });
+
+    it('decodes unicode escapes', () => {
+      expect(evaluator.evaluate(String.raw`"caf\u00e9"`)).toBe('caf\u00e9');
+      expect(evaluator.evaluate(String.raw`"cafe\u0301"`)).toBe('cafe\u0301');
+      expect(evaluator.evaluate(String.raw`len("caf\u00e9") & "," & len("cafe\u0301")`)).toBe('4,5');
+      expect(evaluator.evaluate(String.raw`"\u{1F600}"`)).toBe('😀');
+    });
+
+    it('keeps the decoded value in string tokens', () => {
+      expect(evaluator.tokenize(String.raw`"a\"b"`)).toEqual([{ type: 'string', value: 'a"b', start: 0, end: 6 }]);
+    });
+
+    it('rejects unknown escape sequences', () => {
+      const err = catchError(() => evaluator.evaluate(String.raw`"bad \q"`));
+      expect(err).toBeInstanceOf(FormulaSyntaxError);
+      expect(err.message).toBe(String.raw`Invalid escape sequence \q`);
+      expect(err).toMatchObject({ code: 'invalid-escape', start: 5, end: 7, found: String.raw`\q` });
+      expect(() => evaluator.evaluate(String.raw`"\u12"`)).toThrow(String.raw`Invalid escape sequence \u`);
+      expect(() => evaluator.evaluate(String.raw`"\u{110000}"`)).toThrow('Invalid escape sequence');
+    });
+
+    it('reports unterminated strings', () => {
+      const err = catchError(() => evaluator.evaluate('upper("abc)'));
+      expect(err.message).toBe('Unterminated string starting at 6');
+      expect(err).toMatchObject({ code: 'unterminated-string', start: 6, end: 11 });
+      expect(() => evaluator.evaluate(String.raw`"abc\"`)).toThrow('Unterminated string');
+    });
+
+    it('reports escape problems from validate()', () => {
+      expect(evaluator.validate(String.raw`"\q" + 'x`).map(d => d.code)).toEqual([
+        'invalid-escape',
+        'unexpected-end',
+        'unterminated-string',
+      ]);
+    });
+  });
+
   // --- Evaluate: Operators ---
   describe('evaluate - operators', () => {
     it('adds two numbers', () => {
@@ -314,6 +376,119 @@ describe('FormulaEvaluator', () => {
   });
 
   // --- Evaluate: Built-in Functions ---
+  describe('evaluate - variable sources', () => {
+    it('reads variables from a Map', () => {
+      expect(evaluator.evaluate('price * qty', new Map([['price', 4], ['qty', 3]]))).toBe(12);
+    });
+
+    it('reads variables from a resolver function', () => {
+      expect(evaluator.evaluate('a + b', (name) => ({ a: 1, b: 2 })[name])).toBe(3);
+    });
+
+    it('only resolves the names evaluation reaches', () => {
+      const asked = [];
+      const resolver = (name) => {
+        asked.push(name);
+        return { flag: true, a: 1 }[name];
+      };
+      expect(evaluator.evaluate('if(flag, a, b)', resolver)).toBe(1);
+      expect(asked).toEqual(['flag', 'a']);
+    });
+
+    it('resolves each name once per evaluation', () => {
+      let calls = 0;
+      const resolver = () => { calls++; return 2; };
+      expect(evaluator.evaluate('x + x * x', resolver)).toBe(6);
+      expect(calls).toBe(1);
+      evaluator.evaluate('x', resolver);
+      expect(calls).toBe(2);
+    });
+
+    it('falls back to the global context', () => {
+      const withGlobals = new FormulaEvaluator({ rate: 0.5, x: 1 });
+      expect(withGlobals.evaluate('amount * rate', new Map([['amount', 10]]))).toBe(5);
+      expect(withGlobals.evaluate('x', new Map([['x', 99]]))).toBe(99);
+      expect(withGlobals.evaluate('x', (name) => (name === 'x' ? undefined : 0))).toBe(1);
+    });
+
+    it('treats undefined from a resolver as a missing variable', () => {
+      const err = catchError(() => evaluator.evaluate('known + unknown', (name) => (name === 'known' ? 1 : undefined)));
+      expect(err).toBeInstanceOf(FormulaEvaluationError);
+      expect(err.code).toBe('unknown-variable');
+      expect(err.message).toBe('Variable "unknown" not found');
+    });
+
+    it('does not ask the resolver for names bound by let() or lambdas', () => {
+      const asked = [];
+      const resolver = (name) => {
+        asked.push(name);
+        return { xs: [1, 2] }[name];
+      };
+      expect(evaluator.evaluate('let(n, 10, map(xs, x => x * n))', resolver)).toEqual([10, 20]);
+      expect(asked).toEqual(['xs']);
+    });
+
+    it('rejects resolvers that return promises in evaluate()', () => {
+      const err = catchError(() => evaluator.evaluate('x + 1', async () => 1));
+      expect(err.code).toBe('async-resolver');
+      expect(err.message).toBe('Variable "x" resolved to a promise; use evaluateAsync() to resolve variables asynchronously');
+    });
+
+    it('does not leave the rejection of a failing resolver unhandled in evaluate()', async () => {
+      const unhandled = vi.fn();
+      process.on('unhandledRejection', unhandled);
+      try {
+        const err = catchError(() => evaluator.evaluate('a + 1', async () => { throw new Error('db down'); }));
+        expect(err.code).toBe('async-resolver');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(unhandled).not.toHaveBeenCalled();
+      } finally {
+        process.off('unhandledRejection', unhandled);
+      }
+    });
+
+    it('supports asynchronous resolvers in evaluateAsync()', async () => {
+      let calls = 0;
+      const resolver = async (name) => {
+        calls++;
+        return { price: 4, qty: 3 }[name];
+      };
+      await expect(evaluator.evaluateAsync('price * qty + price', resolver)).resolves.toBe(16);
+      expect(calls).toBe(2);
+      await expect(evaluator.evaluateAsync('missing', resolver)).rejects.toThrow('Variable "missing" not found');
+    });
+
+    it('accepts variable sources in compiled formulas', () => {
+      const compiled = evaluator.compile('a * 2');
+      expect(compiled.evaluate(new Map([['a', 5]]))).toBe(10);
+      expect(compiled.evaluate(() => 6)).toBe(12);
+    });
+
+    it('asks onMissingVariable for a default value', () => {
+      const result = evaluator.evaluate('a + b', { a: 1 }, { onMissingVariable: () => 0 });
+      expect(result).toBe(1);
+    });
+
+    it('lets onMissingVariable throw a custom error', () => {
+      const onMissingVariable = (name) => { throw new RangeError(`No field called ${name}`); };
+      expect(() => evaluator.evaluate('total', {}, { onMissingVariable })).toThrow(RangeError);
+      expect(evaluator.evaluate('iferr(total, -1)', {}, { onMissingVariable })).toBe(-1);
+    });
+
+    it('only calls onMissingVariable for variables that are not found', () => {
+      const missing = [];
+      const withGlobals = new FormulaEvaluator({ g: 1 }, { onMissingVariable: (name) => { missing.push(name); return 100; } });
+      expect(withGlobals.evaluate('g + l + m', { l: 10 })).toBe(111);
+      expect(missing).toEqual(['m']);
+    });
+
+    it('lets a per-evaluation onMissingVariable override the constructor option', () => {
+      const withDefault = new FormulaEvaluator({}, { onMissingVariable: () => 1 });
+      expect(withDefault.evaluate('x')).toBe(1);
+      expect(withDefault.evaluate('x', {}, { onMissingVariable: () => 2 })).toBe(2);
+    });
+  });
+
   describe('evaluate - functions', () => {
     it('upper() converts string to uppercase', () => {
       expect(evaluator.evaluate('upper("hello")')).toBe('HELLO');
@@ -488,6 +663,88 @@ describe('FormulaEvaluator', () => {
     });
   });
 
+  describe('evaluate - short-circuiting', () => {
+    it('&& and || skip the right operand when the left decides the result', () => {
+      expect(evaluator.evaluate('x != null && x.total > 0', { x: null })).toBe(false);
+      expect(evaluator.evaluate('x == null || x.total > 0', { x: null })).toBe(true);
+      expect(evaluator.evaluate('x != null && x.total > 0', { x: { total: 5 } })).toBe(true);
+    });
+
+    it('and() and or() stop at the first argument that decides the result', () => {
+      expect(evaluator.evaluate('and(false, missing)')).toBe(false);
+      expect(evaluator.evaluate('or(true, missing)')).toBe(true);
+      expect(() => evaluator.evaluate('and(true, missing)')).toThrow('Variable "missing" not found');
+    });
+
+    it('coalesce() stops at the first non-null value', () => {
+      const evaluator = new FormulaEvaluator();
+      let lookups = 0;
+      evaluator.registerFunction('lookup', () => { lookups++; return 'looked up'; });
+      expect(evaluator.evaluate('coalesce(a, lookup())', { a: 'given' })).toBe('given');
+      expect(lookups).toBe(0);
+      expect(evaluator.evaluate('coalesce(a, lookup())', { a: null })).toBe('looked up');
+      expect(lookups).toBe(1);
+    });
+
+    it('still checks the types of the arguments it evaluates', () => {
+      expect(() => evaluator.evaluate('choose("2", "a", "b")')).toThrow(
+        'Function "choose" expects argument 1 ("index") to be a number, got string',
+      );
+    });
+  });
+
+  describe('evaluate - switch / ifs / choose', () => {
+    it('switch() returns the result paired with the first matching case', () => {
+      expect(evaluator.evaluate('switch(x, 1, "one", 2, "two", "many")', { x: 2 })).toBe('two');
+      expect(evaluator.evaluate('switch(x, 1, "one", 2, "two", "many")', { x: 7 })).toBe('many');
+    });
+
+    it('switch() returns null when nothing matches and there is no default', () => {
+      expect(evaluator.evaluate('switch("c", "a", 1, "b", 2)')).toBeNull();
+    });
+
+    it('switch() compares dates by value', () => {
+      expect(evaluator.evaluate('switch(d, date(2024, 1, 1), "new year", "other")', { d: new Date('2024-01-01') }))
+        .toBe('new year');
+    });
+
+    it('switch() only evaluates what it needs', () => {
+      expect(evaluator.evaluate('switch(1, 1, "one", missing, bad)')).toBe('one');
+    });
+
+    it('ifs() returns the value paired with the first truthy condition', () => {
+      const grade = 'ifs(score >= 90, "A", score >= 80, "B", score >= 70, "C")';
+      expect(evaluator.evaluate(grade, { score: 85 })).toBe('B');
+      expect(evaluator.evaluate(grade, { score: 50 })).toBeNull();
+      expect(evaluator.evaluate('ifs(false, 1, "default")')).toBe('default');
+    });
+
+    it('ifs() skips values whose condition is not chosen', () => {
+      expect(evaluator.evaluate('ifs(false, missing, true, 2, missing, 3)')).toBe(2);
+    });
+
+    it('choose() returns the option at a one-based index', () => {
+      expect(evaluator.evaluate('choose(2, "a", "b", "c")')).toBe('b');
+      expect(evaluator.evaluate('choose(1, "a", missing)')).toBe('a');
+    });
+
+    it('choose() rejects indexes out of range', () => {
+      expect(() => evaluator.evaluate('choose(4, "a", "b", "c")')).toThrow(
+        'choose() index 4 is out of range; expected a whole number from 1 to 3',
+      );
+      expect(() => evaluator.evaluate('choose(1.5, "a", "b")')).toThrow('out of range');
+    });
+
+    it('works in decimal mode', () => {
+      const decimal = new FormulaEvaluator({}, { numeric: 'decimal' });
+      expect(decimal.evaluate('choose(1 + 1, "a", "b")')).toBe('b');
+      expect(decimal.evaluate('0 && missing')).toEqual(new Decimal(0n));
+      expect(decimal.evaluate('switch(0.1 + 0.2, 0.3, "exact", "inexact")')).toBe('exact');
+      expect(decimal.evaluate('switch(x, 1, "a", 2, "b", "c")', { x: 2 })).toBe('b');
+      expect(decimal.evaluate('switch(x, 1, "a", 2, "b", "c")', { x: 2.5 })).toBe('c');
+    });
+  });
+
   describe('evaluate - round', () => {
     it('rounds to specified decimal places', () => {
       expect(evaluator.evaluate('round(3.14159, 2)')).toBeCloseTo(3.14);
@@ -682,6 +939,149 @@ describe('FormulaEvaluator', () => {
     });
   });
 
+  // --- Evaluate: Text functions ---
+  describe('evaluate - text functions', () => {
+    it('len counts characters', () => {
+      expect(evaluator.evaluate('len("hello")')).toBe(5);
+      expect(evaluator.evaluate('len("")')).toBe(0);
+      expect(evaluator.evaluate(String.raw`len("\u{1F600}!")`)).toBe(2);
+    });
+
+    it('left, right and mid take parts of a string', () => {
+      expect(evaluator.evaluate('left("hello", 2)')).toBe('he');
+      expect(evaluator.evaluate('right("hello", 3)')).toBe('llo');
+      expect(evaluator.evaluate('mid("hello", 1, 3)')).toBe('ell');
+      expect(evaluator.evaluate('mid("hello", 2)')).toBe('llo');
+      expect(evaluator.evaluate('left("hi", 10)')).toBe('hi');
+      expect(evaluator.evaluate('right("hi", 0)')).toBe('');
+    });
+
+    it('trim removes surrounding whitespace', () => {
+      expect(evaluator.evaluate(String.raw`trim("  hi \n")`)).toBe('hi');
+    });
+
+    it('split returns a list', () => {
+      expect(evaluator.evaluate('split("a,b,,c", ",")')).toEqual(['a', 'b', '', 'c']);
+      expect(evaluator.evaluate('count(split("a b c", " "))')).toBe(3);
+    });
+
+    it('startswith and endswith', () => {
+      expect(evaluator.evaluate('startswith("invoice-1", "invoice")')).toBe(true);
+      expect(evaluator.evaluate('endswith("report.pdf", ".csv")')).toBe(false);
+    });
+
+    it('indexof returns a zero-based position or -1', () => {
+      expect(evaluator.evaluate('indexof("banana", "an")')).toBe(1);
+      expect(evaluator.evaluate('indexof("banana", "an", 2)')).toBe(3);
+      expect(evaluator.evaluate('indexof("banana", "x")')).toBe(-1);
+    });
+
+    it('padstart pads to a length', () => {
+      expect(evaluator.evaluate('padstart(7, 3, "0")')).toBe('007');
+      expect(evaluator.evaluate('padstart("ab", 4)')).toBe('  ab');
+    });
+
+    it('indexof and padstart count characters as len and mid do', () => {
+      const text = '"e\\u0301😀x"';
+      expect(evaluator.evaluate(`indexof(${text}, "x")`)).toBe(3);
+      expect(evaluator.evaluate(`indexof(${text}, "x", 3)`)).toBe(3);
+      expect(evaluator.evaluate(`mid(${text}, indexof(${text}, "😀"), 2)`)).toBe('😀x');
+      expect(evaluator.evaluate(`mid(${text}, indexof(${text}, "\\u0301"), 1)`)).toBe('\u0301');
+      expect(evaluator.evaluate('padstart("😀", 3, "ab")')).toBe('ab😀');
+      expect(evaluator.evaluate('padstart("x", 4, "😀a")')).toBe('😀a😀x');
+      expect(evaluator.evaluate(`len(padstart(${text}, 6, "0"))`)).toBe(6);
+    });
+
+    it('repeat repeats a string', () => {
+      expect(evaluator.evaluate('repeat("ab", 3)')).toBe('ababab');
+      expect(() => evaluator.evaluate('repeat("ab", -1)')).toThrow('repeat() expects a whole number of repetitions');
+    });
+
+    it('proper capitalizes each word', () => {
+      expect(evaluator.evaluate('proper("hello wORLD")')).toBe('Hello World');
+      expect(evaluator.evaluate('proper("o\'neil-smith jr.")')).toBe("O'neil-Smith Jr.");
+    });
+  });
+
+  // --- Evaluate: Regular expressions ---
+  describe('evaluate - regular expressions', () => {
+    it('regexmatch tests a pattern', () => {
+      expect(evaluator.evaluate(String.raw`regexmatch("INV-0042", "^INV-\\d{4}$")`)).toBe(true);
+      expect(evaluator.evaluate('regexmatch("inv-1", "^INV")')).toBe(false);
+      expect(evaluator.evaluate('regexmatch("inv-1", "^INV", "i")')).toBe(true);
+    });
+
+    it('regexextract returns the match or its first group', () => {
+      expect(evaluator.evaluate(String.raw`regexextract("order #123 of 9", "\\d+")`)).toBe('123');
+      expect(evaluator.evaluate(String.raw`regexextract("order #123", "#(\\d+)")`)).toBe('123');
+      expect(evaluator.evaluate('regexextract("abc", "x")')).toBeNull();
+    });
+
+    it('regexreplace replaces every match', () => {
+      expect(evaluator.evaluate(String.raw`regexreplace("a1b22c333", "\\d+", "#")`)).toBe('a#b#c#');
+      expect(evaluator.evaluate(String.raw`regexreplace("2024-03-01", "(\\d+)-(\\d+)-(\\d+)", "$3/$2/$1")`)).toBe('01/03/2024');
+    });
+
+    it('rejects nested quantifiers', () => {
+      for (const pattern of ['(a+)+$', '(a*)*', String.raw`(\\w+\\s?)*$`, '((ab)+c)+', '(a+){2,}', '(?:x+y)+']) {
+        expect(() => evaluator.evaluate(`regexmatch("aaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!", "${pattern}")`))
+          .toThrow('is not allowed because it repeats a group that contains a repeating quantifier');
+      }
+    });
+
+    it('rejects repeated alternatives', () => {
+      for (const pattern of ['(a|a)*$', '(a|aa)+$', '(a|a){30}', '(?:b|(a|a))+', '((a|b)c)*']) {
+        expect(() => evaluator.evaluate(`regexmatch("aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!", "${pattern}")`))
+          .toThrow('is not allowed because it repeats a group that contains alternatives');
+      }
+    });
+
+    it('rejects repeated parts next to each other that can match the same characters', () => {
+      for (const pattern of ['a*a*a*a*a*b', String.raw`\\w+\\w*`, String.raw`\\w*a\\w*!`, 'a+b?a+', String.raw`\\d+[0-9a-f]*`, 'x*?.+', String.raw`[^a]*\\u0062+`]) {
+        expect(() => evaluator.evaluate(`regexmatch("aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!", "${pattern}")`))
+          .toThrow('is not allowed because it has repeated parts next to each other that can match the same characters');
+      }
+    });
+
+    it('accepts repeated parts that cannot match the same characters', () => {
+      expect(evaluator.evaluate('regexmatch("aaabbb", "^a*b*$")')).toBe(true);
+      expect(evaluator.evaluate(String.raw`regexextract("v1.25", "\\d+\\.\\d+")`)).toBe('1.25');
+      expect(evaluator.evaluate(String.raw`regexextract("  key value", "\\s+\\S+")`)).toBe('  key');
+      expect(evaluator.evaluate(String.raw`regexextract("abc123", "\\D+\\d+")`)).toBe('abc123');
+      expect(evaluator.evaluate(String.raw`regexmatch("a-b", "^[a-z]+-[a-z]+$")`)).toBe(true);
+    });
+
+    it('rejects text too long to match safely', () => {
+      expect(evaluator.evaluate('regexmatch(repeat("a", 10000), "^a+$")')).toBe(true);
+      expect(() => evaluator.evaluate('regexmatch(repeat("a", 10001), "^a+$")'))
+        .toThrow('Text for a regular expression is longer than 10000 characters');
+      expect(() => evaluator.evaluate('regexreplace(repeat("a", 10001), "a", "b")')).toThrow('longer than 10000 characters');
+    });
+
+    it('accepts alternatives that are not repeated', () => {
+      expect(evaluator.evaluate('regexmatch("cat", "^(cat|dog)$")')).toBe(true);
+      expect(evaluator.evaluate('regexmatch("dog", "^(cat|dog)?$")')).toBe(true);
+      expect(evaluator.evaluate('regexmatch("[a|b]", "[a|b]+")')).toBe(true);
+    });
+
+    it('accepts groups that repeat at most once', () => {
+      expect(evaluator.evaluate('regexmatch("ab", "(a+)?b")')).toBe(true);
+      expect(evaluator.evaluate('regexmatch("aab", "(a+){1}b")')).toBe(true);
+      expect(evaluator.evaluate('regexmatch("abab", "(ab)+")')).toBe(true);
+      expect(evaluator.evaluate('regexmatch("a+", "[(a+)]+")')).toBe(true);
+    });
+
+    it('rejects backreferences', () => {
+      expect(() => evaluator.evaluate(String.raw`regexmatch("aa", "(a)\\1")`)).toThrow('uses a backreference');
+    });
+
+    it('rejects invalid patterns and flags', () => {
+      expect(() => evaluator.evaluate('regexmatch("x", "[")')).toThrow('Invalid regular expression "["');
+      expect(() => evaluator.evaluate('regexmatch("x", "x", "g")')).toThrow('Unknown regular expression flag "g"');
+      expect(() => evaluator.evaluate(`regexmatch("x", "${'a'.repeat(1001)}")`)).toThrow('longer than 1000 characters');
+    });
+  });
+
   // --- Evaluate: New Logic Functions ---
   describe('evaluate - not', () => {
     it('negates true', () => {
@@ -754,6 +1154,142 @@ describe('FormulaEvaluator', () => {
     });
   });
 
+  // --- Evaluate: Modulo, exponentiation, concatenation, ternary and in ---
+  describe('evaluate - more operators', () => {
+    it('modulo with %', () => {
+      expect(evaluator.evaluate('7 % 3')).toBe(1);
+      expect(evaluator.evaluate('-7 % 3')).toBe(-1);
+      expect(evaluator.evaluate('10 - 7 % 4')).toBe(7);
+    });
+
+    it('exponentiation with ^ and **', () => {
+      expect(evaluator.evaluate('2 ^ 10')).toBe(1024);
+      expect(evaluator.evaluate('2 ** 3')).toBe(8);
+      expect(evaluator.evaluate('2 * 3 ^ 2')).toBe(18);
+    });
+
+    it('exponentiation is right-associative', () => {
+      expect(evaluator.evaluate('2 ^ 3 ^ 2')).toBe(512);
+      expect(evaluator.evaluate('2 ** 3 ** 2')).toBe(512);
+      expect(evaluator.evaluate('(2 ^ 3) ^ 2')).toBe(64);
+    });
+
+    it('unary minus binds more tightly than ^', () => {
+      expect(evaluator.evaluate('-2 ^ 2')).toBe(4);
+      expect(evaluator.evaluate('-(2 ^ 2)')).toBe(-4);
+    });
+
+    it('concatenation with &', () => {
+      expect(evaluator.evaluate('"a" & "b" & "c"')).toBe('abc');
+      expect(evaluator.evaluate('"Total: " & 1 + 2')).toBe('Total: 3');
+      expect(evaluator.evaluate('"x" & null')).toBe('x');
+      expect(evaluator.evaluate('"Due " & date(2024, 3, 1)')).toBe('Due 2024-03-01');
+    });
+
+    it('& binds more loosely than arithmetic and more tightly than comparison', () => {
+      expect(evaluator.evaluate('1 + 2 & 3')).toBe('33');
+      expect(evaluator.evaluate('"a" & "b" == "ab"')).toBe(true);
+    });
+
+    it('& does not conflict with &&', () => {
+      expect(evaluator.tokenize('a&&b&c').map(t => t.value)).toEqual(['a', '&&', 'b', '&', 'c']);
+    });
+
+    it('conditional operator', () => {
+      expect(evaluator.evaluate('x > 3 ? "big" : "small"', { x: 5 })).toBe('big');
+      expect(evaluator.evaluate('x > 3 ? "big" : "small"', { x: 1 })).toBe('small');
+    });
+
+    it('conditional operator nests in both branches', () => {
+      const grade = (score) => evaluator.evaluate('score >= 90 ? "A" : score >= 80 ? "B" : "C"', { score });
+      expect([grade(95), grade(85), grade(10)]).toEqual(['A', 'B', 'C']);
+      expect(evaluator.evaluate('a ? b ? 1 : 2 : 3', { a: true, b: false })).toBe(2);
+    });
+
+    it('conditional operator binds more loosely than ||', () => {
+      expect(evaluator.evaluate('false || true ? 1 : 2')).toBe(1);
+      expect(evaluator.evaluate('true ? 1 : 2 + 10')).toBe(1);
+    });
+
+    it('conditional operator only evaluates the chosen branch', () => {
+      expect(evaluator.evaluate('true ? 1 : missing')).toBe(1);
+      expect(evaluator.evaluate('false ? 1 / nope() : 2')).toBe(2);
+    });
+
+    it('conditional operator works in lambdas and arguments', () => {
+      expect(evaluator.evaluate('map([1, 2], (v) => v % 2 == 0 ? "even" : "odd")')).toEqual(['odd', 'even']);
+      expect(evaluator.evaluate('sum(1, true ? 2 : 0, 3)')).toBe(6);
+    });
+
+    it('parses the conditional operator as a __ternary node', () => {
+      expect(evaluator.parse(evaluator.tokenize('a ? 1 : 2'))).toEqual({
+        type: 'function',
+        name: '__ternary',
+        args: [{ type: 'variable', name: 'a', start: 0, end: 1 }, 1, 2],
+        start: 0,
+        end: 9,
+      });
+    });
+
+    it('reports a missing colon', () => {
+      const err = catchError(() => evaluator.evaluate('x ? 1', { x: true }));
+      expect(err).toBeInstanceOf(FormulaSyntaxError);
+      expect(err.message).toBe('Expected ":" in conditional expression');
+      expect(err.code).toBe('missing-colon');
+    });
+
+    it('membership with in', () => {
+      expect(evaluator.evaluate('2 in [1, 2, 3]')).toBe(true);
+      expect(evaluator.evaluate('status in ["open", "pending"]', { status: 'closed' })).toBe(false);
+      expect(evaluator.evaluate('"ell" in "hello"')).toBe(true);
+      expect(evaluator.evaluate('date(2024, 3, 1) in [date(2024, 3, 1)]')).toBe(true);
+    });
+
+    it('in binds like a comparison', () => {
+      expect(evaluator.evaluate('1 + 1 in [2] && true')).toBe(true);
+      expect(evaluator.evaluate('!(4 in [1, 2])')).toBe(true);
+    });
+
+    it('in requires a list or string', () => {
+      expect(() => evaluator.evaluate('1 in 5')).toThrow(
+        'Operator "in" expects argument 2 ("collection") to be a list or string, got number',
+      );
+    });
+
+    it('in cannot be used as a name', () => {
+      expect(() => evaluator.evaluate('in + 1', { in: 1 })).toThrow('Unexpected token: in');
+      expect(() => evaluator.evaluate('(in) => 1')).toThrow(FormulaSyntaxError);
+    });
+
+    it('maps the new operators to overridable builtins', () => {
+      const custom = new FormulaEvaluator();
+      custom.registerFunction('__concat', (a, b) => `${a}+${b}`);
+      custom.registerFunction('__mod', (a, b) => ((a % b) + b) % b);
+      expect(custom.evaluate('"a" & "b"')).toBe('a+b');
+      expect(custom.evaluate('-7 % 3')).toBe(2);
+    });
+
+    it('getDependencies covers every operand', () => {
+      expect(evaluator.getDependencies('a ? b % c : d ^ e & f in g')).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+    });
+
+    it('inferType knows the result types', () => {
+      expect(evaluator.inferType('x > 1 ? "a" : "b"', { x: 'number' })).toEqual({ type: 'string', errors: [] });
+      expect(evaluator.inferType('1 & 2').type).toBe('string');
+      expect(evaluator.inferType('2 ^ 2 % 3').type).toBe('number');
+      expect(evaluator.inferType('1 in [1]').type).toBe('boolean');
+    });
+
+    it('works in decimal mode', () => {
+      const decimal = new FormulaEvaluator({}, { numeric: 'decimal' });
+      expect(String(decimal.evaluate('0.3 % 0.1'))).toBe('0');
+      expect(String(decimal.evaluate('1.1 ^ 2'))).toBe('1.21');
+      expect(String(decimal.evaluate('2 ^ -2'))).toBe('0.25');
+      expect(decimal.evaluate('0.1 + 0.2 in [0.3]')).toBe(true);
+      expect(() => decimal.evaluate('1 % 0')).toThrow('Division by zero');
+    });
+  });
+
   // --- Evaluate: Nested / Complex ---
   describe('evaluate - nested and complex expressions', () => {
     it('nested function calls', () => {
@@ -786,151 +1322,1711 @@ describe('FormulaEvaluator', () => {
     });
   });
 
-  // --- Evaluate: Parentheses ---
-  describe('evaluate - parentheses', () => {
-    it('simple grouping', () => {
-      expect(evaluator.evaluate('(1 + 2)')).toBe(3);
+  // --- Evaluate: Lists ---
+  describe('evaluate - lists', () => {
+    it('tokenizes brackets as delimiters', () => {
+      const tokens = evaluator.tokenize('[1]');
+      expect(tokens.map(t => t.type)).toEqual(['delimiter', 'number', 'delimiter']);
     });
 
-    it('grouping changes evaluation order', () => {
-      // Without parens: 5 - 3 - 1 = (5 - 3) - 1 = 1 (left-associative)
-      // With parens: 5 - (3 - 1) = 3
-      expect(evaluator.evaluate('5 - (3 - 1)')).toBe(3);
+    it('parses a list literal as a __list function node', () => {
+      const ast = evaluator.parse(evaluator.tokenize('[1, x]'));
+      expect(ast).toEqual({
+        type: 'function',
+        name: '__list',
+        args: [1, { type: 'variable', name: 'x', start: 4, end: 5 }],
+        start: 0,
+        end: 6,
+      });
     });
 
-    it('double-nested parentheses', () => {
-      expect(evaluator.evaluate('((1 + 2))')).toBe(3);
+    it('evaluates list literals', () => {
+      expect(evaluator.evaluate('[1, 2, 3]')).toEqual([1, 2, 3]);
+      expect(evaluator.evaluate('[]')).toEqual([]);
+      expect(evaluator.evaluate('["a", 1 + 1, [true]]')).toEqual(['a', 2, [true]]);
     });
 
-    it('deep nesting', () => {
-      expect(evaluator.evaluate('(((5)))')).toBe(5);
+    it('evaluates expressions inside list literals', () => {
+      expect(evaluator.evaluate('[x, x * 2]', { x: 3 })).toEqual([3, 6]);
     });
 
-    it('multiple groups', () => {
-      expect(evaluator.evaluate('(1 + 2) + (3 + 4)')).toBe(10);
+    it('resolves list-valued variables', () => {
+      expect(evaluator.evaluate('lines', { lines: [1, 2] })).toEqual([1, 2]);
     });
 
-    it('left-nested groups', () => {
-      expect(evaluator.evaluate('((1 + 2) + 3) + 4')).toBe(10);
+    it('aggregate functions accept lists', () => {
+      const ctx = { lines: [4, 1, 3, 1] };
+      expect(evaluator.evaluate('sum(lines)', ctx)).toBe(9);
+      expect(evaluator.evaluate('mean(lines)', ctx)).toBe(2.25);
+      expect(evaluator.evaluate('avg(lines)', ctx)).toBe(2.25);
+      expect(evaluator.evaluate('median(lines)', ctx)).toBe(2);
+      expect(evaluator.evaluate('mode(lines)', ctx)).toBe(1);
+      expect(evaluator.evaluate('min(lines)', ctx)).toBe(1);
+      expect(evaluator.evaluate('max(lines)', ctx)).toBe(4);
     });
 
-    it('parentheses inside function args', () => {
-      expect(evaluator.evaluate('sum((1 + 2), (3 + 4))')).toBe(10);
+    it('aggregate functions mix lists and separate arguments', () => {
+      expect(evaluator.evaluate('sum(1, [2, 3], [[4]])')).toBe(10);
+      expect(evaluator.evaluate('max([1, 5], 3)')).toBe(5);
     });
 
-    it('nested parens with variables', () => {
-      expect(evaluator.evaluate('(x + 1) + (y + 2)', { x: 3, y: 4 })).toBe(10);
+    it('join and concat accept lists', () => {
+      expect(evaluator.evaluate('join(", ", ["a", "b"], "c")')).toBe('a, b, c');
+      expect(evaluator.evaluate('concat(["a", "b"], "c")')).toBe('abc');
     });
 
-    it('throws on missing closing parenthesis', () => {
-      expect(() => evaluator.evaluate('(1 + 2')).toThrow('Missing closing parenthesis');
+    it('count() counts arguments and list items', () => {
+      expect(evaluator.evaluate('count([1, 2, 3])')).toBe(3);
+      expect(evaluator.evaluate('count(1, [2, 3])')).toBe(3);
+      expect(evaluator.evaluate('count([])')).toBe(0);
     });
 
-    it('throws on extra closing parenthesis', () => {
-      expect(() => evaluator.evaluate('1 + 2)')).toThrow('Unexpected token');
+    it('first() and last() return the ends of a list', () => {
+      expect(evaluator.evaluate('first([1, 2, 3])')).toBe(1);
+      expect(evaluator.evaluate('last([1, 2, 3])')).toBe(3);
+      expect(evaluator.evaluate('first([])')).toBeNull();
+      expect(evaluator.evaluate('last([])')).toBeNull();
     });
 
-    it('throws on empty parentheses', () => {
-      expect(() => evaluator.evaluate('()')).toThrow();
+    it('index() returns the item at a zero-based position', () => {
+      expect(evaluator.evaluate('index(["a", "b", "c"], 1)')).toBe('b');
+      expect(evaluator.evaluate('index(["a", "b", "c"], -1)')).toBe('c');
     });
-  });
 
-  // --- getDependencies ---
-  describe('getDependencies', () => {
-    it('returns empty array for literals', () => {
-      expect(evaluator.getDependencies('42')).toEqual([]);
+    it('index() throws for positions out of range', () => {
+      expect(() => evaluator.evaluate('index([1, 2], 2)')).toThrow('Index 2 is out of range for a list of length 2');
+      expect(() => evaluator.evaluate('index([1, 2], 0.5)')).toThrow('Index 0.5 is out of range');
     });
 
-    it('returns a single variable', () => {
-      expect(evaluator.getDependencies('x')).toEqual(['x']);
+    it('slice() returns part of a list', () => {
+      expect(evaluator.evaluate('slice([1, 2, 3, 4], 1, 3)')).toEqual([2, 3]);
+      expect(evaluator.evaluate('slice([1, 2, 3, 4], 2)')).toEqual([3, 4]);
     });
 
-    it('returns variables from an expression', () => {
-      const deps = evaluator.getDependencies('x + y');
-      expect(deps).toContain('x');
-      expect(deps).toContain('y');
-      expect(deps).toHaveLength(2);
+    it('sort() returns a sorted copy', () => {
+      const lines = [3, 1, 2];
+      expect(evaluator.evaluate('sort(lines)', { lines })).toEqual([1, 2, 3]);
+      expect(evaluator.evaluate('sort(lines, true)', { lines })).toEqual([3, 2, 1]);
+      expect(evaluator.evaluate('sort(["b", "c", "a"])')).toEqual(['a', 'b', 'c']);
+      expect(lines).toEqual([3, 1, 2]);
     });
 
-    it('returns variables from function arguments', () => {
-      const deps = evaluator.getDependencies('sum(a, b, c)');
-      expect(deps).toEqual(expect.arrayContaining(['a', 'b', 'c']));
-      expect(deps).toHaveLength(3);
+    it('unique() removes duplicates', () => {
+      expect(evaluator.evaluate('unique([1, 2, 1, 3, 2])')).toEqual([1, 2, 3]);
     });
 
-    it('deduplicates repeated variables', () => {
-      const deps = evaluator.getDependencies('x + x');
-      expect(deps).toEqual(['x']);
+    it('flatten() expands nested lists', () => {
+      expect(evaluator.evaluate('flatten([1, [2, [3]]])')).toEqual([1, 2, 3]);
     });
 
-    it('returns variables from nested functions', () => {
-      const deps = evaluator.getDependencies('sum(x, avg(y, z))');
-      expect(deps).toEqual(expect.arrayContaining(['x', 'y', 'z']));
-      expect(deps).toHaveLength(3);
+    it('list functions reject non-list arguments', () => {
+      expect(() => evaluator.evaluate('first(1)')).toThrow('Function "first" expects argument 1 ("list") to be a list, got number');
     });
 
-    it('does not include function names as dependencies', () => {
-      const deps = evaluator.getDependencies('sum(1, 2)');
-      expect(deps).toEqual([]);
+    it('getDependencies finds variables inside list literals', () => {
+      expect(evaluator.getDependencies('sum([a, b], c)')).toEqual(['a', 'b', 'c']);
     });
-  });
 
-  // --- registerFunction ---
-  describe('registerFunction', () => {
-    it('registers and evaluates a custom function', () => {
-      evaluator.registerFunction('double', (x) => x * 2);
-      expect(evaluator.evaluate('double(5)')).toBe(10);
+    it('does not list __list as a public function', () => {
+      expect(evaluator.listFunctions()).not.toContain('__list');
     });
 
-    it('supports chaining', () => {
-      evaluator
-        .registerFunction('double', (x) => x * 2)
-        .registerFunction('inc', (x) => x + 1);
-      expect(evaluator.evaluate('inc(double(3))')).toBe(7);
+    it('throws on a missing closing bracket', () => {
+      const err = catchError(() => evaluator.evaluate('[1, 2'));
+      expect(err).toBeInstanceOf(FormulaSyntaxError);
+      expect(err).toMatchObject({ message: 'Missing closing bracket', code: 'missing-closing-bracket', expected: ['"]"'] });
     });
 
-    it('custom functions work with variables', () => {
-      evaluator.registerFunction('double', (x) => x * 2);
-      expect(evaluator.evaluate('double(n)', { n: 4 })).toBe(8);
+    it('throws on mismatched brackets', () => {
+      expect(() => evaluator.evaluate('[1, 2)')).toThrow(FormulaSyntaxError);
+      expect(() => evaluator.evaluate('sum(1]')).toThrow(FormulaSyntaxError);
     });
 
-    it('custom functions work with operators', () => {
-      evaluator.registerFunction('double', (x) => x * 2);
-      expect(evaluator.evaluate('double(3) + 1')).toBe(7);
+    it('validate() recovers from mismatched brackets', () => {
+      const codes = evaluator.validate('[1, foo(2]').map(d => d.code);
+      expect(codes).toEqual(['unknown-function', 'unexpected-token', 'missing-closing-paren']);
     });
 
-    it('can override a built-in function', () => {
-      evaluator.registerFunction('sum', (a, b) => a + b + 100);
-      expect(evaluator.evaluate('sum(1, 2)')).toBe(103);
+    it('infers list literals as lists', () => {
+      expect(evaluator.inferType('[1, 2]').type).toBe('list');
+      expect(evaluator.inferType('sum(lines)', { lines: 'list' })).toEqual({ type: 'number', errors: [] });
+      expect(evaluator.inferType('first(1)').errors[0].code).toBe('invalid-argument-type');
     });
+  });
 
-    it('accepts an optional description', () => {
-      evaluator.registerFunction('double', (x) => x * 2, 'Doubles a number');
-      const described = evaluator.describeFunctions();
-      const entry = described.find(d => d.name === 'double');
-      expect(entry).toEqual({ name: 'double', description: 'Doubles a number' });
+  // --- Evaluate: Lambdas ---
+  describe('evaluate - lambdas', () => {
+    it('tokenizes => as an operator', () => {
+      expect(evaluator.tokenize('x => x')[1]).toMatchObject({ type: 'operator', value: '=>' });
     });
 
-    it('defaults description to empty string', () => {
-      evaluator.registerFunction('double', (x) => x * 2);
-      const described = evaluator.describeFunctions();
-      const entry = described.find(d => d.name === 'double');
-      expect(entry).toEqual({ name: 'double', description: '' });
+    it('parses a lambda node', () => {
+      const ast = evaluator.parse(evaluator.tokenize('(a, b) => a'));
+      expect(ast).toEqual({
+        type: 'lambda',
+        params: ['a', 'b'],
+        body: { type: 'variable', name: 'a', start: 10, end: 11 },
+        start: 0,
+        end: 11,
+      });
     });
 
-    it('throws if name is not a string', () => {
-      expect(() => evaluator.registerFunction(123, () => {})).toThrow(
-        'Function name must be a non-empty string'
-      );
+    it('parses lambdas with one unparenthesized parameter or none', () => {
+      expect(evaluator.parse(evaluator.tokenize('x => 1'))).toMatchObject({ type: 'lambda', params: ['x'], body: 1 });
+      expect(evaluator.parse(evaluator.tokenize('() => 1'))).toMatchObject({ type: 'lambda', params: [], body: 1 });
     });
 
-    it('throws if name is empty', () => {
-      expect(() => evaluator.registerFunction('', () => {})).toThrow(
-        'Function name must be a non-empty string'
-      );
+    it('still parses parenthesized expressions', () => {
+      expect(evaluator.evaluate('(x) + 1', { x: 1 })).toBe(2);
+      expect(() => evaluator.evaluate('(x, y)', { x: 1, y: 2 })).toThrow(FormulaSyntaxError);
     });
 
-    it('throws if fn is not a function', () => {
+    it('evaluates a lambda to a callable closure', () => {
+      const fn = evaluator.evaluate('(a, b) => a * b + c', { c: 1 });
+      expect(fn(2, 3)).toBe(7);
+    });
+
+    it('lambda parameters shadow outer variables', () => {
+      expect(evaluator.evaluate('map([1, 2], (x) => x * 10)', { x: 99 })).toEqual([10, 20]);
+    });
+
+    it('lambdas can be passed to custom functions', () => {
+      evaluator.registerFunction('twice', (fn, v) => fn(fn(v)));
+      expect(evaluator.evaluate('twice((n) => n + 1, 0)')).toBe(2);
+    });
+
+    it('map() transforms each item', () => {
+      expect(evaluator.evaluate('map(items, (i) => i * 2)', { items: [1, 2, 3] })).toEqual([2, 4, 6]);
+      expect(evaluator.evaluate('sum(map([1, 2, 3], x => x * x))')).toBe(14);
+    });
+
+    it('passes the index as the second argument', () => {
+      expect(evaluator.evaluate('map(["a", "b"], (item, i) => i)')).toEqual([0, 1]);
+    });
+
+    it('filter() keeps matching items', () => {
+      expect(evaluator.evaluate('filter([1, 2, 3, 4], (x) => x > 2)')).toEqual([3, 4]);
+    });
+
+    it('reduce() combines items', () => {
+      expect(evaluator.evaluate('reduce([1, 2, 3], (acc, x) => acc + x, 10)')).toBe(16);
+      expect(evaluator.evaluate('reduce([1, 2, 3], (acc, x) => acc * x)')).toBe(6);
+    });
+
+    it('find() returns the first match or null', () => {
+      expect(evaluator.evaluate('find([1, 5, 7], (x) => x > 4)')).toBe(5);
+      expect(evaluator.evaluate('find([1, 2], (x) => x > 4)')).toBeNull();
+    });
+
+    it('any() and all() test items', () => {
+      expect(evaluator.evaluate('any(stock, (s) => s == 0)', { stock: [3, 0, 1] })).toBe(true);
+      expect(evaluator.evaluate('any([], (s) => true)')).toBe(false);
+      expect(evaluator.evaluate('all([2, 4], (x) => x > 1)')).toBe(true);
+      expect(evaluator.evaluate('all([2, 0], (x) => x > 1)')).toBe(false);
+    });
+
+    it('sortby() sorts by a computed key', () => {
+      expect(evaluator.evaluate('sortby(["ccc", "a", "bb"], (s) => upper(s) == s)')).toEqual(['ccc', 'a', 'bb']);
+      expect(evaluator.evaluate('sortby([3, -1, 2], (x) => abs(x))')).toEqual([-1, 2, 3]);
+      expect(evaluator.evaluate('sortby([3, -1, 2], (x) => abs(x), true)')).toEqual([3, 2, -1]);
+    });
+
+    it('nested lambdas close over outer parameters', () => {
+      expect(evaluator.evaluate('map([1, 2], (x) => map([10, 20], (y) => x + y))')).toEqual([[11, 21], [12, 22]]);
+    });
+
+    it('rejects non-function arguments to higher-order functions', () => {
+      expect(() => evaluator.evaluate('map([1], 2)')).toThrow('Function "map" expects argument 2 ("fn") to be a function, got number');
+    });
+
+    it('reports missing variables inside lambda bodies', () => {
+      expect(() => evaluator.evaluate('map([1], (x) => y)')).toThrow('Variable "y" not found');
+    });
+
+    it('getDependencies excludes lambda parameters', () => {
+      expect(evaluator.getDependencies('sum(map(lines, (l) => l * rate))')).toEqual(['lines', 'rate']);
+      expect(evaluator.getDependencies('map(xs, (x) => x) + x')).toEqual(['xs', 'x']);
+    });
+
+    it('validate() treats lambda parameters as known', () => {
+      expect(evaluator.validate('map(xs, (x) => x + y)', { knownVariables: ['xs'] }).map(d => d.message)).toEqual([
+        'Variable "y" not found',
+      ]);
+    });
+
+    it('infers lambdas as functions', () => {
+      expect(evaluator.inferType('(x) => x').type).toBe('function');
+      expect(evaluator.inferType('map(xs, (x) => x * 2)', { xs: 'list' })).toEqual({ type: 'list', errors: [] });
+    });
+  });
+
+  // --- Evaluate: Dates ---
+  describe('evaluate - dates', () => {
+    const iso = (value) => value.toISOString();
+    let clocked;
+
+    beforeEach(() => {
+      clocked = new FormulaEvaluator({}, { clock: () => new Date('2024-03-15T10:30:00Z') });
+    });
+
+    it('builds dates and datetimes in UTC', () => {
+      expect(iso(evaluator.evaluate('date(2024, 3, 1)'))).toBe('2024-03-01T00:00:00.000Z');
+      expect(iso(evaluator.evaluate('datetime(2024, 3, 1, 9, 30)'))).toBe('2024-03-01T09:30:00.000Z');
+      expect(iso(evaluator.evaluate('date(2024, 13, 1)'))).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    it('reads today() and now() from the clock option', () => {
+      expect(iso(clocked.evaluate('today()'))).toBe('2024-03-15T00:00:00.000Z');
+      expect(iso(clocked.evaluate('now()'))).toBe('2024-03-15T10:30:00.000Z');
+    });
+
+    it('accepts clocks that return timestamps', () => {
+      const epoch = new FormulaEvaluator({}, { clock: () => 0 });
+      expect(iso(epoch.evaluate('now()'))).toBe('1970-01-01T00:00:00.000Z');
+    });
+
+    it('uses the system clock by default', () => {
+      const before = Date.now();
+      const now = evaluator.evaluate('now()').getTime();
+      expect(now).toBeGreaterThanOrEqual(before);
+      expect(now).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('does not share a clock between evaluators', () => {
+      expect(iso(clocked.evaluate('today()'))).toBe('2024-03-15T00:00:00.000Z');
+      expect(evaluator.evaluate('year(today())')).toBe(new Date().getUTCFullYear());
+    });
+
+    it('extracts date parts', () => {
+      const ctx = { at: new Date('2024-03-17T08:05:09Z') };
+      expect(evaluator.evaluate('[year(at), month(at), day(at), hour(at), minute(at), second(at)]', ctx))
+        .toEqual([2024, 3, 17, 8, 5, 9]);
+    });
+
+    it('numbers weekdays from 1 for Monday to 7 for Sunday', () => {
+      expect(evaluator.evaluate('weekday(date(2024, 3, 11))')).toBe(1);
+      expect(evaluator.evaluate('weekday(date(2024, 3, 17))')).toBe(7);
+    });
+
+    it('adds calendar units with dateadd()', () => {
+      expect(iso(evaluator.evaluate('dateadd(date(2024, 1, 31), 1, "month")'))).toBe('2024-02-29T00:00:00.000Z');
+      expect(iso(evaluator.evaluate('dateadd(date(2024, 2, 29), 1, "years")'))).toBe('2025-02-28T00:00:00.000Z');
+      expect(iso(evaluator.evaluate('dateadd(date(2024, 3, 1), -2, "days")'))).toBe('2024-02-28T00:00:00.000Z');
+      expect(iso(evaluator.evaluate('dateadd(date(2024, 3, 1), 90, "Minutes")'))).toBe('2024-03-01T01:30:00.000Z');
+    });
+
+    it('rejects unknown units and fractional months', () => {
+      expect(() => evaluator.evaluate('dateadd(date(2024, 3, 1), 1, "fortnight")')).toThrow('Unknown date unit "fortnight"');
+      expect(() => evaluator.evaluate('dateadd(date(2024, 3, 1), 1.5, "months")')).toThrow('whole numbers');
+    });
+
+    it('counts whole units with datediff()', () => {
+      expect(evaluator.evaluate('datediff(date(2024, 1, 1), date(2024, 3, 1), "days")')).toBe(60);
+      expect(evaluator.evaluate('datediff(date(2024, 3, 1), date(2024, 1, 1), "days")')).toBe(-60);
+      expect(evaluator.evaluate('datediff(date(2024, 1, 31), date(2024, 2, 28), "months")')).toBe(0);
+      expect(evaluator.evaluate('datediff(date(2024, 1, 31), date(2024, 2, 29), "months")')).toBe(1);
+      expect(evaluator.evaluate('datediff(date(2000, 6, 15), date(2024, 6, 14), "years")')).toBe(23);
+      expect(evaluator.evaluate('datediff(datetime(2024, 3, 1, 9), datetime(2024, 3, 1, 17, 45), "hours")')).toBe(8);
+    });
+
+    it('finds the end of a month with eomonth()', () => {
+      expect(iso(evaluator.evaluate('eomonth(date(2024, 2, 10))'))).toBe('2024-02-29T00:00:00.000Z');
+      expect(iso(evaluator.evaluate('eomonth(date(2024, 1, 31), -1)'))).toBe('2023-12-31T00:00:00.000Z');
+    });
+
+    it('counts weekdays with networkdays()', () => {
+      expect(evaluator.evaluate('networkdays(date(2024, 3, 1), date(2024, 3, 31))')).toBe(21);
+      expect(evaluator.evaluate('networkdays(date(2024, 3, 1), date(2024, 3, 31), [date(2024, 3, 29)])')).toBe(20);
+      expect(evaluator.evaluate('networkdays(date(2024, 3, 8), date(2024, 3, 4))')).toBe(-5);
+      expect(() => evaluator.evaluate('networkdays(date(2024, 3, 1), date(2024, 3, 8), [1])')).toThrow('Holidays must be a list of dates');
+    });
+
+    it('counts weekdays over long ranges without visiting each day', () => {
+      // 2000-01-01 to 2199-12-31 is 73049 days, starting on a Saturday
+      expect(evaluator.evaluate('networkdays(date(2000, 1, 1), date(2199, 12, 31))')).toBe(52177);
+      const holidays = '[date(2024, 12, 25), date(2024, 12, 25), date(2024, 12, 28), date(2300, 1, 1)]';
+      expect(evaluator.evaluate(`networkdays(date(2000, 1, 1), date(2199, 12, 31), ${holidays})`)).toBe(52176);
+      expect(evaluator.evaluate('networkdays(date(2199, 12, 31), date(2000, 1, 1))')).toBe(-52177);
+      const limited = new FormulaEvaluator({}, { limits: { timeout: 100 } });
+      const started = Date.now();
+      expect(limited.evaluate('networkdays(date(-100000, 1, 1), date(100000, 1, 1))')).toBeGreaterThan(52000000);
+      expect(Date.now() - started).toBeLessThan(100);
+    });
+
+    it('parses ISO 8601 dates', () => {
+      expect(iso(evaluator.evaluate('parsedate("2024-03-01")'))).toBe('2024-03-01T00:00:00.000Z');
+      expect(iso(evaluator.evaluate('parsedate("2024-03-01T09:30:15.250Z")'))).toBe('2024-03-01T09:30:15.250Z');
+      expect(iso(evaluator.evaluate('parsedate("2024-03-01T09:30:00+01:00")'))).toBe('2024-03-01T08:30:00.000Z');
+    });
+
+    it('reads the years 0 to 99 as written rather than as 1900 to 1999', () => {
+      expect(evaluator.evaluate('formatdate(date(50, 3, 1))')).toBe('0050-03-01');
+      expect(evaluator.evaluate('year(datetime(99, 12, 31, 23, 59, 59))')).toBe(99);
+      expect(evaluator.evaluate('formatdate(date(99, 13, 1))')).toBe('0100-01-01');
+      expect(evaluator.evaluate('formatdate(date(0, 2, 29))')).toBe('0000-02-29');
+      expect(evaluator.evaluate('formatdate(parsedate("0000-02-29"))')).toBe('0000-02-29');
+      expect(iso(evaluator.evaluate('parsedate("0050-06-15T12:00:00Z")'))).toBe('0050-06-15T12:00:00.000Z');
+      expect(evaluator.evaluate('formatdate(eomonth(date(12, 1, 31), 1))')).toBe('0012-02-29');
+      expect(evaluator.evaluate('networkdays(datetime(50, 3, 1, 12), date(50, 3, 31))')).toBe(23);
+      expect(evaluator.evaluate('date(50, 1, 1) < date(1950, 1, 1)')).toBe(true);
+    });
+
+    it('rejects malformed and impossible dates', () => {
+      expect(() => evaluator.evaluate('parsedate("01/03/2024")')).toThrow('Invalid ISO 8601 date "01/03/2024"');
+      expect(() => evaluator.evaluate('parsedate("2023-02-29")')).toThrow('Invalid ISO 8601 date');
+      expect(() => evaluator.evaluate('parsedate("2024-03-01T24:00")')).toThrow('Invalid ISO 8601 date');
+    });
+
+    it('formats dates', () => {
+      expect(evaluator.evaluate('formatdate(date(2024, 3, 1))')).toBe('2024-03-01');
+      expect(evaluator.evaluate('formatdate(datetime(2024, 3, 1, 9, 30))')).toBe('2024-03-01T09:30:00.000Z');
+      expect(evaluator.evaluate('formatdate(datetime(2024, 3, 1, 9, 5), "DD/MM/YYYY HH:mm")')).toBe('01/03/2024 09:05');
+    });
+
+    it('compares dates by value', () => {
+      expect(evaluator.evaluate('date(2024, 3, 1) == parsedate("2024-03-01")')).toBe(true);
+      expect(evaluator.evaluate('date(2024, 3, 1) != date(2024, 3, 1)')).toBe(false);
+      expect(evaluator.evaluate('due < today()', { due: new Date('2024-03-14T00:00:00Z') })).toBe(true);
+      expect(clocked.evaluate('due >= today()', { due: new Date('2024-03-15T00:00:00Z') })).toBe(true);
+    });
+
+    it('subtracts dates to give a duration', () => {
+      const age = evaluator.evaluate('date(2024, 3, 1) - date(2024, 2, 1)');
+      expect(age).toBeInstanceOf(Duration);
+      expect(age.milliseconds).toBe(29 * 24 * 60 * 60 * 1000);
+      expect(String(age)).toBe('P29D');
+      expect(clocked.evaluate('durationin(now() - today(), "hours")')).toBe(10.5);
+    });
+
+    it('adds and subtracts durations', () => {
+      expect(iso(evaluator.evaluate('date(2024, 3, 1) + duration(36, "hours")'))).toBe('2024-03-02T12:00:00.000Z');
+      expect(iso(evaluator.evaluate('date(2024, 3, 1) - duration(1, "week")'))).toBe('2024-02-23T00:00:00.000Z');
+      expect(String(evaluator.evaluate('duration(1, "day") + duration(90, "minutes")'))).toBe('P1DT1H30M');
+      expect(evaluator.evaluate('duration(2, "days") > duration(36, "hours")')).toBe(true);
+      expect(evaluator.evaluate('duration(1, "day") == duration(24, "hours")')).toBe(true);
+    });
+
+    it('rejects adding numbers to dates and durations', () => {
+      expect(() => evaluator.evaluate('date(2024, 3, 1) + 1')).toThrow('Operator "+" cannot be applied to date and number');
+      expect(() => evaluator.evaluate('true + duration(1, "day")')).toThrow('Operator "+" cannot be applied to boolean and duration');
+      expect(() => evaluator.evaluate('date(2024, 3, 1) + date(2024, 3, 1)')).toThrow('cannot be applied to date and date');
+    });
+
+    it('writes dates in ISO 8601 form when adding them to text', () => {
+      expect(evaluator.evaluate('"due " + date(2024, 3, 1)')).toBe('due 2024-03-01');
+      expect(evaluator.evaluate('d + "!"', { d: new Date('2024-03-01T10:30:00Z') })).toBe('2024-03-01T10:30:00.000Z!');
+      expect(evaluator.evaluate('"every " + duration(1, "day")')).toBe('every P1D');
+    });
+
+    it('compares dates by value in unique()', () => {
+      const days = evaluator.evaluate('unique([date(2024, 1, 1), date(2024, 1, 1), date(2024, 1, 2)])');
+      expect(days.map(iso)).toEqual(['2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z']);
+      expect(evaluator.evaluate('unique([date(1970, 1, 1), duration(0, "days"), 0, date(1970, 1, 1)])')).toHaveLength(3);
+    });
+
+    it('does not measure durations in months or years', () => {
+      expect(() => evaluator.evaluate('duration(1, "month")')).toThrow('Durations cannot be measured in months');
+    });
+
+    it('rejects subtracting a date from a number', () => {
+      expect(() => evaluator.evaluate('1 - date(2024, 3, 1)')).toThrow('Cannot subtract a date from a number');
+      expect(() => evaluator.evaluate('date(2024, 3, 1) - "x"')).toThrow('Operator "-" expects argument 2 ("right")');
+    });
+
+    it('checks argument types', () => {
+      expect(() => evaluator.evaluate('year("2024-03-01")')).toThrow(
+        'Function "year" expects argument 1 ("date") to be a date, got string',
+      );
+    });
+
+    it('infers date and duration types', () => {
+      expect(evaluator.inferType('today() - date(2024, 1, 1)')).toEqual({ type: 'duration', errors: [] });
+      expect(evaluator.inferType('due + duration(1, "day")', { due: 'date' })).toEqual({ type: 'date', errors: [] });
+      expect(evaluator.inferType('today() - 3').errors.map(e => e.message)).toEqual([
+        'Operator "-" cannot be applied to date and number',
+      ]);
+    });
+  });
+
+  // --- Evaluate: Decimal mode ---
+  describe('evaluate - decimal mode', () => {
+    const str = (value) => String(value);
+    let decimal;
+
+    beforeEach(() => {
+      decimal = new FormulaEvaluator({ price: 19.99, qty: 3 }, { numeric: 'decimal' });
+    });
+
+    it('uses floating point by default', () => {
+      expect(evaluator.evaluate('0.1 + 0.2 == 0.3')).toBe(false);
+    });
+
+    it('adds decimals exactly', () => {
+      expect(decimal.evaluate('0.1 + 0.2 == 0.3')).toBe(true);
+      expect(str(decimal.evaluate('0.1 + 0.2'))).toBe('0.3');
+      expect(str(decimal.evaluate('1.1 - 0.3'))).toBe('0.8');
+    });
+
+    it('reads number literals exactly, however many digits they have', () => {
+      expect(str(decimal.evaluate('0.12345678901234567890123 * 1'))).toBe('0.12345678901234567890123');
+      expect(str(decimal.evaluate('12345678901234567890123 + 1'))).toBe('12345678901234567890124');
+      expect(str(decimal.evaluate('-98765432109876543210.5 - 0.5'))).toBe('-98765432109876543211');
+      expect(decimal.format('12345678901234567890123  *  x')).toBe('12345678901234567890123 * x');
+      expect(decimal.inferType('12345678901234567890123 + 1').type).toBe('number');
+      expect(evaluator.evaluate('12345678901234567890123 + 1')).toBe(12345678901234567890123 + 1);
+    });
+
+    it('keeps NaN and Infinity as plain numbers', () => {
+      const ctx = { nan: NaN, inf: Infinity, xs: [1, 2] };
+      expect(decimal.evaluate('inf', ctx)).toBe(Infinity);
+      expect(decimal.evaluate('inf * 2', ctx)).toBe(Infinity);
+      expect(decimal.evaluate('-inf', ctx)).toBe(-Infinity);
+      expect(decimal.evaluate('sum(xs, inf)', ctx)).toBe(Infinity);
+      expect(decimal.evaluate('isnan(nan + 1)', ctx)).toBe(true);
+      expect(decimal.evaluate('max(xs, nan)', ctx)).toBeNaN();
+      expect(decimal.evaluate('inf > 1', ctx)).toBe(true);
+      expect(str(decimal.evaluate('1 / inf', ctx))).toBe('0');
+    });
+
+    it('returns numbers as Decimal objects', () => {
+      const result = decimal.evaluate('price * qty');
+      expect(result).toBeInstanceOf(Decimal);
+      expect(result.toString()).toBe('59.97');
+      expect(result.toNumber()).toBe(59.97);
+      expect(JSON.stringify({ total: result })).toBe('{"total":"59.97"}');
+      expect(decimal.evaluate('qty')).toBeInstanceOf(Decimal);
+    });
+
+    it('converts numeric context values, including nested ones', () => {
+      const ctx = { lines: [{ amount: 0.1 }, { amount: 0.2 }] };
+      expect(str(decimal.evaluate('sum(map(lines, (l) => l.amount))', ctx))).toBe('0.3');
+      expect(str(decimal.evaluate('lines[1].amount * 3', ctx))).toBe('0.6');
+    });
+
+    it('accepts Decimal values in the context', () => {
+      expect(str(decimal.evaluate('x * 2', { x: Decimal.from('12345678901234567890.1') }))).toBe('24691357802469135780.2');
+    });
+
+    it('keeps precision beyond floating point', () => {
+      expect(str(decimal.evaluate('x + 1', { x: Decimal.from('9007199254740993') }))).toBe('9007199254740994');
+    });
+
+    it('divides to a fixed number of decimal places', () => {
+      expect(str(decimal.evaluate('1 / 3'))).toBe('0.33333333333333333333');
+      expect(str(decimal.evaluate('1 / 8'))).toBe('0.125');
+      const short = new FormulaEvaluator({}, { numeric: 'decimal', decimalPlaces: 4 });
+      expect(str(short.evaluate('2 / 3'))).toBe('0.6667');
+    });
+
+    it('throws on division by zero', () => {
+      expect(() => decimal.evaluate('1 / 0')).toThrow('Division by zero');
+      expect(str(decimal.evaluate('iferr(1 / 0, 0)'))).toBe('0');
+    });
+
+    it('implements the math built-ins', () => {
+      expect(str(decimal.evaluate('sum(0.1, [0.2, 0.3])'))).toBe('0.6');
+      expect(str(decimal.evaluate('avg(0.1, 0.2)'))).toBe('0.15');
+      expect(str(decimal.evaluate('mean(1, 2, 2)'))).toBe('1.66666666666666666667');
+      expect(str(decimal.evaluate('median(0.1, 0.2, 0.3, 0.4)'))).toBe('0.25');
+      expect(str(decimal.evaluate('min(0.3, 0.1, 0.2)'))).toBe('0.1');
+      expect(str(decimal.evaluate('max([0.3, 0.1], 0.2)'))).toBe('0.3');
+      expect(str(decimal.evaluate('abs(-0.1)'))).toBe('0.1');
+      expect(str(decimal.evaluate('clamp(10.5, 0, 10.25)'))).toBe('10.25');
+      expect(str(decimal.evaluate('-price'))).toBe('-19.99');
+    });
+
+    it('rejects aggregates of no values', () => {
+      expect(() => decimal.evaluate('max()')).toThrow('max() needs at least one value');
+      expect(() => decimal.evaluate('mean([])')).toThrow('mean() needs at least one value');
+    });
+
+    it('rounds half up by default', () => {
+      expect(str(decimal.evaluate('round(2.345, 2)'))).toBe('2.35');
+      expect(str(decimal.evaluate('round(-2.345, 2)'))).toBe('-2.35');
+      expect(str(decimal.evaluate('round(1250, -2)'))).toBe('1300');
+    });
+
+    it('supports other rounding modes', () => {
+      const roundWith = (rounding, formula) => str(new FormulaEvaluator({}, { numeric: 'decimal', rounding }).evaluate(formula));
+      expect(roundWith('half-even', 'round(2.345, 2)')).toBe('2.34');
+      expect(roundWith('half-even', 'round(2.355, 2)')).toBe('2.36');
+      expect(roundWith('half-down', 'round(2.345, 2)')).toBe('2.34');
+      expect(roundWith('up', 'round(2.341, 2)')).toBe('2.35');
+      expect(roundWith('down', 'round(-2.349, 2)')).toBe('-2.34');
+      expect(roundWith('ceiling', 'round(-2.349, 2)')).toBe('-2.34');
+      expect(roundWith('floor', 'round(2.349, 2)')).toBe('2.34');
+      expect(roundWith('floor', '-2 / 3')).toBe('-0.66666666666666666667');
+    });
+
+    it('compares decimals by value', () => {
+      expect(decimal.evaluate('0.1 * 3 > 0.3')).toBe(false);
+      expect(decimal.evaluate('0.1 * 3 >= 0.3')).toBe(true);
+      expect(decimal.evaluate('price != 19.99')).toBe(false);
+      expect(decimal.evaluate('"b" > "a"')).toBe(true);
+    });
+
+    it('treats a decimal zero as falsy', () => {
+      expect(decimal.evaluate('if(price - 19.99, "owing", "paid")')).toBe('paid');
+      expect(decimal.evaluate('!(1 - 1)')).toBe(true);
+      expect(str(decimal.evaluate('(1 - 1) || 5'))).toBe('5');
+      expect(decimal.evaluate('filter([0, 1, 2], (x) => x)').map(String)).toEqual(['1', '2']);
+    });
+
+    it('concatenates decimals with strings exactly', () => {
+      expect(decimal.evaluate('"Total: " + (0.1 + 0.2)')).toBe('Total: 0.3');
+      expect(decimal.evaluate('upper(0.1 + 0.2)')).toBe('0.3');
+    });
+
+    it('passes plain numbers to built-ins without a decimal version', () => {
+      expect(str(decimal.evaluate('index([10, 20, 30], 1)'))).toBe('20');
+      expect(decimal.evaluate('slice([1, 2, 3], 1)').map(String)).toEqual(['2', '3']);
+      expect(str(decimal.evaluate('[1, 2][1]'))).toBe('2');
+      expect(decimal.evaluate('dateadd(date(2024, 1, 1), 2, "days")').toISOString()).toBe('2024-01-03T00:00:00.000Z');
+    });
+
+    it('removes duplicate decimals by value', () => {
+      expect(decimal.evaluate('unique([1, 1.0, 0.5 * 2, 2])').map(String)).toEqual(['1', '2']);
+    });
+
+    it('passes decimals to custom functions', () => {
+      decimal.registerFunction('vat', (amount) => amount.times(Decimal.from('0.2')));
+      expect(str(decimal.evaluate('vat(price)'))).toBe('3.998');
+    });
+
+    it('rejects unknown options', () => {
+      expect(() => new FormulaEvaluator({}, { numeric: 'bigint' })).toThrow('Unknown numeric mode "bigint"');
+      expect(() => new FormulaEvaluator({}, { numeric: 'decimal', rounding: 'nearest' })).toThrow('Unknown rounding mode "nearest"');
+      expect(() => new FormulaEvaluator({}, { numeric: 'decimal', decimalPlaces: -1 })).toThrow('decimalPlaces must be a non-negative integer');
+    });
+
+    it('types decimals as numbers', () => {
+      expect(() => decimal.evaluate('upper(abs("x"))')).toThrow('Function "abs" expects argument 1 ("value") to be a number, got string');
+      expect(decimal.inferType('price * qty')).toEqual({ type: 'number', errors: [] });
+    });
+  });
+
+  describe('Decimal', () => {
+    it('parses numbers, strings and exponents', () => {
+      expect(Decimal.from(0.1).toString()).toBe('0.1');
+      expect(Decimal.from('-001.500').toString()).toBe('-1.5');
+      expect(Decimal.from(1e21).toString()).toBe('1000000000000000000000');
+      expect(Decimal.from('1.5e-7').toString()).toBe('0.00000015');
+      expect(Decimal.from(10n).toString()).toBe('10');
+    });
+
+    it('rejects values that are not decimals', () => {
+      expect(() => Decimal.from('abc')).toThrow('Invalid decimal "abc"');
+      expect(() => Decimal.from(NaN)).toThrow('Cannot convert NaN to a decimal');
+      expect(() => Decimal.from(Infinity)).toThrow('Cannot convert Infinity to a decimal');
+    });
+
+    it('formats with a fixed number of places', () => {
+      expect(Decimal.from('2.5').toFixed(2)).toBe('2.50');
+      expect(Decimal.from('2.005').toFixed(2)).toBe('2.01');
+      expect(Decimal.from('2.005').toFixed(2, 'down')).toBe('2.00');
+      expect(Decimal.from('-0.5').toFixed(0)).toBe('-1');
+    });
+  });
+
+  // --- Evaluate: let ---
+  describe('evaluate - let', () => {
+    it('binds a name for use in the body', () => {
+      expect(evaluator.evaluate('let(total, price * qty, if(total > 100, total * 0.9, total))', { price: 50, qty: 3 })).toBe(135);
+    });
+
+    it('evaluates each binding once', () => {
+      let calls = 0;
+      evaluator.registerFunction('expensive', () => { calls++; return 5; });
+      expect(evaluator.evaluate('let(x, expensive(), x + x + x)')).toBe(15);
+      expect(calls).toBe(1);
+    });
+
+    it('lets later bindings use earlier ones', () => {
+      expect(evaluator.evaluate('let(a, 2, b, a * 3, c, a + b, c * 10)')).toBe(80);
+    });
+
+    it('shadows outer variables', () => {
+      expect(evaluator.evaluate('let(x, x + 1, x * 2)', { x: 4 })).toBe(10);
+    });
+
+    it('does not leak bindings outside the let()', () => {
+      expect(() => evaluator.evaluate('let(x, 1, x) + x')).toThrow('Variable "x" not found');
+    });
+
+    it('bindings are visible inside lambdas', () => {
+      expect(evaluator.evaluate('let(rate, 2, map([1, 2], (v) => v * rate))')).toEqual([2, 4]);
+    });
+
+    it('is matched case-insensitively like other functions', () => {
+      expect(evaluator.evaluate('LET(x, 1, x + 1)')).toBe(2);
+    });
+
+    it('rejects an even number of arguments', () => {
+      const err = catchError(() => evaluator.evaluate('let(x, 1)'));
+      expect(err).toBeInstanceOf(FormulaSyntaxError);
+      expect(err).toMatchObject({ code: 'invalid-let', message: 'let() expects name/value pairs followed by a body' });
+      expect(() => evaluator.evaluate('let(x, 1, y, 2)')).toThrow('let() expects name/value pairs followed by a body');
+    });
+
+    it('rejects binding names that are not identifiers', () => {
+      expect(() => evaluator.evaluate('let("x", 1, 2)')).toThrow('let() binding name 1 must be an identifier');
+      expect(() => evaluator.evaluate('let(x, 1, y + 1, 2, 3)')).toThrow('let() binding name 2 must be an identifier');
+    });
+
+    it('getDependencies excludes names bound by let()', () => {
+      expect(evaluator.getDependencies('let(sub, price * qty, sub * (1 + tax))')).toEqual(['price', 'qty', 'tax']);
+    });
+
+    it('getDependencies includes outer names used before they are shadowed', () => {
+      expect(evaluator.getDependencies('let(x, x + 1, x)')).toEqual(['x']);
+      expect(evaluator.getDependencies('let(a, b, b, 1, a + b)')).toEqual(['b']);
+    });
+
+    it('validate() treats bound names as known', () => {
+      expect(evaluator.validate('let(a, 1, a + b)', { knownVariables: [] }).map(d => d.message)).toEqual([
+        'Variable "b" not found',
+      ]);
+      expect(evaluator.validate('let(a, 1)').map(d => d.code)).toEqual(['invalid-let']);
+    });
+
+    it('infers the types of bound names', () => {
+      expect(evaluator.inferType('let(s, "a", n, 2, n * 3)')).toEqual({ type: 'number', errors: [] });
+      expect(evaluator.inferType('let(s, "a", s * 3)').errors[0].code).toBe('invalid-argument-type');
+    });
+  });
+
+  // --- Evaluate: Member access ---
+  describe('evaluate - member access', () => {
+    const ctx = {
+      customer: { name: 'Ada', address: { country: 'UK', 'post code': 'N1' }, tags: null },
+      order: { lines: [{ sku: 'A1', qty: 2, price: 5 }, { sku: 'B2', qty: 1, price: 10 }] },
+    };
+
+    it('tokenizes dots as delimiters', () => {
+      expect(evaluator.tokenize('a.b').map(t => t.value)).toEqual(['a', '.', 'b']);
+    });
+
+    it('parses member access as a __member function node', () => {
+      const ast = evaluator.parse(evaluator.tokenize('a.b[0]'));
+      expect(ast).toEqual({
+        type: 'function',
+        name: '__member',
+        args: [
+          {
+            type: 'function',
+            name: '__member',
+            args: [{ type: 'variable', name: 'a', start: 0, end: 1 }, 'b'],
+            start: 0,
+            end: 3,
+          },
+          0,
+        ],
+        start: 0,
+        end: 6,
+      });
+    });
+
+    it('reads nested properties', () => {
+      expect(evaluator.evaluate('customer.address.country', ctx)).toBe('UK');
+    });
+
+    it('indexes lists', () => {
+      expect(evaluator.evaluate('order.lines[0].sku', ctx)).toBe('A1');
+      expect(evaluator.evaluate('order.lines[-1].sku', ctx)).toBe('B2');
+      expect(evaluator.evaluate('order.lines[i].qty', { ...ctx, i: 1 })).toBe(1);
+    });
+
+    it('reads properties with bracket notation', () => {
+      expect(evaluator.evaluate('customer.address["post code"]', ctx)).toBe('N1');
+      expect(evaluator.evaluate('customer["na" + "me"]', ctx)).toBe('Ada');
+    });
+
+    it('reads members of function results, groups and literals', () => {
+      expect(evaluator.evaluate('first(order.lines).price', ctx)).toBe(5);
+      expect(evaluator.evaluate('[10, 20, 30][1]')).toBe(20);
+      expect(evaluator.evaluate('(order).lines[1].sku', ctx)).toBe('B2');
+    });
+
+    it('binds more tightly than operators', () => {
+      expect(evaluator.evaluate('-order.lines[0].qty * 2', ctx)).toBe(-4);
+      expect(evaluator.evaluate('!customer.tags', ctx)).toBe(true);
+    });
+
+    it('works inside lambdas', () => {
+      expect(evaluator.evaluate('sum(map(order.lines, (l) => l.qty * l.price))', ctx)).toBe(20);
+      expect(evaluator.evaluate('find(order.lines, (l) => l.sku == "B2").qty', ctx)).toBe(1);
+    });
+
+    it('names the missing path segment', () => {
+      const err = catchError(() => evaluator.evaluate('customer.address.city', ctx));
+      expect(err).toBeInstanceOf(FormulaEvaluationError);
+      expect(err.message).toBe('Property "city" not found in customer.address');
+      expect(err).toMatchObject({ code: 'member-not-found', start: 0, end: 21 });
+    });
+
+    it('reports reads from null values', () => {
+      expect(() => evaluator.evaluate('customer.tags.first', ctx)).toThrow(
+        'Cannot read "first" of customer.tags because it is null'
+      );
+    });
+
+    it('reports reads from primitive values', () => {
+      expect(() => evaluator.evaluate('customer.name.length', ctx)).toThrow(
+        'Cannot read "length" of customer.name because it is a string'
+      );
+    });
+
+    it('reports indexes out of range', () => {
+      expect(() => evaluator.evaluate('order.lines[2].sku', ctx)).toThrow('Index 2 is out of range for order.lines (length 2)');
+      expect(() => evaluator.evaluate('order.lines[i]', { ...ctx, i: 0.5 })).toThrow('Index 0.5 is out of range for order.lines');
+    });
+
+    it('does not read inherited properties', () => {
+      expect(() => evaluator.evaluate('customer.constructor', ctx)).toThrow('Property "constructor" not found in customer');
+      expect(() => evaluator.evaluate('customer["__proto__"]', ctx)).toThrow('Property "__proto__" not found in customer');
+      expect(() => evaluator.evaluate('customer.address.toString', ctx)).toThrow('Property "toString" not found');
+    });
+
+    it('can be caught by iferr', () => {
+      expect(evaluator.evaluate('iferr(customer.address.city, "n/a")', ctx)).toBe('n/a');
+    });
+
+    it('throws syntax errors for malformed access', () => {
+      expect(() => evaluator.evaluate('customer.', ctx)).toThrow('Expected a property name');
+      expect(() => evaluator.evaluate('customer.1', ctx)).toThrow(FormulaSyntaxError);
+      expect(() => evaluator.evaluate('order.lines[0', ctx)).toThrow('Missing closing bracket');
+    });
+
+    it('getDependencies returns root names by default', () => {
+      expect(evaluator.getDependencies('customer.address.country + order.lines[0].sku')).toEqual(['customer', 'order']);
+    });
+
+    it('getDependencies returns full paths when asked', () => {
+      expect(evaluator.getDependencies('customer.address.country + order.lines[0].sku', { paths: true })).toEqual([
+        'customer.address.country',
+        'order.lines[0].sku',
+      ]);
+      expect(evaluator.getDependencies('customer.address["post code"]', { paths: true })).toEqual([
+        'customer.address["post code"]',
+      ]);
+    });
+
+    it('getDependencies stops paths at computed keys', () => {
+      expect(evaluator.getDependencies('order.lines[i].sku', { paths: true })).toEqual(['order.lines', 'i']);
+    });
+
+    it('getDependencies paths exclude lambda parameters', () => {
+      expect(evaluator.getDependencies('map(order.lines, (l) => l.qty)', { paths: true })).toEqual(['order.lines']);
+    });
+
+    it('validate() accepts paths in knownVariables', () => {
+      expect(evaluator.validate('customer.address.country', { knownVariables: ['customer.address'] })).toEqual([]);
+      expect(evaluator.validate('order.total', { knownVariables: ['customer.address'] })).toHaveLength(1);
+    });
+
+    it('inferType() uses schema entries for full paths', () => {
+      const schema = { 'customer.address.country': 'string', 'order.total': 'number' };
+      expect(evaluator.inferType('upper(customer.address.country)', schema)).toEqual({ type: 'string', errors: [] });
+      expect(evaluator.inferType('order.total * 2', schema)).toEqual({ type: 'number', errors: [] });
+      expect(evaluator.inferType('customer.name', schema)).toEqual({ type: 'any', errors: [] });
+    });
+  });
+
+  // --- Evaluate: Parentheses ---
+  describe('evaluate - parentheses', () => {
+    it('simple grouping', () => {
+      expect(evaluator.evaluate('(1 + 2)')).toBe(3);
+    });
+
+    it('grouping changes evaluation order', () => {
+      // Without parens: 5 - 3 - 1 = (5 - 3) - 1 = 1 (left-associative)
+      // With parens: 5 - (3 - 1) = 3
+      expect(evaluator.evaluate('5 - (3 - 1)')).toBe(3);
+    });
+
+    it('double-nested parentheses', () => {
+      expect(evaluator.evaluate('((1 + 2))')).toBe(3);
+    });
+
+    it('deep nesting', () => {
+      expect(evaluator.evaluate('(((5)))')).toBe(5);
+    });
+
+    it('multiple groups', () => {
+      expect(evaluator.evaluate('(1 + 2) + (3 + 4)')).toBe(10);
+    });
+
+    it('left-nested groups', () => {
+      expect(evaluator.evaluate('((1 + 2) + 3) + 4')).toBe(10);
+    });
+
+    it('parentheses inside function args', () => {
+      expect(evaluator.evaluate('sum((1 + 2), (3 + 4))')).toBe(10);
+    });
+
+    it('nested parens with variables', () => {
+      expect(evaluator.evaluate('(x + 1) + (y + 2)', { x: 3, y: 4 })).toBe(10);
+    });
+
+    it('throws on missing closing parenthesis', () => {
+      expect(() => evaluator.evaluate('(1 + 2')).toThrow('Missing closing parenthesis');
+    });
+
+    it('throws on extra closing parenthesis', () => {
+      expect(() => evaluator.evaluate('1 + 2)')).toThrow('Unexpected token');
+    });
+
+    it('throws on empty parentheses', () => {
+      expect(() => evaluator.evaluate('()')).toThrow();
+    });
+  });
+
+  // --- Errors ---
+  describe('syntax errors', () => {
+    it('throws FormulaSyntaxError for unexpected characters', () => {
+      const err = catchError(() => evaluator.tokenize('1 + # 2'));
+      expect(err).toBeInstanceOf(FormulaSyntaxError);
+      expect(err).toBeInstanceOf(FormulaError);
+      expect(err.message).toBe('Unexpected character at 4: #');
+      expect(err).toMatchObject({ code: 'unexpected-character', start: 4, end: 5, found: '#', line: 1, column: 5 });
+    });
+
+    it('includes a caret snippet under the offending span', () => {
+      const err = catchError(() => evaluator.evaluate('sum(1, 2 3)'));
+      expect(err.snippet).toBe('sum(1, 2 3)\n         ^');
+    });
+
+    it('reports line and column in multi-line formulas', () => {
+      const err = catchError(() => evaluator.evaluate('sum(\n  1,\n  2 @)'));
+      expect(err).toMatchObject({ line: 3, column: 5 });
+      expect(err.snippet).toBe('  2 @)\n    ^');
+    });
+
+    it('reports the expected and found tokens for a missing closing parenthesis', () => {
+      const err = catchError(() => evaluator.evaluate('(1 + 2'));
+      expect(err).toBeInstanceOf(FormulaSyntaxError);
+      expect(err).toMatchObject({
+        code: 'missing-closing-paren',
+        expected: ['")"'],
+        found: null,
+        start: 6,
+        end: 6,
+      });
+    });
+
+    it('reports unexpected tokens', () => {
+      const err = catchError(() => evaluator.evaluate('1 + 2)'));
+      expect(err).toMatchObject({ code: 'unexpected-token', found: ')', start: 5, end: 6, column: 6 });
+      expect(err.snippet).toBe('1 + 2)\n     ^');
+    });
+
+    it('rejects a dangling operator', () => {
+      const err = catchError(() => evaluator.evaluate('1 +'));
+      expect(err).toBeInstanceOf(FormulaSyntaxError);
+      expect(err).toMatchObject({ code: 'unexpected-end', expected: ['expression'], found: null });
+    });
+
+    it('rejects missing separators between arguments', () => {
+      const err = catchError(() => evaluator.evaluate('sum(1 2)'));
+      expect(err).toMatchObject({ code: 'unexpected-token', expected: ['","', '")"'], found: '2' });
+    });
+
+    it('rejects empty arguments', () => {
+      expect(() => evaluator.evaluate('sum(1,,2)')).toThrow(FormulaSyntaxError);
+    });
+
+    it('spans multi-character tokens', () => {
+      const err = catchError(() => evaluator.evaluate('1 foo'));
+      expect(err.snippet).toBe('1 foo\n  ^^^');
+    });
+
+    it('omits line information when parsing tokens without the source', () => {
+      const err = catchError(() => evaluator.parse(evaluator.tokenize('(1')));
+      expect(err).toMatchObject({ start: 2, end: 2 });
+      expect(err.line).toBeUndefined();
+      expect(err.snippet).toBeUndefined();
+    });
+
+    it('evaluates an empty formula to null', () => {
+      expect(evaluator.evaluate('')).toBeNull();
+    });
+  });
+
+  describe('evaluation errors', () => {
+    it('throws FormulaEvaluationError with the span of a missing variable', () => {
+      const err = catchError(() => evaluator.evaluate('1 + price * 2'));
+      expect(err).toBeInstanceOf(FormulaEvaluationError);
+      expect(err.message).toBe('Variable "price" not found');
+      expect(err).toMatchObject({ code: 'unknown-variable', start: 4, end: 9, line: 1, column: 5 });
+      expect(err.snippet).toBe('1 + price * 2\n    ^^^^^');
+    });
+
+    it('throws FormulaEvaluationError with the span of an unknown function call', () => {
+      const err = catchError(() => evaluator.evaluate('2 * foo(1, 2)'));
+      expect(err).toBeInstanceOf(FormulaEvaluationError);
+      expect(err.message).toBe('Function "foo" not found');
+      expect(err).toMatchObject({ code: 'unknown-function', start: 4, end: 13 });
+    });
+
+    it('includes the source for compiled formulas', () => {
+      const err = catchError(() => evaluator.compile('x').evaluate());
+      expect(err.source).toBe('x');
+      expect(err.snippet).toBe('x\n^');
+    });
+
+    it('does not wrap errors thrown by custom functions', () => {
+      evaluator.registerFunction('boom', () => { throw new RangeError('bang'); });
+      expect(() => evaluator.evaluate('boom()')).toThrow(RangeError);
+    });
+
+    it('is still caught by iferr', () => {
+      expect(evaluator.evaluate('iferr(missing, 1)')).toBe(1);
+    });
+  });
+
+  // --- validate ---
+  describe('evaluateAsync', () => {
+    const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+    beforeEach(() => {
+      evaluator.registerFunction('exchangerate', async (currency) => delay(5, { EUR: 2, GBP: 3 }[currency]));
+      evaluator.registerFunction('fail', async (message) => { throw new Error(message); });
+    });
+
+    it('waits for asynchronous functions', async () => {
+      await expect(evaluator.evaluateAsync('amount * exchangerate("EUR")', { amount: 10 })).resolves.toBe(20);
+    });
+
+    it('evaluates formulas without asynchronous functions', async () => {
+      await expect(evaluator.evaluateAsync('sum(1, 2) * x', { x: 2 })).resolves.toBe(6);
+    });
+
+    it('evaluates independent arguments concurrently', async () => {
+      const events = [];
+      evaluator.registerFunction('load', async (name) => {
+        events.push(`start ${name}`);
+        await delay(5);
+        events.push(`end ${name}`);
+        return name.length;
+      });
+      await expect(evaluator.evaluateAsync('load("a") + load("bb")')).resolves.toBe(3);
+      expect(events).toEqual(['start a', 'start bb', 'end a', 'end bb']);
+    });
+
+    it('only evaluates the branch if() chooses', async () => {
+      await expect(evaluator.evaluateAsync('if(exchangerate("EUR") > 1, "high", fail("not chosen"))')).resolves.toBe('high');
+    });
+
+    it('falls back in iferr() when an asynchronous function rejects', async () => {
+      await expect(evaluator.evaluateAsync('iferr(fail("down"), 0)')).resolves.toBe(0);
+    });
+
+    it('short-circuits logical operators and functions', async () => {
+      await expect(evaluator.evaluateAsync('exchangerate("EUR") > 5 && fail("not evaluated")')).resolves.toBe(false);
+      await expect(evaluator.evaluateAsync('coalesce(exchangerate("USD"), exchangerate("GBP"), fail("skipped"))')).resolves.toBe(3);
+      await expect(evaluator.evaluateAsync('switch(exchangerate("GBP"), 2, "EUR", 3, "GBP")')).resolves.toBe('GBP');
+    });
+
+    it('supports let() and member access on asynchronous values', async () => {
+      evaluator.registerFunction('lookup', async (sku) => delay(1, { sku, price: 5 }));
+      await expect(evaluator.evaluateAsync('let(item, lookup("A1"), item.price * 2)')).resolves.toBe(10);
+      await expect(evaluator.evaluateAsync('lookup("A1").sku')).resolves.toBe('A1');
+    });
+
+    it('passes thunks that return promises to lazy functions', async () => {
+      evaluator.registerFunction('firstdefined', async (...args) => {
+        for (const arg of args) {
+          const value = await arg();
+          if (value !== undefined) return value;
+        }
+        return null;
+      }, { lazy: true });
+      await expect(evaluator.evaluateAsync('firstdefined(exchangerate("USD"), exchangerate("EUR"))')).resolves.toBe(2);
+    });
+
+    it('rejects with errors from the formula', async () => {
+      await expect(evaluator.evaluateAsync('fail("boom") + 1')).rejects.toThrow('boom');
+      await expect(evaluator.evaluateAsync('missing + exchangerate("EUR")')).rejects.toThrow('Variable "missing" not found');
+      await expect(evaluator.evaluateAsync('(1 + 2')).rejects.toThrow(FormulaSyntaxError);
+    });
+
+    it('rejects asynchronous functions called from evaluate()', () => {
+      const err = catchError(() => evaluator.evaluate('10 * exchangerate("EUR")'));
+      expect(err).toBeInstanceOf(FormulaEvaluationError);
+      expect(err.code).toBe('async-function');
+      expect(err.message).toBe('Function "exchangerate" returned a promise; use evaluateAsync() to call asynchronous functions');
+    });
+
+    it.each(['interpreter', 'codegen'])('does not leave the rejection of a dropped promise unhandled (%s)', async (backend) => {
+      const evaluator = new FormulaEvaluator({}, { backend });
+      evaluator.registerFunction('lookup', async () => { throw new Error('db down'); });
+      const unhandled = vi.fn();
+      process.on('unhandledRejection', unhandled);
+      try {
+        const err = catchError(() => evaluator.evaluate('lookup(1) + 1'));
+        expect(err.code).toBe('async-function');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(unhandled).not.toHaveBeenCalled();
+      } finally {
+        process.off('unhandledRejection', unhandled);
+      }
+    });
+
+    it('waits for asynchronous functions called in lambda bodies', async () => {
+      evaluator.registerFunction('later', async (x) => delay(1, x));
+      await expect(evaluator.evaluateAsync('map(xs, x => later(x))', { xs: [1, 2, 3] })).resolves.toEqual([1, 2, 3]);
+      await expect(evaluator.evaluateAsync('map(["EUR", "GBP"], c => exchangerate(c) * 2)')).resolves.toEqual([4, 6]);
+      await expect(evaluator.evaluateAsync('filter(xs, x => later(x > 1))', { xs: [1, 2, 3] })).resolves.toEqual([2, 3]);
+      await expect(evaluator.evaluateAsync('reduce(xs, (acc, x) => acc + later(x), 0)', { xs: [1, 2, 3] })).resolves.toBe(6);
+      await expect(evaluator.evaluateAsync('sortby(xs, x => later(-x))', { xs: [1, 3, 2] })).resolves.toEqual([3, 2, 1]);
+      await expect(evaluator.evaluateAsync('find(xs, x => later(x > 1))', { xs: [1, 2, 3] })).resolves.toBe(2);
+      await expect(evaluator.evaluateAsync('any(xs, x => later(x > 2))', { xs: [1, 2, 3] })).resolves.toBe(true);
+      await expect(evaluator.evaluateAsync('all(xs, x => later(x > 1))', { xs: [1, 2, 3] })).resolves.toBe(false);
+      await expect(evaluator.evaluateAsync('map(xs, x => x * rate)', { xs: [1, 2], rate: 3 })).resolves.toEqual([3, 6]);
+    });
+
+    it('calls lambdas on one item at a time and stops where the built-in would', async () => {
+      const seen = [];
+      evaluator.registerFunction('track', async (x) => { seen.push(x); return delay(1, x); });
+      await expect(evaluator.evaluateAsync('find(xs, x => track(x) == 2)', { xs: [3, 2, 1] })).resolves.toBe(2);
+      expect(seen).toEqual([3, 2]);
+      await expect(evaluator.evaluateAsync('map(xs, x => track(x) + fail("bad"))', { xs: [1, 2] })).rejects.toThrow('bad');
+      expect(seen).toEqual([3, 2, 1]);
+    });
+
+    it('still rejects asynchronous functions in lambda bodies under evaluate()', () => {
+      const err = catchError(() => evaluator.evaluate('map(["EUR"], c => exchangerate(c))'));
+      expect(err.code).toBe('async-function');
+    });
+
+    it('can be cancelled with an AbortSignal', async () => {
+      const controller = new AbortController();
+      const called = [];
+      evaluator.registerFunction('slow', async (x) => { called.push('slow'); await delay(20); return x; });
+      evaluator.registerFunction('double', (x) => { called.push('double'); return x * 2; });
+      const result = evaluator.evaluateAsync('double(slow(1))', {}, { signal: controller.signal });
+      controller.abort(new Error('cancelled'));
+      await expect(result).rejects.toThrow('cancelled');
+      await delay(30);
+      expect(called).toEqual(['slow']);
+    });
+
+    it('rejects straight away when the signal has already been aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      await expect(evaluator.evaluateAsync('1 + 1', {}, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('is available on compiled formulas', async () => {
+      const compiled = evaluator.compile('amount * exchangerate(currency)');
+      await expect(compiled.evaluateAsync({ amount: 3, currency: 'GBP' })).resolves.toBe(9);
+    });
+
+    it('works in decimal mode', async () => {
+      const decimal = new FormulaEvaluator({}, { numeric: 'decimal' });
+      decimal.registerFunction('rate', async () => 0.1);
+      const result = await decimal.evaluateAsync('rate() + 0.2');
+      expect(result.toString()).toBe('0.3');
+    });
+  });
+
+  describe('validate', () => {
+    const codes = (diagnostics) => diagnostics.map(d => d.code);
+
+    it('returns no diagnostics for a valid formula', () => {
+      expect(evaluator.validate('sum(x, 2) * 3')).toEqual([]);
+    });
+
+    it('does not evaluate the formula', () => {
+      let called = false;
+      evaluator.registerFunction('spy', () => { called = true; });
+      evaluator.validate('spy()');
+      expect(called).toBe(false);
+    });
+
+    it('returns diagnostics with severity, message, code and range', () => {
+      expect(evaluator.validate('1 + foo(2)')).toEqual([{
+        severity: 'error',
+        code: 'unknown-function',
+        message: 'Function "foo" not found',
+        start: 4,
+        end: 10,
+        line: 1,
+        column: 5,
+      }]);
+    });
+
+    it('reports unknown variables against knownVariables', () => {
+      const diagnostics = evaluator.validate('price * qty + tax', { knownVariables: ['price', 'qty'] });
+      expect(diagnostics).toHaveLength(1);
+      expect(diagnostics[0]).toMatchObject({ code: 'unknown-variable', message: 'Variable "tax" not found', start: 14, end: 17 });
+    });
+
+    it('treats global context variables as known', () => {
+      const withGlobals = new FormulaEvaluator({ tax: 0.2 });
+      expect(withGlobals.validate('price * tax', { knownVariables: ['price'] })).toEqual([]);
+    });
+
+    it('skips variable checks when knownVariables is omitted', () => {
+      expect(evaluator.validate('anything + goes')).toEqual([]);
+    });
+
+    it('reports a trailing operator', () => {
+      const diagnostics = evaluator.validate('1 +');
+      expect(codes(diagnostics)).toEqual(['unexpected-end']);
+      expect(diagnostics[0]).toMatchObject({ start: 3, end: 3 });
+    });
+
+    it('reports unbalanced parentheses', () => {
+      expect(codes(evaluator.validate('sum(1, 2'))).toEqual(['missing-closing-paren']);
+      expect(codes(evaluator.validate('(1 + 2))'))).toEqual(['unexpected-token']);
+    });
+
+    it('reports unexpected characters and keeps going', () => {
+      const diagnostics = evaluator.validate('1 # 2 + foo()');
+      expect(codes(diagnostics)).toEqual(['unexpected-character', 'unexpected-token', 'unknown-function']);
+    });
+
+    it('reports too few arguments', () => {
+      const diagnostics = evaluator.validate('round(1)');
+      expect(diagnostics).toHaveLength(1);
+      expect(diagnostics[0]).toMatchObject({
+        code: 'too-few-arguments',
+        message: 'Function "round" expects at least 2 arguments, got 1',
+      });
+    });
+
+    it('reports every problem in the formula at once', () => {
+      const diagnostics = evaluator.validate('foo(x) + bar(clamp(1), y', { knownVariables: ['x'] });
+      expect(codes(diagnostics)).toEqual([
+        'unknown-function',
+        'unknown-function',
+        'too-few-arguments',
+        'unknown-variable',
+        'missing-closing-paren',
+      ]);
+    });
+
+    it('recovers from missing arguments and separators', () => {
+      expect(codes(evaluator.validate('sum(1,,2)'))).toEqual(['unexpected-token']);
+      expect(codes(evaluator.validate('sum(1 2)'))).toEqual(['unexpected-token']);
+      expect(codes(evaluator.validate('1 + * 2'))).toEqual(['unexpected-token']);
+    });
+
+    it('sorts diagnostics by position', () => {
+      const diagnostics = evaluator.validate('nope(1) + (2', { knownVariables: [] });
+      expect(diagnostics.map(d => d.start)).toEqual([0, 12]);
+    });
+
+    it('reports line and column for multi-line formulas', () => {
+      const [diagnostic] = evaluator.validate('sum(\n  1,\n  missing)', { knownVariables: [] });
+      expect(diagnostic).toMatchObject({ line: 3, column: 3 });
+    });
+
+    it('throws TypeError for non-string formula', () => {
+      expect(() => evaluator.validate(null)).toThrow(TypeError);
+    });
+  });
+
+  // --- inferType ---
+  describe('inferType', () => {
+    const schema = { price: 'number', qty: 'number', name: 'string', active: 'boolean', due: 'date', lines: 'list' };
+
+    it('infers the type of literals', () => {
+      expect(evaluator.inferType('1').type).toBe('number');
+      expect(evaluator.inferType('"a"').type).toBe('string');
+      expect(evaluator.inferType('true').type).toBe('boolean');
+      expect(evaluator.inferType('null').type).toBe('null');
+    });
+
+    it('infers the type of variables from the schema', () => {
+      expect(evaluator.inferType('due', schema)).toEqual({ type: 'date', errors: [] });
+      expect(evaluator.inferType('lines', schema)).toEqual({ type: 'list', errors: [] });
+    });
+
+    it('infers the type of variables from the global context', () => {
+      const withGlobals = new FormulaEvaluator({ rate: 0.2, label: 'x' });
+      expect(withGlobals.inferType('rate').type).toBe('number');
+      expect(withGlobals.inferType('label').type).toBe('string');
+    });
+
+    it('infers arithmetic results', () => {
+      expect(evaluator.inferType('price * qty - 1', schema)).toEqual({ type: 'number', errors: [] });
+    });
+
+    it('infers comparison and logical results', () => {
+      expect(evaluator.inferType('price > 10 && active', schema).type).toBe('boolean');
+      expect(evaluator.inferType('active || name', schema).type).toBe('any');
+      expect(evaluator.inferType('price > 10 && qty < 5', schema).type).toBe('boolean');
+      expect(evaluator.inferType('!active', schema).type).toBe('boolean');
+    });
+
+    it('uses function return types', () => {
+      expect(evaluator.inferType('round(price, 2)', schema).type).toBe('number');
+      expect(evaluator.inferType('upper(name)', schema).type).toBe('string');
+      expect(evaluator.inferType('contains(name, "x")', schema).type).toBe('boolean');
+    });
+
+    it('infers + as addition or string concatenation', () => {
+      expect(evaluator.inferType('price + 1', schema).type).toBe('number');
+      expect(evaluator.inferType('name + "!"', schema).type).toBe('string');
+      expect(evaluator.inferType('name + price', schema).type).toBe('string');
+    });
+
+    it('infers if() from its branches', () => {
+      expect(evaluator.inferType('if(active, price, 0)', schema).type).toBe('number');
+      expect(evaluator.inferType('if(active, price, name)', schema).type).toBe('any');
+      expect(evaluator.inferType('if(active, price)', schema).type).toBe('any');
+    });
+
+    it('infers coalesce() from its non-null arguments', () => {
+      expect(evaluator.inferType('coalesce(null, price, 0)', schema).type).toBe('number');
+      expect(evaluator.inferType('coalesce(null, null)', schema).type).toBe('null');
+    });
+
+    it('merges the results of switch(), ifs() and choose()', () => {
+      expect(evaluator.inferType('switch(name, "a", 1, "b", price, 0)', schema).type).toBe('number');
+      expect(evaluator.inferType('switch(name, "a", 1, "b", 2)', schema).type).toBe('any');
+      expect(evaluator.inferType('ifs(active, 1, price)', schema).type).toBe('number');
+      expect(evaluator.inferType('choose(1, "a", name)', schema).type).toBe('string');
+    });
+
+    it('reports arguments of the wrong type', () => {
+      const result = evaluator.inferType('upper(price) * 2', schema);
+      expect(result.type).toBe('number');
+      expect(result.errors).toEqual([{
+        severity: 'error',
+        code: 'invalid-argument-type',
+        message: 'Operator "*" expects argument 1 ("left") to be a number, got string',
+        start: 0,
+        end: 16,
+        line: 1,
+        column: 1,
+      }]);
+    });
+
+    it('reports comparisons between incompatible types', () => {
+      const { errors } = evaluator.inferType('"a" > 3');
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({ code: 'invalid-operand-types', message: 'Operator ">" cannot compare string with number' });
+    });
+
+    it('reports comparisons of types without an ordering', () => {
+      const { errors } = evaluator.inferType('active < active', schema);
+      expect(errors[0].message).toBe('Operator "<" cannot compare boolean with boolean');
+    });
+
+    it('allows comparisons between matching types', () => {
+      expect(evaluator.inferType('name >= "m"', schema).errors).toEqual([]);
+      expect(evaluator.inferType('due < due', schema).errors).toEqual([]);
+    });
+
+    it('reports + on incompatible operands', () => {
+      const { errors } = evaluator.inferType('active + price', schema);
+      expect(errors[0].message).toBe('Operator "+" cannot be applied to boolean and number');
+    });
+
+    it('reports null passed where a number is expected', () => {
+      const { errors } = evaluator.inferType('abs(null)');
+      expect(errors[0].message).toBe('Function "abs" expects argument 1 ("value") to be a number, got null');
+    });
+
+    it('reports unknown variables and functions', () => {
+      const { type, errors } = evaluator.inferType('foo(missing)', schema);
+      expect(type).toBe('any');
+      expect(errors.map(e => e.code)).toEqual(['unknown-function', 'unknown-variable']);
+    });
+
+    it('does not report values of unknown type', () => {
+      evaluator.registerFunction('lookup', () => 1);
+      expect(evaluator.inferType('lookup() * 2').errors).toEqual([]);
+    });
+
+    it('uses declared return types of custom functions', () => {
+      evaluator.registerFunction('label', () => 'x', { params: [], returns: 'string' });
+      expect(evaluator.inferType('label() * 2').errors[0].code).toBe('invalid-argument-type');
+    });
+
+    it('does not evaluate the formula', () => {
+      let called = false;
+      evaluator.registerFunction('spy', () => { called = true; });
+      evaluator.inferType('spy()');
+      expect(called).toBe(false);
+    });
+
+    it('throws syntax errors', () => {
+      expect(() => evaluator.inferType('(1 +')).toThrow(FormulaSyntaxError);
+    });
+  });
+
+  // --- getDependencies ---
+  describe('getDependencies', () => {
+    it('returns empty array for literals', () => {
+      expect(evaluator.getDependencies('42')).toEqual([]);
+    });
+
+    it('returns a single variable', () => {
+      expect(evaluator.getDependencies('x')).toEqual(['x']);
+    });
+
+    it('returns variables from an expression', () => {
+      const deps = evaluator.getDependencies('x + y');
+      expect(deps).toContain('x');
+      expect(deps).toContain('y');
+      expect(deps).toHaveLength(2);
+    });
+
+    it('returns variables from function arguments', () => {
+      const deps = evaluator.getDependencies('sum(a, b, c)');
+      expect(deps).toEqual(expect.arrayContaining(['a', 'b', 'c']));
+      expect(deps).toHaveLength(3);
+    });
+
+    it('deduplicates repeated variables', () => {
+      const deps = evaluator.getDependencies('x + x');
+      expect(deps).toEqual(['x']);
+    });
+
+    it('returns variables from nested functions', () => {
+      const deps = evaluator.getDependencies('sum(x, avg(y, z))');
+      expect(deps).toEqual(expect.arrayContaining(['x', 'y', 'z']));
+      expect(deps).toHaveLength(3);
+    });
+
+    it('does not include function names as dependencies', () => {
+      const deps = evaluator.getDependencies('sum(1, 2)');
+      expect(deps).toEqual([]);
+    });
+  });
+
+  // --- compile ---
+  describe('compile', () => {
+    it('returns a compiled formula that can be evaluated repeatedly', () => {
+      const compiled = evaluator.compile('price * qty');
+      expect(compiled.evaluate({ price: 2, qty: 3 })).toBe(6);
+      expect(compiled.evaluate({ price: 5, qty: 4 })).toBe(20);
+    });
+
+    it('exposes the source, AST and dependencies', () => {
+      const compiled = evaluator.compile('sum(x, y) + x');
+      expect(compiled.source).toBe('sum(x, y) + x');
+      expect(compiled.ast).toEqual(evaluator.parse(evaluator.tokenize('sum(x, y) + x')));
+      expect(compiled.dependencies).toEqual(['x', 'y']);
+    });
+
+    it('resolves variables from the global context', () => {
+      const withGlobals = new FormulaEvaluator({ tax: 0.5 });
+      const compiled = withGlobals.compile('price * tax');
+      expect(compiled.evaluate({ price: 10 })).toBe(5);
+    });
+
+    it('local context overrides global context', () => {
+      const withGlobals = new FormulaEvaluator({ x: 1 });
+      expect(withGlobals.compile('x').evaluate({ x: 99 })).toBe(99);
+    });
+
+    it('defaults the local context to empty', () => {
+      expect(evaluator.compile('1 + 2').evaluate()).toBe(3);
+    });
+
+    it('preserves lazy evaluation of if()', () => {
+      const compiled = evaluator.compile('if(x > 0, x, missing)');
+      expect(compiled.evaluate({ x: 1 })).toBe(1);
+      expect(() => compiled.evaluate({ x: -1 })).toThrow('Variable "missing" not found');
+    });
+
+    it('respects functions registered after compilation', () => {
+      const compiled = evaluator.compile('double(2)');
+      evaluator.registerFunction('double', (x) => x * 2);
+      expect(compiled.evaluate()).toBe(4);
+      evaluator.registerFunction('double', (x) => x * 20);
+      expect(compiled.evaluate()).toBe(40);
+    });
+
+    it('throws syntax errors at compile time', () => {
+      expect(() => evaluator.compile('(1 + 2')).toThrow('Missing closing parenthesis');
+    });
+
+    it('throws TypeError for non-string formula', () => {
+      expect(() => evaluator.compile(null)).toThrow(TypeError);
+    });
+  });
+
+  // --- Parse cache ---
+  describe('parse cache', () => {
+    it('does not re-parse a formula that has already been evaluated', () => {
+      let parses = 0;
+      const originalParse = evaluator.parse.bind(evaluator);
+      evaluator.parse = (tokens) => { parses++; return originalParse(tokens); };
+
+      evaluator.evaluate('x + 1', { x: 1 });
+      evaluator.evaluate('x + 1', { x: 2 });
+      evaluator.getDependencies('x + 1');
+      evaluator.compile('x + 1');
+      expect(parses).toBe(1);
+    });
+
+    it('returns correct results for cached formulas with different contexts', () => {
+      expect(evaluator.evaluate('x * 2', { x: 2 })).toBe(4);
+      expect(evaluator.evaluate('x * 2', { x: 5 })).toBe(10);
+    });
+
+    it('evicts the least recently used formula when full', () => {
+      const small = new FormulaEvaluator({}, { cacheSize: 2 });
+      let parses = 0;
+      const originalParse = small.parse.bind(small);
+      small.parse = (tokens) => { parses++; return originalParse(tokens); };
+
+      small.evaluate('1');
+      small.evaluate('2');
+      small.evaluate('1'); // hit, marks "1" as most recently used
+      small.evaluate('3'); // evicts "2"
+      expect(parses).toBe(3);
+      small.evaluate('1');
+      expect(parses).toBe(3);
+      small.evaluate('2');
+      expect(parses).toBe(4);
+    });
+
+    it('can be disabled with a cacheSize of 0', () => {
+      const uncached = new FormulaEvaluator({}, { cacheSize: 0 });
+      let parses = 0;
+      const originalParse = uncached.parse.bind(uncached);
+      uncached.parse = (tokens) => { parses++; return originalParse(tokens); };
+
+      uncached.evaluate('1 + 1');
+      uncached.evaluate('1 + 1');
+      expect(parses).toBe(2);
+    });
+
+    it('does not cache formulas that fail to parse', () => {
+      expect(() => evaluator.evaluate('(1')).toThrow('Missing closing parenthesis');
+      expect(() => evaluator.evaluate('(1')).toThrow('Missing closing parenthesis');
+    });
+  });
+
+  // --- registerOperator ---
+  describe('registerOperator', () => {
+    it('adds a binary operator', () => {
+      evaluator.registerOperator('~=', { precedence: 30, fn: (a, b) => Math.abs(a - b) < 0.01 });
+      expect(evaluator.evaluate('a ~= b', { a: 1.001, b: 1 })).toBe(true);
+      expect(evaluator.evaluate('a ~= b', { a: 1.1, b: 1 })).toBe(false);
+    });
+
+    it('passes thunks to lazy operators', () => {
+      evaluator.registerOperator('??', { precedence: 15, lazy: true, fn: (a, b) => a() ?? b() });
+      expect(evaluator.evaluate('a ?? missing', { a: 1 })).toBe(1);
+      expect(evaluator.evaluate('a ?? 2', { a: null })).toBe(2);
+    });
+
+    it('returns the evaluator for chaining', () => {
+      expect(evaluator.registerOperator('<>', { precedence: 30, fn: (a, b) => a !== b })).toBe(evaluator);
+    });
+
+    it('parses operators by precedence', () => {
+      evaluator.registerOperator('..', { precedence: 55, fn: (a, b) => Array.from({ length: b - a + 1 }, (_, i) => a + i) });
+      expect(evaluator.evaluate('1..4')).toEqual([1, 2, 3, 4]);
+      expect(evaluator.evaluate('1 + 1..2 * 2')).toEqual([2, 3, 4]);
+      expect(evaluator.evaluate('sum(1..n)', { n: 10 })).toBe(55);
+      expect(evaluator.evaluate('3 in 1..5')).toBe(true);
+    });
+
+    it('tokenizes longer symbols before the built-in ones they start with', () => {
+      evaluator.registerOperator('<>', { precedence: 30, fn: (a, b) => a !== b });
+      expect(evaluator.tokenize('a<>b').map(t => t.value)).toEqual(['a', '<>', 'b']);
+      expect(evaluator.evaluate('3 <> 4')).toBe(true);
+      expect(evaluator.evaluate('3 < 4')).toBe(true);
+    });
+
+    it('does not break member access when a symbol contains dots', () => {
+      evaluator.registerOperator('..', { precedence: 55, fn: (a, b) => [a, b] });
+      expect(evaluator.evaluate('o.x..o.y', { o: { x: 1, y: 2 } })).toEqual([1, 2]);
+    });
+
+    it('groups left-associative operators from the left', () => {
+      evaluator.registerOperator('@', { precedence: 60, fn: (a, b) => `(${a}@${b})` });
+      expect(evaluator.evaluate('1 @ 2 @ 3')).toBe('((1@2)@3)');
+    });
+
+    it('groups right-associative operators from the right', () => {
+      evaluator.registerOperator('@', { precedence: 60, associativity: 'right', fn: (a, b) => `(${a}@${b})` });
+      expect(evaluator.evaluate('1 @ 2 @ 3')).toBe('(1@(2@3))');
+    });
+
+    it('adds word operators', () => {
+      evaluator.registerOperator('mod', { precedence: 70, fn: (a, b) => ((a % b) + b) % b });
+      expect(evaluator.evaluate('-7 mod 3 + 1')).toBe(3);
+      expect(() => evaluator.evaluate('mod + 1', { mod: 1 })).toThrow('Unexpected token: mod');
+    });
+
+    it('adds prefix operators', () => {
+      evaluator.registerOperator('√', { precedence: 90, arity: 'prefix', fn: (a) => Math.sqrt(a) });
+      expect(evaluator.evaluate('√16 + 1')).toBe(5);
+      expect(evaluator.evaluate('√(8 + 8)')).toBe(4);
+    });
+
+    it('applies prefix operators to everything that binds more tightly', () => {
+      evaluator.registerOperator('not', { precedence: 25, arity: 'prefix', fn: (a) => !a });
+      expect(evaluator.evaluate('not 1 == 2')).toBe(true);
+      expect(evaluator.evaluate('not true && false')).toBe(false);
+    });
+
+    it('parses to functions named after the symbol', () => {
+      evaluator.registerOperator('~=', { precedence: 30, fn: () => true });
+      evaluator.registerOperator('√', { precedence: 90, arity: 'prefix', fn: Math.sqrt });
+      const ast = evaluator.parse(evaluator.tokenize('√a ~= b'));
+      expect(ast.name).toBe('__op_~=');
+      expect(ast.args[0].name).toBe('__prefix_√');
+    });
+
+    it('can have its function replaced with registerFunction', () => {
+      evaluator.registerOperator('~=', { precedence: 30, fn: () => true });
+      evaluator.registerFunction('__op_~=', () => false);
+      expect(evaluator.evaluate('1 ~= 1')).toBe(false);
+    });
+
+    it('names the operator in errors', () => {
+      evaluator.registerOperator('~=', { precedence: 30, fn: () => true });
+      evaluator.registerFunction('__op_~=', (a, b) => a === b, { params: [{ name: 'left', type: 'number' }, { name: 'right', type: 'number' }] });
+      expect(() => evaluator.evaluate('"a" ~= 1')).toThrow('Operator "~=" expects argument 1 ("left") to be a number, got string');
+    });
+
+    it('is covered by getDependencies()', () => {
+      evaluator.registerOperator('~=', { precedence: 30, fn: () => true });
+      expect(evaluator.getDependencies('a ~= b')).toEqual(['a', 'b']);
+    });
+
+    it('does not affect other evaluators', () => {
+      const other = new FormulaEvaluator();
+      evaluator.registerOperator('..', { precedence: 55, fn: (a, b) => [a, b] });
+      evaluator.registerOperator('mod', { precedence: 70, fn: (a, b) => a % b });
+      expect(evaluator.evaluate('1..2')).toEqual([1, 2]);
+      expect(() => other.evaluate('1..2')).toThrow(FormulaSyntaxError);
+      expect(other.evaluate('mod', { mod: 3 })).toBe(3);
+    });
+
+    it('re-parses cached formulas', () => {
+      expect(evaluator.evaluate('mod', { mod: 3 })).toBe(3);
+      evaluator.registerOperator('mod', { precedence: 70, fn: (a, b) => a % b });
+      expect(() => evaluator.evaluate('mod', { mod: 3 })).toThrow(FormulaSyntaxError);
+    });
+
+    it('rejects built-in and reserved symbols', () => {
+      const fn = () => null;
+      expect(() => evaluator.registerOperator('+', { precedence: 60, fn })).toThrow(
+        'Operator "+" is built in; override its function "__add" with registerFunction instead',
+      );
+      expect(() => evaluator.registerOperator('in', { precedence: 40, fn })).toThrow('Operator "in" is built in');
+      expect(() => evaluator.registerOperator('?', { precedence: 1, fn })).toThrow('"?" is reserved');
+      expect(() => evaluator.registerOperator('null', { precedence: 1, fn })).toThrow('"null" is reserved');
+    });
+
+    it('rejects invalid symbols and options', () => {
+      const fn = () => null;
+      expect(() => evaluator.registerOperator('(', { precedence: 1, fn })).toThrow('Invalid operator symbol "("');
+      expect(() => evaluator.registerOperator('.', { precedence: 1, fn })).toThrow('Invalid operator symbol "."');
+      expect(() => evaluator.registerOperator('a b', { precedence: 1, fn })).toThrow('Invalid operator symbol');
+      expect(() => evaluator.registerOperator('~', { precedence: 0, fn })).toThrow('Operator precedence must be a positive integer');
+      expect(() => evaluator.registerOperator('~', { precedence: 1.5, fn })).toThrow('Operator precedence must be a positive integer');
+      expect(() => evaluator.registerOperator('~', { precedence: 1, arity: 'postfix', fn })).toThrow('Operator arity must be "binary" or "prefix"');
+      expect(() => evaluator.registerOperator('~', { precedence: 1, associativity: 'none', fn })).toThrow('Operator associativity must be "left" or "right"');
+      expect(() => evaluator.registerOperator('~', { precedence: 1 })).toThrow('Function implementation must be a function');
+    });
+  });
+
+  // --- registerFunction ---
+  describe('registerFunction', () => {
+    it('registers and evaluates a custom function', () => {
+      evaluator.registerFunction('double', (x) => x * 2);
+      expect(evaluator.evaluate('double(5)')).toBe(10);
+    });
+
+    it('supports chaining', () => {
+      evaluator
+        .registerFunction('double', (x) => x * 2)
+        .registerFunction('inc', (x) => x + 1);
+      expect(evaluator.evaluate('inc(double(3))')).toBe(7);
+    });
+
+    it('custom functions work with variables', () => {
+      evaluator.registerFunction('double', (x) => x * 2);
+      expect(evaluator.evaluate('double(n)', { n: 4 })).toBe(8);
+    });
+
+    it('custom functions work with operators', () => {
+      evaluator.registerFunction('double', (x) => x * 2);
+      expect(evaluator.evaluate('double(3) + 1')).toBe(7);
+    });
+
+    it('can override a built-in function', () => {
+      evaluator.registerFunction('sum', (a, b) => a + b + 100);
+      expect(evaluator.evaluate('sum(1, 2)')).toBe(103);
+    });
+
+    it('passes thunks to lazy functions', () => {
+      evaluator.registerFunction('unless', (cond, value) => (cond() ? null : value()), { lazy: true });
+      expect(evaluator.evaluate('unless(true, missing)')).toBeNull();
+      expect(evaluator.evaluate('unless(false, 1 + 2)')).toBe(3);
+    });
+
+    it('type checks lazy arguments when they are evaluated', () => {
+      const seen = [];
+      evaluator.registerFunction('firstnumber', (...args) => {
+        for (const arg of args) seen.push(arg());
+        return seen[0];
+      }, { lazy: true, params: [{ name: 'values', type: 'number', variadic: true }] });
+      expect(() => evaluator.evaluate('firstnumber(1, "two")')).toThrow(
+        'Function "firstnumber" expects argument 2 ("values") to be a number, got string',
+      );
+      expect(seen).toEqual([1]);
+    });
+
+    it('lazy functions can catch errors from their arguments', () => {
+      evaluator.registerFunction('attempt', (value) => {
+        try {
+          return value();
+        } catch (err) {
+          return err.message;
+        }
+      }, { lazy: true });
+      expect(evaluator.evaluate('attempt(missing)')).toBe('Variable "missing" not found');
+    });
+
+    it('marks lazy functions in describeFunctions()', () => {
+      evaluator.registerFunction('unless', (cond, value) => (cond() ? null : value()), { lazy: true });
+      expect(evaluator.describeFunctions().find(d => d.name === 'unless')).toEqual({
+        name: 'unless', description: '', lazy: true,
+      });
+      expect(evaluator.describeFunctions().find(d => d.name === 'if').lazy).toBe(true);
+    });
+
+    it('accepts an optional description', () => {
+      evaluator.registerFunction('double', (x) => x * 2, 'Doubles a number');
+      const described = evaluator.describeFunctions();
+      const entry = described.find(d => d.name === 'double');
+      expect(entry).toEqual({ name: 'double', description: 'Doubles a number' });
+    });
+
+    it('defaults description to empty string', () => {
+      evaluator.registerFunction('double', (x) => x * 2);
+      const described = evaluator.describeFunctions();
+      const entry = described.find(d => d.name === 'double');
+      expect(entry).toEqual({ name: 'double', description: '' });
+    });
+
+    it('throws if name is not a string', () => {
+      expect(() => evaluator.registerFunction(123, () => {})).toThrow(
+        'Function name must be a non-empty string'
+      );
+    });
+
+    it('throws if name is empty', () => {
+      expect(() => evaluator.registerFunction('', () => {})).toThrow(
+        'Function name must be a non-empty string'
+      );
+    });
+
+    it('throws if fn is not a function', () => {
       expect(() => evaluator.registerFunction('bad', 'not a fn')).toThrow(
         'Function implementation must be a function'
       );
@@ -943,6 +3039,108 @@ describe('FormulaEvaluator', () => {
     });
   });
 
+  // --- Function signatures ---
+  describe('function signatures', () => {
+    it('rejects calls to built-ins with too few arguments', () => {
+      const err = catchError(() => evaluator.evaluate('round(1)'));
+      expect(err).toBeInstanceOf(FormulaSyntaxError);
+      expect(err).toMatchObject({ code: 'too-few-arguments', start: 0, end: 8 });
+      expect(err.message).toBe('Function "round" expects at least 2 arguments, got 1');
+      expect(() => evaluator.evaluate('clamp(5)')).toThrow('Function "clamp" expects at least 3 arguments, got 1');
+    });
+
+    it('rejects calls to built-ins with too many arguments', () => {
+      const err = catchError(() => evaluator.evaluate('abs(1, 2)'));
+      expect(err).toMatchObject({ code: 'too-many-arguments' });
+      expect(err.message).toBe('Function "abs" expects at most 1 argument, got 2');
+    });
+
+    it('rejects wrong argument counts at parse time', () => {
+      expect(() => evaluator.parse(evaluator.tokenize('round(1)'))).toThrow('expects at least 2 arguments');
+    });
+
+    it('allows omitting optional parameters', () => {
+      expect(evaluator.evaluate('if(false, 1)')).toBeUndefined();
+    });
+
+    it('accepts any number of variadic arguments', () => {
+      expect(evaluator.evaluate('sum()')).toBe(0);
+      expect(evaluator.evaluate('sum(1, 2, 3, 4, 5)')).toBe(15);
+    });
+
+    it('rejects arguments of the wrong type at evaluation time', () => {
+      const err = catchError(() => evaluator.evaluate('abs(x)', { x: 'ten' }));
+      expect(err).toBeInstanceOf(FormulaEvaluationError);
+      expect(err).toMatchObject({ code: 'invalid-argument-type', start: 0, end: 6 });
+      expect(err.message).toBe('Function "abs" expects argument 1 ("value") to be a number, got string');
+    });
+
+    it('checks the type of every variadic argument', () => {
+      expect(() => evaluator.evaluate('max(1, 2, "3")')).toThrow(
+        'Function "max" expects argument 3 ("values") to be a number or list, got string'
+      );
+    });
+
+    it('names the operator in type errors from operators', () => {
+      expect(() => evaluator.evaluate('"a" * 2')).toThrow('Operator "*" expects argument 1 ("left") to be a number, got string');
+      expect(() => evaluator.evaluate('-x', { x: null })).toThrow('Operator "-" expects argument 1 ("value") to be a number, got null');
+    });
+
+    it('does not check functions without declared parameters', () => {
+      evaluator.registerFunction('first', (a) => a);
+      expect(evaluator.evaluate('first(1, 2, 3)')).toBe(1);
+      expect(evaluator.evaluate('first()')).toBeUndefined();
+    });
+
+    it('checks custom functions that declare parameters', () => {
+      evaluator.registerFunction('double', (x) => x * 2, {
+        description: 'Doubles a number',
+        params: [{ name: 'x', type: 'number' }],
+        returns: 'number',
+      });
+      expect(evaluator.evaluate('double(4)')).toBe(8);
+      expect(() => evaluator.evaluate('double()')).toThrow('Function "double" expects at least 1 argument, got 0');
+      expect(() => evaluator.evaluate('double("4")')).toThrow('expects argument 1 ("x") to be a number, got string');
+    });
+
+    it('re-checks cached formulas after a function is redefined', () => {
+      evaluator.registerFunction('pair', (a, b) => [a, b]);
+      expect(evaluator.evaluate('pair(1)')).toEqual([1, undefined]);
+      evaluator.registerFunction('pair', (a, b) => [a, b], { params: [{ name: 'a' }, { name: 'b' }] });
+      expect(() => evaluator.evaluate('pair(1)')).toThrow('expects at least 2 arguments');
+    });
+
+    it('accepts null for parameters of type null', () => {
+      evaluator.registerFunction('nothing', () => 'ok', { params: [{ name: 'value', type: 'null' }] });
+      expect(evaluator.evaluate('nothing(null)')).toBe('ok');
+      expect(() => evaluator.evaluate('nothing(1)')).toThrow('to be null, got number');
+    });
+
+    it('reports argument count problems from validate()', () => {
+      const codes = evaluator.validate('round(1) + abs(1, 2)').map(d => d.code);
+      expect(codes).toEqual(['too-few-arguments', 'too-many-arguments']);
+    });
+
+    it('exposes signatures through describeFunctions()', () => {
+      const round = evaluator.describeFunctions().find(d => d.name === 'round');
+      expect(round).toEqual({
+        name: 'round',
+        description: 'Rounds a number to a specific decimal precision',
+        params: [{ name: 'value', type: 'number' }, { name: 'digits', type: 'number' }],
+        returns: 'number',
+        signature: 'round(value: number, digits: number): number',
+      });
+      const ifEntry = evaluator.describeFunctions().find(d => d.name === 'if');
+      expect(ifEntry.signature).toBe('if(condition, then, else?)');
+    });
+
+    it('every public built-in declares its parameters', () => {
+      for (const { name, params } of evaluator.describeFunctions()) {
+        expect(params, name).toBeDefined();
+      }
+    });
+  });
+
   // --- listFunctions ---
   describe('listFunctions', () => {
     it('includes built-in public functions', () => {
@@ -985,7 +3183,13 @@ describe('FormulaEvaluator', () => {
     it('returns names and descriptions for built-in functions', () => {
       const described = evaluator.describeFunctions();
       const sumEntry = described.find(d => d.name === 'sum');
-      expect(sumEntry).toEqual({ name: 'sum', description: 'Sums all arguments numerically' });
+      expect(sumEntry).toEqual({
+        name: 'sum',
+        description: 'Sums all arguments numerically',
+        params: [{ name: 'values', type: ['number', 'list'], variadic: true }],
+        returns: 'number',
+        signature: 'sum(...values: number | list): number',
+      });
     });
 
     it('excludes internal operator functions', () => {
@@ -1130,7 +3334,13 @@ describe('functions module', () => {
       const registry = createFunctionRegistry();
       const described = registry.describe();
       const sumEntry = described.find(d => d.name === 'sum');
-      expect(sumEntry).toEqual({ name: 'sum', description: 'Sums all arguments numerically' });
+      expect(sumEntry).toEqual({
+        name: 'sum',
+        description: 'Sums all arguments numerically',
+        params: [{ name: 'values', type: ['number', 'list'], variadic: true }],
+        returns: 'number',
+        signature: 'sum(...values: number | list): number',
+      });
       // Should not include operators
       const names = described.map(d => d.name);
       expect(names).not.toContain('__add');
@@ -1156,6 +3366,43 @@ describe('functions module', () => {
       expect(registry.has('sum')).toBe(true);
     });
 
+    it('getDefinition returns the full function definition', () => {
+      const registry = createFunctionRegistry();
+      registry.register('triple', (x) => x * 3, { description: 'Triples', params: [{ name: 'x', type: 'number' }], returns: 'number' });
+      expect(registry.getDefinition('TRIPLE')).toMatchObject({
+        description: 'Triples',
+        params: [{ name: 'x', type: 'number' }],
+        returns: 'number',
+      });
+      expect(registry.getDefinition('nonexistent')).toBeUndefined();
+    });
+
+    it('register validates declared parameters', () => {
+      const registry = createFunctionRegistry();
+      const fn = () => {};
+      expect(() => registry.register('f', fn, { params: [{ name: '' }] })).toThrow(
+        'Function parameter name must be a non-empty string'
+      );
+      expect(() => registry.register('f', fn, { params: [{ name: 'a', type: 'widget' }] })).toThrow(
+        'Unknown type "widget" for parameter "a"'
+      );
+      expect(() => registry.register('f', fn, { params: [{ name: 'a', variadic: true }, { name: 'b' }] })).toThrow(
+        'Variadic parameter "a" must be the last parameter'
+      );
+      expect(() => registry.register('f', fn, { params: [{ name: 'a', optional: true }, { name: 'b' }] })).toThrow(
+        'Required parameter "b" cannot follow an optional parameter'
+      );
+      expect(() => registry.register('f', fn, { returns: 'widget' })).toThrow('Unknown return type "widget"');
+    });
+
+    it('accepts initial functions with signatures', () => {
+      const registry = createFunctionRegistry({
+        double: { fn: (x) => x * 2, description: 'Doubles', params: [{ name: 'x', type: 'number' }] },
+      });
+      const entry = registry.describe().find(d => d.name === 'double');
+      expect(entry.signature).toBe('double(x: number)');
+    });
+
     it('each registry instance is independent', () => {
       const a = createFunctionRegistry();
       const b = createFunctionRegistry();
@@ -0,0 +1,218 @@
+import { describe, it, expect } from 'vitest';
+import FormulaEvaluator, {
+  FormulaError,
+  FormulaLimitError,
+  FormulaLengthError,
+  FormulaDepthError,
+  FormulaCallLimitError,
+  FormulaSizeError,
+  FormulaTimeoutError,
+} from '../src/index.ts';
+import { catchError } from './helpers.js';
+
+const busyWait = (ms) => {
+  const end = Date.now() + ms;
+  while (Date.now() < end);
+};
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('resource limits', () => {
+  it('are all off by default', () => {
+    const evaluator = new FormulaEvaluator();
+    const deep = `${'('.repeat(500)}1${')'.repeat(500)}`;
+    expect(evaluator.evaluate(deep)).toBe(1);
+    expect(evaluator.evaluate('len(repeat("x", 100000))')).toBe(100000);
+  });
+
+  it('rejects invalid limits', () => {
+    expect(() => new FormulaEvaluator({}, { limits: { maxDepth: 0 } })).toThrow('limits.maxDepth must be a positive integer');
+    expect(() => new FormulaEvaluator({}, { limits: { maxCalls: 1.5 } })).toThrow('limits.maxCalls must be a positive integer');
+    expect(() => new FormulaEvaluator({}, { limits: { timeout: -1 } })).toThrow('limits.timeout must be a positive number');
+  });
+
+  describe('maxLength', () => {
+    const evaluator = new FormulaEvaluator({}, { limits: { maxLength: 10 } });
+
+    it('accepts formulas up to the limit', () => {
+      expect(evaluator.evaluate('1 + 2 + 30')).toBe(33);
+    });
+
+    it('rejects longer formulas with a FormulaLengthError', () => {
+      const err = catchError(() => evaluator.evaluate('1 + 2 + 3 + 4'));
+      expect(err).toBeInstanceOf(FormulaLengthError);
+      expect(err).toBeInstanceOf(FormulaLimitError);
+      expect(err).toBeInstanceOf(FormulaError);
+      expect(err.code).toBe('formula-too-long');
+      expect(err.limit).toBe(10);
+      expect(err.message).toBe('Formula is 13 characters long, more than the limit of 10');
+      expect(err.source).toBeUndefined();
+    });
+
+    it('is reported by validate() as a diagnostic', () => {
+      expect(evaluator.validate('a + b + c + d')).toEqual([{
+        severity: 'error',
+        code: 'formula-too-long',
+        message: 'Formula is 13 characters long, more than the limit of 10',
+        start: 10,
+        end: 13,
+        line: 1,
+        column: 11,
+      }]);
+    });
+
+    it('applies to every other method that reads a formula', () => {
+      const long = 'a + b + c + d';
+      expect(() => evaluator.tokenize(long)).toThrow(FormulaLengthError);
+      expect(() => evaluator.compile(long)).toThrow(FormulaLengthError);
+      expect(() => evaluator.getDependencies(long)).toThrow(FormulaLengthError);
+      return expect(evaluator.evaluateAsync(long)).rejects.toThrow(FormulaLengthError);
+    });
+  });
+
+  describe('maxDepth', () => {
+    const evaluator = new FormulaEvaluator({}, { limits: { maxDepth: 5 } });
+
+    it('accepts formulas nested up to the limit', () => {
+      expect(evaluator.evaluate('abs(abs(abs(-1)))')).toBe(1);
+      expect(evaluator.evaluate('((((1))))')).toBe(1);
+    });
+
+    it('rejects deeper nesting with a FormulaDepthError', () => {
+      const err = catchError(() => evaluator.evaluate('abs(abs(abs(abs(-1))))'));
+      expect(err).toBeInstanceOf(FormulaDepthError);
+      expect(err).toBeInstanceOf(FormulaLimitError);
+      expect(err.code).toBe('too-deeply-nested');
+      expect(err.limit).toBe(5);
+      expect(err.message).toBe('Formula is nested more than 5 levels deep');
+    });
+
+    it('counts brackets, lists and prefix operators', () => {
+      expect(() => evaluator.evaluate('(((((1)))))')).toThrow(FormulaDepthError);
+      expect(() => evaluator.evaluate('[[[[[1]]]]]')).toThrow(FormulaDepthError);
+      expect(() => evaluator.evaluate('------1')).toThrow(FormulaDepthError);
+    });
+
+    it('counts chains of operators', () => {
+      expect(evaluator.evaluate('1 + 1 + 1 + 1')).toBe(4);
+      const err = catchError(() => evaluator.evaluate('1 + 1 + 1 + 1 + 1 + 1'));
+      expect(err).toBeInstanceOf(FormulaDepthError);
+      expect(err.start).toBe(0);
+    });
+
+    it('stops formulas too deep for the stack before they overflow it', () => {
+      const limited = new FormulaEvaluator({}, { limits: { maxDepth: 100 } });
+      expect(() => limited.evaluate(`${'('.repeat(100000)}1${')'.repeat(100000)}`)).toThrow(FormulaDepthError);
+      expect(() => limited.evaluate(Array(100000).fill('1').join('+'))).toThrow(FormulaDepthError);
+      expect(limited.validate(`${'-'.repeat(100000)}1`)).toMatchObject([{ code: 'too-deeply-nested', start: 100 }]);
+    });
+
+    it('is reported by validate() as a diagnostic', () => {
+      const limited = new FormulaEvaluator({}, { limits: { maxDepth: 3 } });
+      expect(limited.validate('((((1))))')).toEqual([{
+        severity: 'error',
+        code: 'too-deeply-nested',
+        message: 'Formula is nested more than 3 levels deep',
+        start: 3,
+        end: 4,
+        line: 1,
+        column: 4,
+      }]);
+    });
+
+    it('points at the place the limit was passed', () => {
+      const err = catchError(() => evaluator.evaluate('1 + (((((2)))))'));
+      expect(err.start).toBe(8);
+      expect(err.snippet).toBe('1 + (((((2)))))\n        ^');
+    });
+  });
+
+  describe('maxCalls', () => {
+    const evaluator = new FormulaEvaluator({}, { limits: { maxCalls: 10 } });
+
+    it('counts function and operator calls', () => {
+      expect(evaluator.evaluate('sum(1, 2) + 3 * 4')).toBe(15);
+      const err = catchError(() => evaluator.evaluate(Array(12).fill('1').join(' + ')));
+      expect(err).toBeInstanceOf(FormulaCallLimitError);
+      expect(err.code).toBe('too-many-calls');
+      expect(err.limit).toBe(10);
+      expect(err.message).toBe('Evaluation made more than 10 function calls');
+    });
+
+    it('counts calls made inside lambdas', () => {
+      expect(() => evaluator.evaluate('map(xs, x => x * 2 + 1)', { xs: [1, 2, 3, 4, 5] })).toThrow(FormulaCallLimitError);
+    });
+
+    it('gives each evaluation its own budget', () => {
+      const compiled = evaluator.compile('1 + 2 + 3 + 4 + 5');
+      expect(compiled.evaluate()).toBe(15);
+      expect(compiled.evaluate()).toBe(15);
+    });
+
+    it('cannot be caught by iferr()', () => {
+      expect(() => evaluator.evaluate('iferr(map(xs, x => x * 2 + 1), 0)', { xs: [1, 2, 3, 4, 5] }))
+        .toThrow(FormulaCallLimitError);
+    });
+  });
+
+  describe('maxResultSize', () => {
+    const evaluator = new FormulaEvaluator({}, { limits: { maxResultSize: 5 } });
+
+    it('rejects strings produced by functions and operators', () => {
+      expect(evaluator.evaluate('repeat("ab", 2)')).toBe('abab');
+      const err = catchError(() => evaluator.evaluate('repeat("ab", 3)'));
+      expect(err).toBeInstanceOf(FormulaSizeError);
+      expect(err.code).toBe('result-too-large');
+      expect(err.limit).toBe(5);
+      expect(err.message).toBe('Function "repeat" produced a string of length 6, more than the limit of 5');
+      expect(() => evaluator.evaluate('"abc" & "def"')).toThrow('Operator "&" produced a string of length 6');
+    });
+
+    it('rejects long strings before they are built', () => {
+      // Building either string would fail with a RangeError, as it is longer than a string can be
+      const err = catchError(() => evaluator.evaluate('repeat("abcdefgh", 1000000000)'));
+      expect(err).toBeInstanceOf(FormulaSizeError);
+      expect(err.message).toBe('Function "repeat" produced a string of length 8000000000, more than the limit of 5');
+      expect(() => evaluator.evaluate('padstart("", 10000000000)'))
+        .toThrow('Function "padstart" produced a string of length 10000000000, more than the limit of 5');
+      expect(evaluator.evaluate('padstart("abc", 10000000000, "")')).toBe('abc');
+      expect(() => evaluator.evaluate('repeat("ab", 2.5)')).toThrow('repeat() expects a whole number of repetitions');
+    });
+
+    it('rejects lists', () => {
+      expect(() => evaluator.evaluate('split("a,b,c,d,e,f", ",")')).toThrow(FormulaSizeError);
+      expect(() => evaluator.evaluate('[1, 2, 3, 4, 5, 6]')).toThrow('List literal produced a list of length 6');
+    });
+
+    it('does not apply to values from the context', () => {
+      expect(evaluator.evaluate('len(s)', { s: 'a long string' })).toBe(13);
+    });
+  });
+
+  describe('timeout', () => {
+    it('stops a synchronous evaluation between calls', () => {
+      const evaluator = new FormulaEvaluator({}, { limits: { timeout: 10 } })
+        .registerFunction('slow', () => { busyWait(15); return 1; });
+      const err = catchError(() => evaluator.evaluate('slow() + slow()'));
+      expect(err).toBeInstanceOf(FormulaTimeoutError);
+      expect(err.code).toBe('timeout');
+      expect(err.limit).toBe(10);
+      expect(err.message).toBe('Evaluation took longer than 10 ms');
+    });
+
+    it('abandons an asynchronous evaluation when the time runs out', async () => {
+      const evaluator = new FormulaEvaluator({}, { limits: { timeout: 10 } })
+        .registerFunction('slow', async () => delay(200, 1));
+      const started = Date.now();
+      await expect(evaluator.evaluateAsync('slow() + 1')).rejects.toThrow(FormulaTimeoutError);
+      expect(Date.now() - started).toBeLessThan(150);
+    });
+
+    it('lets evaluations that finish in time succeed', async () => {
+      const evaluator = new FormulaEvaluator({}, { limits: { timeout: 1000 } })
+        .registerFunction('quick', async () => delay(1, 2));
+      await expect(evaluator.evaluateAsync('quick() * 3')).resolves.toBe(6);
+      expect(evaluator.evaluate('1 + 2')).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import FormulaEvaluator from '../src/index.ts';
+
+describe('partialEvaluate', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator();
+  });
+
+  const residual = (formula, known, options) => evaluator.partialEvaluate(formula, known, options).formula;
+
+  it('replaces known variables and folds constants', () => {
+    const result = evaluator.partialEvaluate('price * (1 + taxRate) + round(2.345, 2)', { taxRate: 0.25 });
+    expect(result.formula).toBe('price * 1.25 + 2.35');
+    expect(result.dependencies).toEqual(['price']);
+    expect(result.ast).toMatchObject({
+      type: 'function',
+      name: '__add',
+      args: [{ name: '__mul', args: [{ type: 'variable', name: 'price' }, 1.25] }, 2.35],
+    });
+  });
+
+  it('evaluates a formula completely when every variable is known', () => {
+    const result = evaluator.partialEvaluate('upper(region) & "-" & len(code)', { region: 'eu', code: 'abc' });
+    expect(result).toEqual({ ast: 'EU-3', formula: '"EU-3"', dependencies: [] });
+  });
+
+  it('gives a residual formula with the same value as the original', () => {
+    const formula = 'if(region == "EU", price * (1 + vat), price) + shipping(weight)';
+    evaluator.registerFunction('shipping', (w) => w * 2);
+    const known = { region: 'EU', vat: 0.2 };
+    const rest = { price: 10, weight: 3 };
+    const { formula: simplified } = evaluator.partialEvaluate(formula, known);
+    expect(simplified).toBe('price * 1.2 + shipping(weight)');
+    expect(evaluator.evaluate(simplified, rest)).toBe(evaluator.evaluate(formula, { ...known, ...rest }));
+  });
+
+  describe('pruning branches', () => {
+    it.each([
+      ['if(isMember, price * 0.9, price)', { isMember: true }, 'price * 0.9'],
+      ['if(isMember, price * 0.9, price)', { isMember: 0 }, 'price'],
+      ['if(isMember, discount)', { isMember: false }, 'if(false, discount)'],
+      ['isMember ? a : b', { isMember: 'yes' }, 'a'],
+      ['if(isMember, a, b)', {}, 'if(isMember, a, b)'],
+      ['if(x > 1, a, b)', { a: 1, b: 2 }, 'if(x > 1, 1, 2)'],
+      ['ifs(tier == 1, a, tier == 2, b, c)', { tier: 2 }, 'b'],
+      ['ifs(tier == 1, a, tier == 2, b, c)', { tier: 3 }, 'c'],
+      ['ifs(tier == 1, a, tier == 2, b)', { tier: 3 }, 'null'],
+      ['ifs(x, a, tier == 2, b, c)', { tier: 2 }, 'ifs(x, a, b)'],
+      ['ifs(tier == 1, a, x, b, c)', { tier: 2 }, 'ifs(x, b, c)'],
+      ['enabled && x > 1', { enabled: true }, 'x > 1'],
+      ['enabled && x > 1', { enabled: false }, 'false'],
+      ['fallback || x', { fallback: 'none' }, '"none"'],
+      ['fallback || x', { fallback: '' }, 'x'],
+    ])('simplifies %s', (formula, known, expected) => {
+      expect(residual(formula, known)).toBe(expected);
+    });
+
+    it('does not evaluate the branches it drops', () => {
+      const audit = vi.fn(() => 1);
+      evaluator.registerFunction('audit', audit);
+      expect(residual('if(debug, audit(x), 0) + y', { debug: false })).toBe('0 + y');
+      expect(audit).not.toHaveBeenCalled();
+    });
+
+    it('leaves functions registered over the built-in ones alone', () => {
+      evaluator.registerFunction('if', (cond, a) => a);
+      expect(residual('if(flag, a, b)', { flag: false })).toBe('if(false, a, b)');
+    });
+  });
+
+  it('inlines constant let() bindings', () => {
+    expect(residual('let(rate, base * 2, rate * x)', { base: 0.5 })).toBe('1 * x');
+    expect(residual('let(a, x + 1, b, n * 2, a * b)', { n: 3 })).toBe('let(a, x + 1, a * 6)');
+    expect(residual('let(n, x, n + 1)', { n: 100 })).toBe('let(n, x, n + 1)');
+  });
+
+  it('does not replace names bound by lambdas', () => {
+    expect(residual('map(xs, x => x * rate)', { x: 5, rate: 2 })).toBe('map(xs, x => x * 2)');
+    expect(residual('map(xs, x => x * rate)', { xs: [1, 2], rate: 2 })).toBe('[2, 4]');
+  });
+
+  it('folds member access into known objects', () => {
+    const result = evaluator.partialEvaluate('config.rates[region] * amount', { config: { rates: { eu: 0.2 } }, region: 'eu' });
+    expect(result.formula).toBe('0.2 * amount');
+    expect(result.dependencies).toEqual(['amount']);
+  });
+
+  it('leaves variables whose values cannot be written as literals', () => {
+    expect(residual('order', { order: { id: 1 } })).toBe('order');
+    expect(residual('when', { when: new Date(0) })).toBe('when');
+    expect(residual('[a, n]', { a: [1, 'two', [null]] })).toBe('[[1, "two", [null]], n]');
+  });
+
+  it('leaves calls that fail for evaluation to report', () => {
+    expect(residual('round(name, 2) + x', { name: 'abc' })).toBe('round("abc", 2) + x');
+    expect(residual('missing(1)', {})).toBe('missing(1)');
+    expect(() => evaluator.evaluate(residual('round(name, 2) + x', { name: 'abc' }), { x: 1 })).toThrow('number');
+  });
+
+  it('only treats the known context as known', () => {
+    const withGlobals = new FormulaEvaluator({ rate: 2 });
+    expect(withGlobals.partialEvaluate('rate * n', { n: 3 }).formula).toBe('rate * 3');
+  });
+
+  it('reads known variables from maps and resolvers', () => {
+    expect(residual('a + b', new Map([['a', 1]]))).toBe('1 + b');
+    const resolve = vi.fn((name) => (name === 'a' ? 1 : undefined));
+    expect(residual('b + a + a', resolve)).toBe('b + 1 + 1');
+    expect(resolve).toHaveBeenCalledTimes(2);
+    expect(residual('a + b', () => Promise.resolve(1))).toBe('a + b');
+  });
+
+  it('does not read inherited properties of the known context', () => {
+    expect(residual('constructor + 1', {})).toBe('constructor + 1');
+  });
+
+  describe('pureOnly', () => {
+    it('calls only functions marked pure', () => {
+      const log = vi.fn((value) => value);
+      evaluator.registerFunction('log', log);
+      evaluator.registerFunction('double', (x) => x * 2, { pure: true });
+      const result = evaluator.partialEvaluate('log(double(n)) + abs(m)', { n: 2, m: -1 }, { pureOnly: true });
+      expect(result.formula).toBe('log(4) + 1');
+      expect(log).not.toHaveBeenCalled();
+    });
+
+    it('calls every function without it', () => {
+      const log = vi.fn((value) => value);
+      evaluator.registerFunction('log', log);
+      expect(residual('log(n)', { n: 2 })).toBe('2');
+      expect(log).toHaveBeenCalledWith(2);
+    });
+
+    it('does not treat today() and now() as pure', () => {
+      expect(residual('year(today()) + n', { n: 1 }, { pureOnly: true })).toBe('year(today()) + 1');
+    });
+
+    it('applies to operators and to functions called from lambdas', () => {
+      evaluator.registerOperator('<>', { precedence: 30, fn: (a, b) => a !== b });
+      evaluator.registerOperator('~', { precedence: 30, fn: (a, b) => a === b, pure: true });
+      expect(residual('(a <> b) & (a ~ b)', { a: 1, b: 2 }, { pureOnly: true })).toBe('(1 <> 2) & false');
+      evaluator.registerFunction('track', (x) => x);
+      expect(residual('map(xs, x => track(x))', { xs: [1] }, { pureOnly: true })).toBe('map([1], x => track(x))');
+    });
+  });
+
+  it('keeps decimals that plain numbers can represent', () => {
+    const decimal = new FormulaEvaluator({}, { numeric: 'decimal' });
+    expect(decimal.partialEvaluate('0.1 + 0.2 + x', {}).formula).toBe('0.3 + x');
+    expect(decimal.partialEvaluate('1 / 3 + x', {}).formula).toBe('1 / 3 + x');
+  });
+});
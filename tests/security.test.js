@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import FormulaEvaluator, { createFunctionRegistry, FormulaEvaluationError, Workbook } from '../src/index.ts';
+import { catchError } from './helpers.js';
+
+// Names that a plain JavaScript object inherits. Those starting with an
+// underscore cannot be written as identifiers, but can still be reached as keys.
+const INHERITED_NAMES = [
+  'constructor',
+  'toString',
+  'valueOf',
+  'hasOwnProperty',
+  'isPrototypeOf',
+  'propertyIsEnumerable',
+  'toLocaleString',
+];
+const INHERITED_KEYS = [...INHERITED_NAMES, '__proto__', '__defineGetter__', '__lookupGetter__'];
+
+describe('security', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator({ rate: 2 });
+  });
+
+  describe('variables', () => {
+    it.each(INHERITED_NAMES)('does not resolve %s from the context prototype', (name) => {
+      const err = catchError(() => evaluator.evaluate(name));
+      expect(err).toBeInstanceOf(FormulaEvaluationError);
+      expect(err.code).toBe('unknown-variable');
+      expect(err.message).toBe(`Variable "${name}" not found`);
+    });
+
+    it.each(INHERITED_NAMES)('does not resolve %s from a local context or Map', (name) => {
+      expect(() => evaluator.evaluate(name, { x: 1 })).toThrow(`Variable "${name}" not found`);
+      expect(() => evaluator.evaluate(name, new Map([['x', 1]]))).toThrow(`Variable "${name}" not found`);
+    });
+
+    it('does not resolve inherited names from a global context with a custom prototype', () => {
+      const global = Object.create({ secret: 'inherited' });
+      global.visible = 'own';
+      const scoped = new FormulaEvaluator(global);
+      expect(scoped.evaluate('visible')).toBe('own');
+      expect(() => scoped.evaluate('secret')).toThrow('Variable "secret" not found');
+    });
+
+    it('does not resolve inherited names from a local context with a custom prototype', () => {
+      const local = Object.create({ secret: 'inherited' });
+      expect(() => evaluator.evaluate('secret', local)).toThrow('Variable "secret" not found');
+    });
+
+    it('does not resolve inherited names from a resolver that reads an object', () => {
+      const record = { x: 1 };
+      expect(() => evaluator.evaluate('constructor', (name) => (Object.hasOwn(record, name) ? record[name] : undefined)))
+        .toThrow('Variable "constructor" not found');
+    });
+
+    it('still resolves own properties with these names', () => {
+      expect(evaluator.evaluate('constructor', { constructor: 'mine' })).toBe('mine');
+      expect(evaluator.evaluate('toString + 1', { toString: 1 })).toBe(2);
+      expect(evaluator.evaluate('data["__proto__"]', { data: JSON.parse('{"__proto__": 5}') })).toBe(5);
+    });
+
+    it('does not accept identifiers that start with an underscore', () => {
+      expect(() => evaluator.evaluate('__proto__')).toThrow('Unexpected character at 0: _');
+    });
+
+    it('asks onMissingVariable about inherited names', () => {
+      expect(evaluator.evaluate('constructor', {}, { onMissingVariable: () => 'default' })).toBe('default');
+    });
+
+    it('lets let() and lambdas bind these names', () => {
+      expect(evaluator.evaluate('let(constructor, 1, constructor + 1)')).toBe(2);
+      expect(evaluator.evaluate('map([1, 2], valueOf => valueOf * rate)')).toEqual([2, 4]);
+    });
+
+    it('does not leak inherited names through iferr()', () => {
+      expect(evaluator.evaluate('iferr(constructor, "blocked")')).toBe('blocked');
+    });
+
+    it('does not pollute Object.prototype', () => {
+      evaluator.evaluate('let(hasOwnProperty, 1, hasOwnProperty)');
+      evaluator.evaluate('data["__proto__"].polluted', { data: JSON.parse('{"__proto__": {"polluted": true}}') });
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('functions', () => {
+    it.each(INHERITED_NAMES)('does not call %s from the registry prototype', (name) => {
+      const err = catchError(() => evaluator.evaluate(`${name}(1)`));
+      expect(err).toBeInstanceOf(FormulaEvaluationError);
+      expect(err.code).toBe('unknown-function');
+    });
+
+    it.each(INHERITED_KEYS)('does not expose %s through the registry', (name) => {
+      const registry = createFunctionRegistry();
+      expect(registry.has(name)).toBe(false);
+      expect(registry.get(name)).toBeUndefined();
+      expect(registry.getDefinition(name)).toBeUndefined();
+    });
+
+    it('reports inherited names as unknown functions in validate()', () => {
+      expect(evaluator.validate('constructor(1) + toString()').map(d => d.code))
+        .toEqual(['unknown-function', 'unknown-function']);
+    });
+
+    it('can register functions with these names without changing the registry', () => {
+      const registry = createFunctionRegistry();
+      registry.register('__proto__', () => 'registered');
+      expect(registry.get('__proto__')()).toBe('registered');
+      expect(registry.get('sum')(1, 2)).toBe(3);
+      expect(Object.keys(registry.getAll())).toContain('__proto__');
+
+      evaluator.registerFunction('constructor', () => 'also registered');
+      expect(evaluator.evaluate('constructor()')).toBe('also registered');
+      expect(evaluator.evaluate('sum(1, 2)')).toBe(3);
+    });
+
+    it('treats inherited names as not built in when unregistering', () => {
+      const registry = createFunctionRegistry();
+      expect(registry.unregister('constructor')).toBe(true);
+      expect(registry.has('sum')).toBe(true);
+    });
+  });
+
+  describe('member access', () => {
+    it.each(INHERITED_NAMES)('does not read %s from objects', (name) => {
+      expect(() => evaluator.evaluate(`obj.${name}`, { obj: { a: 1 } })).toThrow(`Property "${name}" not found in obj`);
+    });
+
+    it.each(INHERITED_KEYS)('does not read %s from objects by key', (name) => {
+      expect(() => evaluator.evaluate(`obj["${name}"]`, { obj: { a: 1 } })).toThrow(`Property "${name}" not found in obj`);
+    });
+
+    it('does not read inherited members of lists, strings or functions', () => {
+      expect(() => evaluator.evaluate('xs.constructor', { xs: [1] })).toThrow('Property "constructor" not found in xs');
+      expect(() => evaluator.evaluate('s.constructor', { s: 'text' })).toThrow('because it is a string');
+      expect(() => evaluator.evaluate('(x => x).constructor')).toThrow('because it is a function');
+    });
+
+    it('does not reach the Function constructor through chained access', () => {
+      expect(evaluator.evaluate('iferr(obj.constructor.constructor, "blocked")', { obj: {} })).toBe('blocked');
+    });
+  });
+
+  describe('type inference and workbooks', () => {
+    it('reports inherited names as unknown variables in inferType()', () => {
+      const { errors } = evaluator.inferType('constructor + 1');
+      expect(errors.map(e => e.code)).toEqual(['unknown-variable']);
+    });
+
+    it('reports inherited names as unknown variables in validate() with known variables', () => {
+      const diagnostics = evaluator.validate('toString + rate', { knownVariables: ['x'] });
+      expect(diagnostics.map(d => d.message)).toEqual(['Variable "toString" not found']);
+    });
+
+    it('does not resolve inherited names in workbook cells', () => {
+      const book = new Workbook(evaluator);
+      book.setFormula('a', 'constructor');
+      expect(() => book.get('a')).toThrow('Variable "constructor" not found');
+    });
+  });
+});
@@ -0,0 +1,285 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import FormulaEvaluator, {
+  AST_VERSION,
+  deserialize,
+  serialize,
+  FormulaDepthError,
+  FormulaEvaluationError,
+  FormulaSyntaxError,
+} from '../src/index.ts';
+import { catchError } from './helpers.js';
+
+const FORMULAS = [
+  '1 + 2 * 3',
+  '-x ^ 2',
+  '!(a && b) || c',
+  'x > 1 ? "big" : "small"',
+  'sum([1, 2, 3], n)',
+  'order.lines[0].price * qty',
+  'map(xs, (x, i) => x * i)',
+  'let(a, 2, b, a * 3, a + b)',
+  '"a" & \'b\' in ["ab"]',
+  'null',
+  'true',
+  '42',
+];
+
+describe('serialize', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator();
+  });
+
+  const parse = (formula) => evaluator.compile(formula).ast;
+
+  it('writes a versioned document', () => {
+    expect(serialize(parse('1'))).toEqual({ version: AST_VERSION, ast: { type: 'literal', value: 1 } });
+    expect(AST_VERSION).toBe(1);
+  });
+
+  it('distinguishes operators from function calls', () => {
+    expect(serialize(parse('round(x + 1, 2)')).ast).toEqual({
+      type: 'call',
+      name: 'round',
+      args: [
+        {
+          type: 'operator',
+          operator: '+',
+          args: [{ type: 'variable', name: 'x', start: 6, end: 7 }, { type: 'literal', value: 1 }],
+          start: 6,
+          end: 11,
+        },
+        { type: 'literal', value: 2 },
+      ],
+      start: 0,
+      end: 15,
+    });
+  });
+
+  it('writes prefix operators with one operand and the conditional operator with three', () => {
+    const { ast } = serialize(parse('-a ? !b : c'));
+    expect(ast.type).toBe('operator');
+    expect(ast.operator).toBe('?:');
+    expect(ast.args.map(arg => [arg.operator, arg.args?.length])).toEqual([['-', 1], ['!', 1], [undefined, undefined]]);
+  });
+
+  it('writes member access, lists and lambdas as their own node types', () => {
+    expect(serialize(parse('a.b')).ast).toEqual({
+      type: 'member',
+      object: { type: 'variable', name: 'a', start: 0, end: 1 },
+      key: { type: 'literal', value: 'b' },
+      start: 0,
+      end: 3,
+    });
+    expect(serialize(parse('[1]')).ast).toEqual({ type: 'list', items: [{ type: 'literal', value: 1 }], start: 0, end: 3 });
+    expect(serialize(parse('x => x')).ast).toEqual({
+      type: 'lambda',
+      params: ['x'],
+      body: { type: 'variable', name: 'x', start: 5, end: 6 },
+      start: 0,
+      end: 6,
+    });
+  });
+
+  it('writes custom operators by symbol', () => {
+    evaluator.registerOperator('~=', { precedence: 30, fn: (a, b) => a === b });
+    evaluator.registerOperator('not', { precedence: 25, arity: 'prefix', fn: (a) => !a });
+    const { ast } = serialize(parse('not a ~= b'));
+    expect(ast.operator).toBe('not');
+    expect(ast.args[0].operator).toBe('~=');
+  });
+
+  it('leaves out spans of nodes built by hand', () => {
+    expect(serialize({ type: 'function', name: 'abs', args: [{ type: 'variable', name: 'x' }] }).ast).toEqual({
+      type: 'call',
+      name: 'abs',
+      args: [{ type: 'variable', name: 'x' }],
+    });
+  });
+
+  it('produces plain JSON', () => {
+    const document = serialize(parse('map(xs, x => x.price * (1 + tax))'));
+    expect(JSON.parse(JSON.stringify(document))).toEqual(document);
+  });
+
+  it('rejects nodes that cannot be represented', () => {
+    expect(() => serialize({ type: 'function', name: '__secret', args: [] })).toThrow('Cannot serialize a call to the internal function "__secret"');
+    expect(() => serialize(Infinity)).toThrow('Cannot serialize the number Infinity');
+  });
+});
+
+describe('deserialize', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator({ tax: 0.5 });
+  });
+
+  it.each(FORMULAS)('round-trips %s', (formula) => {
+    const { ast } = evaluator.compile(formula);
+    expect(deserialize(serialize(ast))).toEqual(ast);
+    expect(deserialize(JSON.stringify(serialize(ast)))).toEqual(ast);
+  });
+
+  it('round-trips custom operators', () => {
+    evaluator.registerOperator('~=', { precedence: 30, fn: (a, b) => String(a).toLowerCase() === String(b).toLowerCase() });
+    evaluator.registerOperator('not', { precedence: 25, arity: 'prefix', fn: (a) => !a });
+    const { ast } = evaluator.compile('not a ~= "X"');
+    const restored = deserialize(serialize(ast));
+    expect(restored).toEqual(ast);
+    expect(evaluator.compileAst(restored).evaluate({ a: 'x' })).toBe(false);
+  });
+
+  it('keeps every digit of number literals read exactly in decimal mode', () => {
+    const decimal = new FormulaEvaluator({}, { numeric: 'decimal' });
+    const document = serialize(decimal.compile('12345678901234567890123 + 1').ast);
+    expect(document.ast.args[0]).toEqual({ type: 'literal', value: 12345678901234567890123, digits: '12345678901234567890123' });
+    expect(String(decimal.compileAst(deserialize(JSON.stringify(document))).evaluate())).toBe('12345678901234567890124');
+    expect(() => deserialize({ version: 1, ast: { type: 'literal', value: 1, digits: '1e5' } })).toThrow('digits must be written as a number literal');
+  });
+
+  it('reads an AST that can be evaluated directly', () => {
+    const json = JSON.stringify(serialize(evaluator.compile('sum(map(xs, x => x * (1 + tax)))').ast));
+    const compiled = evaluator.compileAst(deserialize(json));
+    expect(compiled.evaluate({ xs: [2, 4] })).toBe(9);
+    expect(compiled.dependencies).toEqual(['xs', 'tax']);
+    expect(compiled.source).toBe('');
+  });
+
+  it('reads documents written by hand', () => {
+    const ast = deserialize({
+      version: 1,
+      ast: {
+        type: 'operator',
+        operator: '*',
+        args: [
+          { type: 'call', name: 'ABS', args: [{ type: 'variable', name: 'x' }] },
+          { type: 'member', object: { type: 'variable', name: 'item' }, key: { type: 'literal', value: 'qty' } },
+        ],
+      },
+    });
+    expect(evaluator.compileAst(ast).evaluate({ x: -2, item: { qty: 3 } })).toBe(6);
+  });
+
+  it('evaluates deserialized formulas asynchronously', async () => {
+    evaluator.registerFunction('later', async (x) => x * 2);
+    const ast = deserialize(serialize(evaluator.compile('later(n) + 1').ast));
+    await expect(evaluator.compileAst(ast).evaluateAsync({ n: 4 })).resolves.toBe(9);
+  });
+
+  it('keeps spans so evaluation errors point at the right place', () => {
+    const ast = deserialize(serialize(evaluator.compile('1 + missing').ast));
+    let error;
+    try {
+      evaluator.compileAst(ast).evaluate();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(FormulaEvaluationError);
+    expect(error.code).toBe('unknown-variable');
+    expect([error.start, error.end]).toEqual([4, 11]);
+  });
+
+  describe('validation', () => {
+    const document = (ast) => ({ version: 1, ast });
+    const variable = { type: 'variable', name: 'x' };
+
+    it('rejects unsupported versions', () => {
+      expect(() => deserialize({ version: 2, ast: variable })).toThrow('Unsupported serialized AST version 2; expected 1');
+      expect(() => deserialize({ ast: variable })).toThrow('Unsupported serialized AST version undefined; expected 1');
+    });
+
+    it('rejects documents that are not objects or not JSON', () => {
+      expect(() => deserialize('{')).toThrow(/^Invalid serialized AST: /);
+      expect(() => deserialize('[]')).toThrow('expected an object with "version" and "ast"');
+      expect(() => deserialize({ version: 1 })).toThrow('Invalid serialized AST: missing "ast"');
+    });
+
+    it('rejects unknown node types', () => {
+      expect(() => deserialize(document({ type: 'function', name: '__add', args: [] })))
+        .toThrow('Invalid serialized AST at ast: unknown node type "function"');
+      expect(() => deserialize(document({ type: 'call', name: 'abs', args: [{ type: 'macro' }] })))
+        .toThrow('Invalid serialized AST at ast.args[0]: unknown node type "macro"');
+      expect(() => deserialize(document({ name: 'x' }))).toThrow('unknown node type undefined');
+      expect(() => deserialize(document(5))).toThrow('Invalid serialized AST at ast: expected a node object');
+    });
+
+    it('rejects missing, unexpected and mistyped fields', () => {
+      expect(() => deserialize(document({ type: 'call', name: 'abs' }))).toThrow('call node is missing "args"');
+      expect(() => deserialize(document({ ...variable, extra: 1 }))).toThrow('unexpected property "extra" on a variable node');
+      expect(() => deserialize(document({ type: 'literal', value: 1, start: 0, end: 1 }))).toThrow('unexpected property "start"');
+      expect(() => deserialize(document({ type: 'list', items: variable }))).toThrow('at ast.items: expected an array of nodes');
+      expect(() => deserialize(document({ type: 'literal', value: {} }))).toThrow('literal value must be a finite number, string, boolean or null');
+      expect(() => deserialize(document({ type: 'lambda', params: 'x', body: variable }))).toThrow('expected an array of parameter names');
+    });
+
+    it('rejects invalid names', () => {
+      expect(() => deserialize(document({ type: 'variable', name: '__proto__' }))).toThrow('at ast.name: "__proto__" is not a valid name');
+      expect(() => deserialize(document({ type: 'variable', name: 'true' }))).toThrow('"true" is not a valid name');
+      expect(() => deserialize(document({ type: 'variable', name: 'in' }))).toThrow('"in" is not a valid name');
+      expect(() => deserialize(document({ type: 'call', name: '__add', args: [] }))).toThrow('"__add" is not a valid name');
+      expect(() => deserialize(document({ type: 'lambda', params: ['x', '1'], body: variable }))).toThrow('at ast.params[1]');
+      expect(() => deserialize(document({ type: 'lambda', params: ['x', 'x'], body: variable }))).toThrow('lambda parameters must be unique');
+    });
+
+    it('rejects operators with the wrong number of operands or an invalid symbol', () => {
+      expect(() => deserialize(document({ type: 'operator', operator: '+', args: [] }))).toThrow('operator "+" cannot take 0 operands');
+      expect(() => deserialize(document({ type: 'operator', operator: '?:', args: [variable, variable] }))).toThrow('operator "?:" cannot take 2 operands');
+      expect(() => deserialize(document({ type: 'operator', operator: '+', args: [variable] }))).toThrow('operator "+" cannot take 1 operands');
+      expect(() => deserialize(document({ type: 'operator', operator: 'in', args: [variable] }))).toThrow('operator "in" cannot take 1 operands');
+      expect(() => deserialize(document({ type: 'operator', operator: '!', args: [variable, variable] }))).toThrow('operator "!" cannot take 2 operands');
+      expect(deserialize(document({ type: 'operator', operator: '-', args: [variable] }))).toMatchObject({ name: '__neg' });
+      expect(deserialize(document({ type: 'operator', operator: '-', args: [variable, variable] }))).toMatchObject({ name: '__sub' });
+      expect(() => deserialize(document({ type: 'operator', operator: '(', args: [variable, variable] }))).toThrow('"(" is not a valid operator');
+    });
+
+    it('rejects malformed let() calls', () => {
+      expect(() => deserialize(document({ type: 'call', name: 'let', args: [variable, variable] })))
+        .toThrow('let() expects name/value pairs followed by a body');
+      expect(() => deserialize(document({ type: 'call', name: 'let', args: [{ type: 'literal', value: 'x' }, variable, variable] })))
+        .toThrow('at ast.args[0]: let() binding name 1 must be a variable');
+    });
+
+    it('rejects documents nested more than maxDepth levels deep', () => {
+      const stored = serialize(evaluator.compile('abs(abs(-1))').ast);
+      expect(deserialize(stored, { maxDepth: 4 })).toEqual(evaluator.compile('abs(abs(-1))').ast);
+      const error = catchError(() => deserialize(stored, { maxDepth: 3 }));
+      expect(error).toBeInstanceOf(FormulaDepthError);
+      expect(error).toMatchObject({ code: 'too-deeply-nested', limit: 3, start: 8, end: 10 });
+      expect(error.message).toBe('Formula is nested more than 3 levels deep');
+      expect(() => deserialize(stored, { maxDepth: 0 })).toThrow('maxDepth must be a positive integer');
+    });
+
+    it('stops reading deeply nested documents before the stack runs out', () => {
+      let ast = variable;
+      for (let i = 0; i < 100000; i++) ast = { type: 'operator', operator: '-', args: [ast] };
+      const error = catchError(() => deserialize(document(ast)));
+      expect(error).toBeInstanceOf(FormulaDepthError);
+      expect(error.limit).toBe(1000);
+      const json = `{"version":1,"ast":${'{"type":"list","items":['.repeat(100000)}${']}'.repeat(100000)}}`;
+      expect(() => deserialize(json)).toThrow(FormulaDepthError);
+    });
+
+    it('rejects invalid spans', () => {
+      expect(() => deserialize(document({ ...variable, start: 2 }))).toThrow('start and end must both be offsets');
+      expect(() => deserialize(document({ ...variable, start: 3, end: 1 }))).toThrow('with end not before start');
+      expect(() => deserialize(document({ ...variable, start: -1, end: 1 }))).toThrow('start and end must both be offsets');
+    });
+  });
+});
+
+describe('compileAst', () => {
+  it('checks the number of arguments', () => {
+    const evaluator = new FormulaEvaluator();
+    const ast = deserialize({ version: 1, ast: { type: 'call', name: 'round', args: [{ type: 'literal', value: 1 }], start: 0, end: 8 } });
+    expect(() => evaluator.compileAst(ast)).toThrow(FormulaSyntaxError);
+    expect(() => evaluator.compileAst(ast)).toThrow('Function "round" expects at least 2 arguments, got 1');
+  });
+
+  it('checks the depth limit', () => {
+    const evaluator = new FormulaEvaluator({}, { limits: { maxDepth: 3 } });
+    const ast = deserialize(serialize(new FormulaEvaluator().compile('abs(abs(abs(abs(1))))').ast));
+    expect(() => evaluator.compileAst(ast)).toThrow(FormulaDepthError);
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import FormulaEvaluator, { transform } from '../src/index.ts';
+
+describe('transform', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator();
+  });
+
+  const parse = (formula) => evaluator.compile(formula).ast;
+
+  it('replaces the nodes a visitor returns', () => {
+    const ast = transform(parse('price * 2 + sum(1, 2)'), {
+      literal: (value) => (typeof value === 'number' ? value * 10 : undefined),
+      variable: (node) => ({ ...node, name: 'cost' }),
+    });
+    expect(evaluator.format(ast)).toBe('cost * 20 + sum(10, 20)');
+  });
+
+  it('visits children before their parents', () => {
+    const order = [];
+    transform(parse('f(a, g(b))'), {
+      function: (node) => { order.push(`${node.name}()`); },
+      variable: (node) => { order.push(node.name); },
+    });
+    expect(order).toEqual(['a', 'b', 'g()', 'f()']);
+  });
+
+  it('passes the transformed children to the parent', () => {
+    const ast = transform(parse('a + b'), {
+      variable: () => 1,
+      function: (node) => (node.name === '__add' && node.args.every(arg => typeof arg === 'number')
+        ? node.args[0] + node.args[1]
+        : undefined),
+    });
+    expect(ast).toBe(2);
+  });
+
+  it('does not change the original AST', () => {
+    const ast = parse('a + abs(b)');
+    const copy = structuredClone(ast);
+    const result = transform(ast, { variable: (node) => ({ ...node, name: 'z' }) });
+    expect(ast).toEqual(copy);
+    expect(result).not.toBe(ast);
+  });
+
+  it('returns the same AST when nothing is replaced', () => {
+    const ast = parse('a + abs(b)');
+    expect(transform(ast, {})).toBe(ast);
+  });
+
+  it('can replace a literal with null', () => {
+    expect(transform(parse('1'), { literal: () => null })).toBeNull();
+  });
+
+  it('reports the names bound by lambdas and let()', () => {
+    const seen = [];
+    transform(parse('let(a, x, b, a + 1, map(xs, item => item + a + b))'), {
+      variable: (node, { bound }) => { seen.push([node.name, [...bound].sort()]); },
+    });
+    expect(seen).toEqual([
+      ['x', []],
+      ['a', ['a']],
+      ['xs', ['a', 'b']],
+      ['item', ['a', 'b', 'item']],
+      ['a', ['a', 'b', 'item']],
+      ['b', ['a', 'b', 'item']],
+    ]);
+  });
+
+  it('does not visit let() binding names as variables', () => {
+    const names = [];
+    transform(parse('let(total, 1, total)'), { variable: (node) => { names.push(node.name); } });
+    expect(names).toEqual(['total']);
+  });
+});
+
+describe('renameVariables', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator();
+  });
+
+  it('renames variables and keeps the rest of the formula as written', () => {
+    expect(evaluator.renameVariables('IF(price  >  10, price * QTY, "price")', { price: 'unitPrice' }))
+      .toBe('IF(unitPrice  >  10, unitPrice * QTY, "price")');
+  });
+
+  it('renames several variables at once', () => {
+    expect(evaluator.renameVariables('a + b * a', { a: 'b', b: 'a' })).toBe('b + a * b');
+  });
+
+  it('leaves function names, string literals and member keys alone', () => {
+    expect(evaluator.renameVariables('sum(sum) & "sum" & order.sum', { sum: 'total', order: 'purchase' }))
+      .toBe('sum(total) & "sum" & purchase.sum');
+  });
+
+  it('leaves names bound by lambdas and let() alone', () => {
+    expect(evaluator.renameVariables('let(x, x + 1, map(xs, x => x * x))', { x: 'y' }))
+      .toBe('let(x, y + 1, map(xs, x => x * x))');
+    expect(evaluator.renameVariables('map(xs, item => item * rate)', { rate: 'factor', item: 'thing' }))
+      .toBe('map(xs, item => item * factor)');
+  });
+
+  it('refuses to rename a variable to a name bound where it is used', () => {
+    expect(() => evaluator.renameVariables('map(xs, x => x * rate)', { rate: 'x' }))
+      .toThrow('Cannot rename "rate" to "x" where "x" is bound by a lambda or let()');
+  });
+
+  it('rejects names that would not read back as variables', () => {
+    expect(() => evaluator.renameVariables('a', { a: 'in' })).toThrow('Invalid variable name "in"');
+    expect(() => evaluator.renameVariables('a', { a: 'null' })).toThrow('Invalid variable name "null"');
+    expect(() => evaluator.renameVariables('a', { a: 'two words' })).toThrow('Invalid variable name "two words"');
+  });
+
+  it('ignores names that are not in the map, including inherited ones', () => {
+    expect(evaluator.renameVariables('constructor + a', {})).toBe('constructor + a');
+  });
+});
+
+describe('renameFunction', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator();
+  });
+
+  it('renames calls in any case and keeps the rest of the formula as written', () => {
+    expect(evaluator.renameFunction('Total(a) +  TOTAL(total(b))', 'total', 'grandTotal'))
+      .toBe('grandTotal(a) +  grandTotal(grandTotal(b))');
+  });
+
+  it('leaves variables and strings with the same name alone', () => {
+    expect(evaluator.renameFunction('avg(avg, "avg")', 'AVG', 'mean')).toBe('mean(avg, "avg")');
+  });
+
+  it('rejects names that would not read back as functions', () => {
+    expect(() => evaluator.renameFunction('avg(1)', 'avg', 'true')).toThrow('Invalid function name "true"');
+    expect(() => evaluator.renameFunction('avg(1)', 'avg', '__add')).toThrow('Invalid function name "__add"');
+  });
+
+  it('rejects operators and other calls that are not written by name', () => {
+    expect(() => evaluator.renameFunction('a + b', '__add', 'plus')).toThrow('Invalid function name "__add"');
+    expect(() => evaluator.renameFunction('abc.def', '__member', 'get')).toThrow('Invalid function name "__member"');
+    expect(() => evaluator.renameFunction('[1, 2]', '__list', 'list')).toThrow('Invalid function name "__list"');
+    expect(() => evaluator.renameFunction('a in b', 'in', 'contains')).toThrow('Invalid function name "in"');
+    evaluator.registerOperator('div', { precedence: 60, fn: (a, b) => Math.floor(a / b) });
+    expect(() => evaluator.renameFunction('a div b', 'div', 'quotient')).toThrow('Invalid function name "div"');
+  });
+});
+
+describe('substitute', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator();
+  });
+
+  it.each([
+    ['total * 2', { total: 'price * qty' }, 'price * qty * 2'],
+    ['total ^ 2', { total: 'price * qty' }, '(price * qty) ^ 2'],
+    ['2 * total', { total: 'a + b' }, '2 * (a + b)'],
+    ['total + 2', { total: 'a + b' }, 'a + b + 2'],
+    ['2 - total', { total: 'a - b' }, '2 - (a - b)'],
+    ['2 ^ total', { total: 'a ^ b' }, '2 ^ a ^ b'],
+    ['-total', { total: 'a + b' }, '-(a + b)'],
+    ['total.name', { total: 'a.b' }, 'a.b.name'],
+    ['total.name', { total: '-a' }, '(-a).name'],
+    ['x ? total : 0', { total: 'a ? b : c' }, 'x ? a ? b : c : 0'],
+    ['total ? 1 : 0', { total: 'a ? b : c' }, '(a ? b : c) ? 1 : 0'],
+    ['total + 1', { total: 'a ? b : c' }, '(a ? b : c) + 1'],
+    ['sum(total, 1)', { total: 'a ? b : c' }, 'sum(a ? b : c, 1)'],
+    ['map(xs, total)', { total: 'x => x * 2' }, 'map(xs, x => x * 2)'],
+    ['f + 1', { f: 'x => x' }, '(x => x) + 1'],
+    ['total', { total: '  round(a, 2)  ' }, 'round(a, 2)'],
+  ])('substitutes into %s', (formula, substitutions, expected) => {
+    expect(evaluator.substitute(formula, substitutions)).toBe(expected);
+  });
+
+  it('keeps the rest of the formula as written', () => {
+    expect(evaluator.substitute('IF( total>100 ,"big",  "small" )', { total: 'a+b' }))
+      .toBe('IF( a+b>100 ,"big",  "small" )');
+  });
+
+  it('substitutes every occurrence, each with the parentheses it needs', () => {
+    expect(evaluator.substitute('net * (1 + rate) - net ^ 2', { net: 'gross - tax', rate: 'base + extra' }))
+      .toBe('(gross - tax) * (1 + (base + extra)) - (gross - tax) ^ 2');
+  });
+
+  it('produces a formula with the same value as the original', () => {
+    const context = { a: 3, b: 4, x: 2 };
+    const formula = '2 ^ total - total * x';
+    const substituted = evaluator.substitute(formula, { total: 'a - b' });
+    expect(evaluator.evaluate(substituted, context)).toBe(evaluator.evaluate(formula, { ...context, total: -1 }));
+  });
+
+  it('leaves names bound by lambdas and let() alone', () => {
+    expect(evaluator.substitute('let(t, t + 1, map(xs, t => t))', { t: 'a * b' }))
+      .toBe('let(t, a * b + 1, map(xs, t => t))');
+  });
+
+  it('refuses substitutions that a lambda or let() would capture', () => {
+    expect(() => evaluator.substitute('map(xs, x => x + total)', { total: 'x * 2' }))
+      .toThrow('Cannot substitute "total" where "x" is bound by a lambda or let()');
+  });
+
+  it('does not substitute into its own substitutions', () => {
+    expect(evaluator.substitute('a + b', { a: 'b', b: 'a' })).toBe('b + a');
+  });
+
+  it('works with custom operators', () => {
+    evaluator.registerOperator('not', { precedence: 25, arity: 'prefix', fn: (v) => !v });
+    expect(evaluator.substitute('flag || x', { flag: 'not a' })).toBe('not a || x');
+    expect(evaluator.substitute('flag == x', { flag: 'not a' })).toBe('(not a) == x');
+  });
+
+  it('rejects empty substitutions and reports syntax errors in them', () => {
+    expect(() => evaluator.substitute('a', { a: ' ' })).toThrow('The substitution for "a" is empty');
+    expect(() => evaluator.substitute('a', { a: '1 +' })).toThrow('Unexpected end of formula');
+  });
+});
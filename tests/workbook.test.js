@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import FormulaEvaluator, { Workbook, CircularReferenceError } from '../src/index.ts';
+
+describe('Workbook', () => {
+  let book;
+
+  beforeEach(() => {
+    book = new Workbook();
+  });
+
+  describe('inputs and formulas', () => {
+    it('evaluates a formula against inputs', () => {
+      book.setInput('price', 10).setInput('qty', 3).setFormula('subtotal', 'price * qty');
+      expect(book.get('subtotal')).toBe(30);
+    });
+
+    it('evaluates chains of formulas in dependency order', () => {
+      book
+        .setFormula('total', 'subtotal + tax')
+        .setFormula('tax', 'subtotal * rate')
+        .setFormula('subtotal', 'price * qty')
+        .setInput('price', 10)
+        .setInput('qty', 2)
+        .setInput('rate', 0.5);
+      expect(book.get('subtotal')).toBe(20);
+      expect(book.get('tax')).toBe(10);
+      expect(book.get('total')).toBe(30);
+    });
+
+    it('returns input values from get()', () => {
+      book.setInput('x', 5);
+      expect(book.get('x')).toBe(5);
+    });
+
+    it('throws for unknown cells', () => {
+      expect(() => book.get('nope')).toThrow('Cell "nope" not found');
+    });
+
+    it('throws for invalid cell names', () => {
+      expect(() => book.setInput('', 1)).toThrow('Cell name must be a non-empty string');
+      expect(() => book.setFormula(null, '1')).toThrow('Cell name must be a non-empty string');
+    });
+
+    it('throws syntax errors when a formula is defined', () => {
+      expect(() => book.setFormula('bad', '(1 + 2')).toThrow('Missing closing parenthesis');
+      expect(book.has('bad')).toBe(false);
+    });
+
+    it('exposes formula sources and direct dependencies', () => {
+      book.setFormula('total', 'subtotal + tax');
+      expect(book.getFormula('total')).toBe('subtotal + tax');
+      expect(book.getDependencies('total')).toEqual(['subtotal', 'tax']);
+      expect(book.isFormula('total')).toBe(true);
+    });
+
+    it('falls back to the evaluator global context', () => {
+      const withGlobals = new Workbook(new FormulaEvaluator({ rate: 0.25 }));
+      withGlobals.setInput('amount', 100).setFormula('tax', 'amount * rate');
+      expect(withGlobals.get('tax')).toBe(25);
+    });
+
+    it('uses functions registered on the evaluator', () => {
+      const evaluator = new FormulaEvaluator().registerFunction('double', (x) => x * 2);
+      const custom = new Workbook(evaluator);
+      custom.setInput('x', 4).setFormula('y', 'double(x)');
+      expect(custom.get('y')).toBe(8);
+    });
+
+    it('replaces a formula with an input of the same name', () => {
+      book.setInput('x', 1).setFormula('y', 'x + 1').setFormula('z', 'y * 10');
+      book.setInput('y', 5);
+      expect(book.isFormula('y')).toBe(false);
+      expect(book.get('z')).toBe(50);
+    });
+
+    it('replaces an input with a formula of the same name', () => {
+      book.setInput('y', 5).setFormula('z', 'y * 10');
+      book.setFormula('y', '2');
+      expect(book.get('z')).toBe(20);
+    });
+
+    it('returns all values', () => {
+      book.setInput('a', 1).setFormula('b', 'a + 1');
+      expect(book.values()).toEqual({ a: 1, b: 2 });
+    });
+  });
+
+  describe('evaluation order', () => {
+    it('orders formulas after their dependencies', () => {
+      book
+        .setFormula('total', 'subtotal + tax')
+        .setFormula('tax', 'subtotal * 0.2')
+        .setFormula('subtotal', 'price * qty');
+      expect(book.getEvaluationOrder()).toEqual(['subtotal', 'tax', 'total']);
+    });
+
+    it('excludes inputs from the evaluation order', () => {
+      book.setInput('a', 1).setFormula('b', 'a');
+      expect(book.getEvaluationOrder()).toEqual(['b']);
+    });
+
+    it('returns transitive dependents of a cell', () => {
+      book
+        .setFormula('subtotal', 'price * qty')
+        .setFormula('tax', 'subtotal * 0.2')
+        .setFormula('total', 'subtotal + tax')
+        .setFormula('other', 'qty');
+      expect(book.getDependents('price').sort()).toEqual(['subtotal', 'tax', 'total']);
+    });
+  });
+
+  describe('cycle detection', () => {
+    it('rejects a formula that references itself', () => {
+      expect(() => book.setFormula('a', 'a + 1')).toThrow('Circular reference: a -> a');
+    });
+
+    it('names the full cycle path', () => {
+      book.setFormula('a', 'b + 1').setFormula('b', 'c + 1');
+      expect(() => book.setFormula('c', 'a + 1')).toThrow('Circular reference: c -> a -> b -> c');
+    });
+
+    it('throws a CircularReferenceError with the cycle', () => {
+      book.setFormula('a', 'b');
+      try {
+        book.setFormula('b', 'a');
+        expect.unreachable();
+      } catch (err) {
+        expect(err).toBeInstanceOf(CircularReferenceError);
+        expect(err.cycle).toEqual(['b', 'a', 'b']);
+      }
+    });
+
+    it('leaves the workbook unchanged when a cycle is rejected', () => {
+      book.setInput('x', 1).setFormula('a', 'x + 1').setFormula('b', 'a * 2');
+      expect(() => book.setFormula('a', 'b')).toThrow(CircularReferenceError);
+      expect(book.getFormula('a')).toBe('x + 1');
+      expect(book.get('b')).toBe(4);
+    });
+
+    it('does not treat shared dependencies as cycles', () => {
+      book.setFormula('b', 'a').setFormula('c', 'a').setFormula('d', 'b + c');
+      expect(book.getEvaluationOrder()).toEqual(['b', 'c', 'd']);
+    });
+  });
+
+  describe('recalculation', () => {
+    it('recalculates dependents when an input changes', () => {
+      book.setInput('price', 10).setInput('qty', 2)
+        .setFormula('subtotal', 'price * qty')
+        .setFormula('total', 'subtotal + 1');
+      book.setInput('qty', 5);
+      expect(book.get('subtotal')).toBe(50);
+      expect(book.get('total')).toBe(51);
+    });
+
+    it('only recalculates formulas that depend on the changed input', () => {
+      const calls = [];
+      const evaluator = new FormulaEvaluator().registerFunction('track', (name, v) => {
+        calls.push(name);
+        return v;
+      });
+      const tracked = new Workbook(evaluator);
+      tracked
+        .setInput('a', 1).setInput('b', 2)
+        .setFormula('fromA', 'track("fromA", a)')
+        .setFormula('fromB', 'track("fromB", b)')
+        .setFormula('both', 'track("both", fromA + fromB)');
+      calls.length = 0;
+
+      tracked.setInput('a', 10);
+      expect(calls).toEqual(['fromA', 'both']);
+      expect(tracked.get('both')).toBe(12);
+    });
+
+    it('recalculates dependents when a formula is redefined', () => {
+      book.setInput('x', 2).setFormula('y', 'x + 1').setFormula('z', 'y * 10');
+      book.setFormula('y', 'x + 2');
+      expect(book.get('z')).toBe(40);
+    });
+
+    it('recalculates dependents when a cell is removed', () => {
+      book.setInput('x', 2).setFormula('y', 'x + 1');
+      expect(book.remove('x')).toBe(true);
+      expect(() => book.get('y')).toThrow('Variable "x" not found');
+      expect(book.remove('x')).toBe(false);
+    });
+
+    it('recalculate() re-evaluates every formula', () => {
+      const evaluator = new FormulaEvaluator({ rate: 1 });
+      const full = new Workbook(evaluator);
+      full.setInput('x', 10).setFormula('y', 'x * rate');
+      evaluator.context.rate = 3;
+      expect(full.get('y')).toBe(10);
+      full.recalculate();
+      expect(full.get('y')).toBe(30);
+    });
+  });
+
+  describe('errors', () => {
+    it('stores evaluation errors and rethrows them from get()', () => {
+      book.setFormula('a', 'missing + 1');
+      expect(() => book.get('a')).toThrow('Variable "missing" not found');
+      expect(Object.keys(book.errors())).toEqual(['a']);
+    });
+
+    it('propagates errors to dependent cells', () => {
+      book.setFormula('a', 'missing + 1').setFormula('b', 'a * 2');
+      expect(() => book.get('b')).toThrow('Variable "missing" not found');
+    });
+
+    it('clears errors once the missing input is provided', () => {
+      book.setFormula('a', 'missing + 1').setFormula('b', 'a * 2');
+      book.setInput('missing', 1);
+      expect(book.get('b')).toBe(4);
+      expect(book.errors()).toEqual({});
+    });
+
+    it('excludes errored cells from values()', () => {
+      book.setInput('x', 1).setFormula('bad', 'nope(x)').setFormula('good', 'x + 1');
+      expect(book.values()).toEqual({ x: 1, good: 2 });
+    });
+  });
+});